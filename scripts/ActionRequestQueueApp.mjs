@@ -0,0 +1,110 @@
+/**
+ * Action Request Queue Application
+ *
+ * GM-only window listing pending player action requests, where each can be
+ * approved (with adjusted roll parameters) or denied.
+ */
+
+import { MODULE_ID } from "./constants.mjs";
+import { getMarkers } from "./main.mjs";
+import { ROLL_TYPES } from "./roll-handler.mjs";
+import {
+  getActionRequests,
+  approveActionRequest,
+  denyActionRequest,
+  readRollFields
+} from "./action-requests.mjs";
+
+export class ActionRequestQueueApp extends Application {
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "lancer-downtime-action-requests",
+      title: game.i18n?.localize("DOWNTIME.Requests.Title") || "Action Requests",
+      template: `modules/${MODULE_ID}/templates/action-requests.hbs`,
+      classes: ["lancer", "downtime-tracker-app", "action-request-queue"],
+      width: 560,
+      height: "auto",
+      resizable: true
+    });
+  }
+
+  async getData(options = {}) {
+    const context = await super.getData(options);
+    const markers = getMarkers();
+
+    context.requests = getActionRequests().map(request => {
+      const actor = game.actors.get(request.actorId);
+      return {
+        ...request,
+        characterName: actor?.name ?? "?",
+        characterImg: actor?.img ?? "icons/svg/mystery-man.svg",
+        userName: game.users.get(request.userId)?.name ?? "?",
+        markerTitle: markers.find(m => m.id === request.markerId)?.title ?? null,
+        isPilotCheck: request.rollType === ROLL_TYPES.PILOT_CHECK,
+        isDicePool: request.rollType === ROLL_TYPES.DICE_POOL,
+        requestedAt: new Date(request.timestamp).toLocaleString()
+      };
+    });
+
+    return context;
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find(".approve-request").click(this._onApprove.bind(this));
+    html.find(".deny-request").click(this._onDeny.bind(this));
+  }
+
+  async _onApprove(event) {
+    event.preventDefault();
+    const row = $(event.currentTarget).closest(".action-request");
+    const requestId = row.data("requestId");
+    const request = getActionRequests().find(r => r.id === requestId);
+    if (!request) return;
+
+    // Lock the row so a double click can't roll twice
+    row.find("button").prop("disabled", true);
+    const modifications = request.rollType ? readRollFields(row, request.rollType) : null;
+    await approveActionRequest(requestId, modifications);
+    this.render(false);
+  }
+
+  async _onDeny(event) {
+    event.preventDefault();
+    const requestId = $(event.currentTarget).closest(".action-request").data("requestId");
+
+    const reason = await new Promise((resolve) => {
+      new Dialog({
+        title: game.i18n.localize("DOWNTIME.Requests.DenyTitle"),
+        content: `
+          <form>
+            <div class="form-group">
+              <label>${game.i18n.localize("DOWNTIME.Requests.DenyReason")}:</label>
+              <input type="text" name="reason" value=""/>
+            </div>
+          </form>
+        `,
+        buttons: {
+          deny: {
+            icon: '<i class="fas fa-ban"></i>',
+            label: game.i18n.localize("DOWNTIME.Requests.Deny"),
+            callback: (html) => resolve(html.find('[name="reason"]').val() || "")
+          },
+          cancel: {
+            icon: '<i class="fas fa-times"></i>',
+            label: game.i18n.localize("DOWNTIME.Markers.Cancel"),
+            callback: () => resolve(null)
+          }
+        },
+        default: "deny",
+        close: () => resolve(null)
+      }).render(true);
+    });
+
+    if (reason === null) return;
+    await denyActionRequest(requestId, reason);
+    this.render(false);
+  }
+}
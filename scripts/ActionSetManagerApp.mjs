@@ -0,0 +1,99 @@
+/**
+ * Action Set Manager Application
+ *
+ * GM-only window for enabling, disabling, removing and re-importing action sets.
+ */
+
+import { MODULE_ID } from "./constants.mjs";
+import { getAllActionSets, findActionConflicts, ACTION_SET_SOURCES } from "./downtime-actions.mjs";
+import { removeActionSet, showImportDialog } from "./lcp-handler.mjs";
+import { getActiveActionSetIds, setActionSetActive } from "./main.mjs";
+import { escapeHTML } from "./text-utils.mjs";
+
+export class ActionSetManagerApp extends Application {
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "lancer-downtime-action-set-manager",
+      title: game.i18n?.localize("DOWNTIME.ActionSetManager.Title") || "Action Set Manager",
+      template: `modules/${MODULE_ID}/templates/action-set-manager.hbs`,
+      classes: ["lancer", "downtime-tracker-app", "action-set-manager"],
+      width: 640,
+      height: "auto",
+      resizable: true
+    });
+  }
+
+  async getData(options = {}) {
+    const context = await super.getData(options);
+    const activeIds = getActiveActionSetIds();
+
+    context.actionSets = getAllActionSets().map(set => {
+      const source = set.source || ACTION_SET_SOURCES.BUILT_IN;
+      return {
+        id: set.id,
+        name: set.name,
+        source,
+        sourceLabel: game.i18n.localize(`DOWNTIME.Sources.${source}`),
+        version: set.version || "-",
+        filename: set.filename || "-",
+        importedAt: set.importedAt ? new Date(set.importedAt).toLocaleString() : "-",
+        actionCount: set.actions?.length ?? 0,
+        active: activeIds.includes(set.id),
+        removable: source === ACTION_SET_SOURCES.LCP
+      };
+    });
+
+    context.conflicts = findActionConflicts(activeIds).map(conflict => ({
+      actionId: conflict.actionId,
+      setNames: conflict.sets.map(s => s.name).join(", ")
+    }));
+
+    return context;
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find(".toggle-action-set").change(this._onToggleSet.bind(this));
+    html.find(".remove-action-set").click(this._onRemoveSet.bind(this));
+    html.find(".reimport-action-set").click(this._onReimportSet.bind(this));
+    html.find(".import-lcp-btn").click(this._onImport.bind(this));
+  }
+
+  async _onToggleSet(event) {
+    event.preventDefault();
+    const setId = event.currentTarget.dataset.setId;
+    await setActionSetActive(setId, event.currentTarget.checked);
+    this.render(false);
+  }
+
+  async _onRemoveSet(event) {
+    event.preventDefault();
+    const setId = event.currentTarget.dataset.setId;
+    const set = getAllActionSets().find(s => s.id === setId);
+    if (!set) return;
+
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize("DOWNTIME.Dialogs.RemoveActionSet.Title"),
+      content: `<p>${game.i18n.localize("DOWNTIME.Dialogs.RemoveActionSet.Content")}</p><p><strong>${escapeHTML(set.name)}</strong></p>`
+    });
+
+    if (confirmed) {
+      await removeActionSet(setId);
+      ui.notifications.info(game.i18n.localize("DOWNTIME.Notifications.ActionSetRemoved"));
+      this.render(false);
+    }
+  }
+
+  _onReimportSet(event) {
+    event.preventDefault();
+    const setId = event.currentTarget.dataset.setId;
+    showImportDialog(this, { expectedId: setId });
+  }
+
+  _onImport(event) {
+    event.preventDefault();
+    showImportDialog(this);
+  }
+}
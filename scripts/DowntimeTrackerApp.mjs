@@ -4,28 +4,77 @@
  * A standalone Application window for tracking downtime activities.
  */
 
-import { MODULE_ID, SETTINGS, CATEGORIES, createHistoryEntry } from "./constants.mjs";
-import { getBuiltInActionSets, getActionsFromSets } from "./downtime-actions.mjs";
+import { MODULE_ID, CATEGORIES, PHASES, OBLIGATION_STATUS } from "./constants.mjs";
+import { getActionsFromSets, getActionSetById, filterActionsByPhase, ACTION_SET_SOURCES } from "./downtime-actions.mjs";
+import { showImportDialog } from "./lcp-handler.mjs";
 import {
   getAvailableCharacters,
-  getAllActionSets,
   getCharacterDowntimeData,
-  updateCharacterDowntimeData,
   getMarkers,
   getActiveMarker,
   addMarker,
-  setActiveMarker,
   updateMarker,
   deleteMarker,
-  reorderMarkers
+  reorderMarkers,
+  updateHistoryEntry,
+  deleteHistoryEntry,
+  recordHistoryEntry,
+  getActiveActionSetIds,
+  openActionSetManager,
+  openActionRequestQueue
 } from "./main.mjs";
+import { needsApproval, submitActionRequest, getActionRequests } from "./action-requests.mjs";
 import { showJournalSyncDialog } from "./journal-sync.mjs";
+import { exportModuleData, showDataImportDialog } from "./data-transfer.mjs";
+import { getPilotSkillTriggers, getAccuracySuggestions } from "./pilot-skills.mjs";
+import { getPoolSources } from "./far-field-pool.mjs";
+import {
+  getLanes,
+  getLaneById,
+  addLane,
+  updateLane,
+  deleteLane,
+  getCharacterMarker,
+  setLaneActiveMarker,
+  buildTimelineLanes
+} from "./lanes.mjs";
+import { postCostCard, setObligationStatus } from "./costs.mjs";
+import {
+  getClocks,
+  getClockById,
+  isClockInPlay,
+  getClockSegments,
+  setClockProgress,
+  showClockDialog
+} from "./clocks.mjs";
+import {
+  getGroupCandidates,
+  showGroupActionDialog,
+  getHelpBonus,
+  recordGroupEntries,
+  deleteGroupEntries,
+  groupMarkerHistory
+} from "./group-actions.mjs";
+import { resolveActionEffects, applyEffectPlan, revertEffectPlan, describeChange, CHANGE_OPS } from "./effect-engine.mjs";
+import { getMarkerLimits, getRemainingActions, checkActionAgainstMarker } from "./marker-limits.mjs";
+import { escapeHTML, sanitizeHTML, enrichNotes } from "./text-utils.mjs";
+import {
+  addProject,
+  updateProject,
+  deleteProject,
+  advanceProject,
+  advanceLinkedProjects,
+  showProjectDialog
+} from "./projects.mjs";
 import {
   showRollDialog,
   postRollToChat,
   determineRollType,
   getBasePoolSize,
   getBaseAccuracy,
+  isRollHidden,
+  canRevealRoll,
+  revealBlindRoll,
   ROLL_TYPES
 } from "./roll-handler.mjs";
 
@@ -36,6 +85,9 @@ export class DowntimeTrackerApp extends Application {
     this.selectedCharacterId = null;
     this.filterCategory = null;
     this.pinnedMarkerId = null;
+    this.showAllPhases = false;
+    // Actions recorded from this client this session, newest last
+    this.undoStack = [];
   }
 
   static get defaultOptions() {
@@ -54,20 +106,36 @@ export class DowntimeTrackerApp extends Application {
   async getData(options = {}) {
     const context = await super.getData(options);
 
-    // Get all characters
-    context.characters = getAvailableCharacters().map(char => ({
-      ...char,
-      selected: char.id === this.selectedCharacterId
-    }));
+    // The selected character's current marker follows their lane
+    const activeMarker = this.selectedCharacterId ? getCharacterMarker(this.selectedCharacterId) : getActiveMarker();
+
+    // Get all characters, with actions left in their current marker's period
+    context.characters = getAvailableCharacters().map(char => {
+      const marker = getCharacterMarker(char.id);
+      return {
+        ...char,
+        selected: char.id === this.selectedCharacterId,
+        remainingActions: marker ? getRemainingActions(marker, char.downtimeData?.history) : null
+      };
+    });
 
     // Selected character
     context.selectedCharacter = context.characters.find(c => c.id === this.selectedCharacterId);
 
     // Get active action set IDs from settings
-    const activeSetIds = game.settings.get(MODULE_ID, SETTINGS.activeActionSets) || ["lancer-core", "far-field"];
+    const activeSetIds = getActiveActionSetIds();
 
     // Get all actions from active sets
-    let actions = getActionsFromSets(activeSetIds);
+    const allActions = getActionsFromSets(activeSetIds);
+    let actions = allActions;
+
+    // Only show actions legal in the active marker's phase (GM can override)
+    const activePhase = activeMarker?.phase || null;
+    context.activePhase = activePhase;
+    context.showAllPhases = this.showAllPhases;
+    if (!this._ignorePhase()) {
+      actions = filterActionsByPhase(actions, activePhase);
+    }
 
     // Filter by category if set
     if (this.filterCategory) {
@@ -82,10 +150,13 @@ export class DowntimeTrackerApp extends Application {
         actionsBySet[setId] = {
           id: setId,
           name: action.actionSetName,
+          source: action.actionSetSource,
+          sourceLabel: this._getSourceLabel(getActionSetById(setId)),
           actions: []
         };
       }
-      actionsBySet[setId].actions.push(action);
+      // LCP descriptions may carry formatting; only sanitised markup is rendered
+      actionsBySet[setId].actions.push({ ...action, descriptionHTML: sanitizeHTML(action.description) });
     }
     context.actionSets = Object.values(actionsBySet);
 
@@ -101,25 +172,79 @@ export class DowntimeTrackerApp extends Application {
 
     // History for selected character
     if (context.selectedCharacter) {
-      context.characterHistory = context.selectedCharacter.downtimeData?.history || [];
+      context.characterHistory = await Promise.all((context.selectedCharacter.downtimeData?.history || []).map(async entry => {
+        const masked = this._maskHiddenResult(entry);
+        return {
+          ...masked,
+          canReveal: canRevealRoll(entry.result?.rollData),
+          // Notes are plain text with content links (@UUID) enriched
+          notesHTML: await enrichNotes(entry.result?.description),
+          // Reserve items created by this action, linked from the history row
+          reserves: (masked.effects || [])
+            .filter(change => change.op === CHANGE_OPS.CREATE_RESERVE && change.uuid)
+            .map(change => ({ name: change.name, uuid: change.uuid }))
+        };
+      }));
     } else {
       context.characterHistory = [];
     }
 
+    // Projects for selected character, with one segment per track box
+    const projects = context.selectedCharacter?.downtimeData?.projects || [];
+    context.projects = projects.map(project => ({
+      ...project,
+      linkedActionName: allActions.find(a => a.id === project.linkedActionId)?.name || null,
+      segments: Array.from({ length: project.track }, (_, i) => ({ filled: i < project.progress }))
+    }));
+
+    // Outstanding Power at a Cost obligations for selected character
+    const obligations = context.selectedCharacter?.downtimeData?.obligations || [];
+    context.obligations = obligations
+      .filter(o => o.status === OBLIGATION_STATUS.OUTSTANDING)
+      .map(o => ({
+        ...o,
+        typeLabel: game.i18n.localize(`DOWNTIME.Costs.Types.${o.type}`),
+        markerTitle: getMarkers().find(m => m.id === o.markerId)?.title || null
+      }));
+
     context.isGM = game.user.isGM;
+    // Group actions aren't available as approval requests
+    context.canGroupAction = !needsApproval();
+
+    // Pending approval requests: the GM sees the queue size, players see their own
+    const requests = getActionRequests();
+    context.requestCount = requests.length;
+    context.pendingRequests = context.selectedCharacter
+      ? requests.filter(r => r.actorId === context.selectedCharacter.id)
+      : [];
+
+    // Most recent action this session that can still be undone
+    const lastUndo = this.undoStack[this.undoStack.length - 1];
+    context.undoLabel = lastUndo ? `${lastUndo.characterName}: ${lastUndo.actionName}` : null;
 
     // Markers
     context.markers = getMarkers();
-    context.activeMarker = getActiveMarker();
+    context.activeMarker = activeMarker;
+    const activeLane = activeMarker?.laneId ? getLaneById(activeMarker.laneId) : null;
+    context.activeLaneName = activeLane?.name ?? null;
 
-    // Timeline markers sorted by order, with isActive flag
-    const activeId = context.activeMarker?.id || null;
-    context.timelineMarkers = [...context.markers]
+    // Timeline rows: the main timeline and any parallel lanes, markers sorted by order
+    const timelineMarkers = [...context.markers]
       .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
       .map(m => ({
         ...m,
-        isActive: m.id === activeId
+        phaseLabel: m.phase ? game.i18n.localize(`DOWNTIME.Phases.${m.phase}`) : null
       }));
+    context.hasMarkers = timelineMarkers.length > 0;
+    context.timelineLanes = buildTimelineLanes(timelineMarkers, context.characters);
+    context.hasLanes = context.timelineLanes.length > 1;
+    context.activePhaseLabel = activePhase ? game.i18n.localize(`DOWNTIME.Phases.${activePhase}`) : null;
+    context.actionsPerCharacter = activeMarker ? getMarkerLimits(activeMarker).actionsPerCharacter : null;
+
+    // World clocks: players see those in play, the GM sees all of them
+    context.clocks = getClocks()
+      .map(clock => ({ ...clock, inPlay: isClockInPlay(clock, activeMarker), segmentPaths: getClockSegments(clock) }))
+      .filter(clock => clock.inPlay || context.isGM);
 
     // Assigned characters for active marker
     if (context.activeMarker) {
@@ -150,8 +275,33 @@ export class DowntimeTrackerApp extends Application {
     // Category filter
     html.find(".filter-btn").click(this._onFilterCategory.bind(this));
 
+    // Phase filter override (GM only)
+    html.find(".show-all-phases").change(this._onToggleAllPhases.bind(this));
+
     // Execute action
     html.find(".execute-action").click(this._onExecuteAction.bind(this));
+    html.find(".execute-group-action").click(this._onExecuteGroupAction.bind(this));
+
+    // Clocks (GM only): click to advance, right-click to step back
+    html.find(".create-clock").click(this._onCreateClock.bind(this));
+    html.find(".edit-clock").click(this._onEditClock.bind(this));
+    if (game.user.isGM) {
+      html.find(".downtime-clock .clock-ring").click(event => this._onStepClock(event, 1));
+      html.find(".downtime-clock .clock-ring").on("contextmenu", event => this._onStepClock(event, -1));
+    }
+
+    // History editing
+    html.find(".edit-history").click(this._onEditHistory.bind(this));
+    html.find(".delete-history").click(this._onDeleteHistory.bind(this));
+    html.find(".reveal-history").click(this._onRevealHistory.bind(this));
+    html.find(".undo-action").click(this._onUndoAction.bind(this));
+
+    // Projects
+    html.find(".add-project").click(this._onAddProject.bind(this));
+    html.find(".edit-project").click(this._onEditProject.bind(this));
+    html.find(".delete-project").click(this._onDeleteProject.bind(this));
+    html.find(".project-step").click(this._onStepProject.bind(this));
+    html.find(".resolve-obligation").click(this._onResolveObligation.bind(this));
 
     // Marker controls (GM only)
     html.find(".create-marker").click(this._onCreateMarker.bind(this));
@@ -177,9 +327,25 @@ export class DowntimeTrackerApp extends Application {
     html.find(".edit-marker").click(this._onEditMarker.bind(this));
     html.find(".delete-marker").click(this._onDeleteMarker.bind(this));
 
+    // Lane controls (GM only)
+    html.find(".create-lane").click(this._onCreateLane.bind(this));
+    html.find(".edit-lane").click(this._onEditLane.bind(this));
+    html.find(".delete-lane").click(this._onDeleteLane.bind(this));
+
     // Journal sync (GM only)
     html.find(".journal-sync-btn").click(this._onJournalSync.bind(this));
 
+    // LCP import and action set management (GM only)
+    html.find(".import-lcp-btn").click(this._onImportLCP.bind(this));
+    html.find(".manage-sets-btn").click(this._onManageSets.bind(this));
+
+    // Data export and import (GM only)
+    html.find(".export-data-btn").click(this._onExportData.bind(this));
+    html.find(".import-data-btn").click(this._onImportData.bind(this));
+
+    // Pending action requests (GM only)
+    html.find(".action-requests-btn").click(this._onOpenRequests.bind(this));
+
     // Timeline drag-drop (GM only)
     if (game.user.isGM) {
       this._initTimelineDragDrop(html);
@@ -200,6 +366,134 @@ export class DowntimeTrackerApp extends Application {
     this.render(false);
   }
 
+  _onToggleAllPhases(event) {
+    event.preventDefault();
+    this.showAllPhases = event.currentTarget.checked;
+    this.render(false);
+  }
+
+  /**
+   * Whether phase filtering is currently overridden by the GM
+   */
+  _ignorePhase() {
+    return game.user.isGM && this.showAllPhases;
+  }
+
+  /**
+   * Build the <option> list for the marker phase select
+   */
+  _phaseOptions(selected = null) {
+    const anyOption = `<option value="" ${!selected ? "selected" : ""}>${game.i18n.localize("DOWNTIME.Markers.AnyPhase")}</option>`;
+    return anyOption + Object.values(PHASES).map(phase =>
+      `<option value="${phase}" ${phase === selected ? "selected" : ""}>${game.i18n.localize(`DOWNTIME.Phases.${phase}`)}</option>`
+    ).join("");
+  }
+
+  /**
+   * Build the lane picker for the create/edit marker forms (only shown once lanes exist)
+   */
+  _laneFormGroup(selected = null) {
+    const lanes = getLanes();
+    if (lanes.length === 0) return "";
+    const options = lanes.map(lane =>
+      `<option value="${lane.id}" ${lane.id === selected ? "selected" : ""}>${escapeHTML(lane.name)}</option>`
+    ).join("");
+    return `
+      <div class="form-group">
+        <label>${game.i18n.localize("DOWNTIME.Lanes.LaneLabel")}:</label>
+        <select name="laneId">
+          <option value="" ${!selected ? "selected" : ""}>${game.i18n.localize("DOWNTIME.Lanes.Main")}</option>
+          ${options}
+        </select>
+      </div>
+    `;
+  }
+
+  /**
+   * Build the limits section of the create/edit marker forms
+   */
+  _limitsFormSection(limits) {
+    const actions = getActionsFromSets(getActiveActionSetIds());
+    // Action ids can repeat across sets; list each id once
+    const uniqueActions = [...new Map(actions.map(a => [a.id, a])).values()];
+
+    const categoryRows = Object.values(CATEGORIES).map(category => {
+      const state = limits.allowedCategories.includes(category) ? "allow"
+        : limits.forbiddenCategories.includes(category) ? "forbid" : "";
+      return `
+        <label class="limit-category">
+          <span>${game.i18n.localize(`DOWNTIME.Actions.Categories.${category}`)}</span>
+          <select name="category-${category}">
+            <option value="" ${state === "" ? "selected" : ""}>${game.i18n.localize("DOWNTIME.Limits.Any")}</option>
+            <option value="allow" ${state === "allow" ? "selected" : ""}>${game.i18n.localize("DOWNTIME.Limits.AllowOnly")}</option>
+            <option value="forbid" ${state === "forbid" ? "selected" : ""}>${game.i18n.localize("DOWNTIME.Limits.Forbid")}</option>
+          </select>
+        </label>
+      `;
+    }).join("");
+
+    const actionSelect = (name, selectedIds) => `
+      <select name="${name}" multiple size="4">
+        ${uniqueActions.map(a =>
+          `<option value="${a.id}" ${selectedIds.includes(a.id) ? "selected" : ""}>${escapeHTML(a.name)}</option>`
+        ).join("")}
+      </select>
+    `;
+
+    return `
+      <fieldset class="marker-limits">
+        <legend>${game.i18n.localize("DOWNTIME.Limits.Title")}</legend>
+        <div class="form-group">
+          <label>${game.i18n.localize("DOWNTIME.Limits.ActionsPerCharacter")}:</label>
+          <input type="number" name="actionsPerCharacter" min="0" value="${limits.actionsPerCharacter ?? ""}"
+                 placeholder="${game.i18n.localize("DOWNTIME.Characters.Unlimited")}"/>
+        </div>
+        <div class="limit-categories">${categoryRows}</div>
+        <div class="form-group">
+          <label>${game.i18n.localize("DOWNTIME.Limits.AllowedActions")}:</label>
+          ${actionSelect("allowedActionIds", limits.allowedActionIds)}
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("DOWNTIME.Limits.ForbiddenActions")}:</label>
+          ${actionSelect("forbiddenActionIds", limits.forbiddenActionIds)}
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("DOWNTIME.Limits.OncePerPeriod")}:</label>
+          ${actionSelect("oncePerPeriodActionIds", limits.oncePerPeriodActionIds)}
+        </div>
+        <p class="hint">${game.i18n.localize("DOWNTIME.Limits.Hint")}</p>
+      </fieldset>
+      <style>
+        .marker-limits { margin-top: 0.5rem; }
+        .marker-limits select[multiple] { width: 100%; }
+        .limit-categories { display: grid; grid-template-columns: 1fr 1fr; gap: 0.25rem 0.75rem; margin-bottom: 0.5rem; }
+        .limit-category { display: flex; align-items: center; justify-content: space-between; gap: 0.25rem; }
+      </style>
+    `;
+  }
+
+  /**
+   * Read the limits section of the create/edit marker forms
+   */
+  _readLimitsForm(html) {
+    const limits = getMarkerLimits(null);
+
+    const perCharacter = html.find('[name="actionsPerCharacter"]').val();
+    limits.actionsPerCharacter = perCharacter === "" ? null : Math.max(0, parseInt(perCharacter) || 0);
+
+    for (const category of Object.values(CATEGORIES)) {
+      const state = html.find(`[name="category-${category}"]`).val();
+      if (state === "allow") limits.allowedCategories.push(category);
+      if (state === "forbid") limits.forbiddenCategories.push(category);
+    }
+
+    limits.allowedActionIds = html.find('[name="allowedActionIds"]').val() || [];
+    limits.forbiddenActionIds = html.find('[name="forbiddenActionIds"]').val() || [];
+    limits.oncePerPeriodActionIds = html.find('[name="oncePerPeriodActionIds"]').val() || [];
+
+    return limits;
+  }
+
   async _onCreateMarker(event) {
     event.preventDefault();
 
@@ -207,8 +501,8 @@ export class DowntimeTrackerApp extends Application {
     const characterCheckboxes = characters.map(c =>
       `<label class="marker-char-checkbox">
         <input type="checkbox" name="characterId" value="${c.id}" checked/>
-        <img src="${c.img}" alt="${c.name}" class="marker-char-img"/>
-        ${c.name}
+        <img src="${c.img}" alt="${escapeHTML(c.name)}" class="marker-char-img"/>
+        ${escapeHTML(c.name)}
       </label>`
     ).join("");
 
@@ -222,6 +516,11 @@ export class DowntimeTrackerApp extends Application {
           <label>Description:</label>
           <textarea name="description" rows="2" placeholder="Optional notes about this period"></textarea>
         </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("DOWNTIME.Markers.PhaseLabel")}:</label>
+          <select name="phase">${this._phaseOptions()}</select>
+        </div>
+        ${this._laneFormGroup()}
         <div class="form-group">
           <label>
             <input type="checkbox" name="downtimeAllowed" checked/>
@@ -232,6 +531,7 @@ export class DowntimeTrackerApp extends Application {
           <label>Restrictions:</label>
           <textarea name="restrictions" rows="2" placeholder="Any limitations on actions"></textarea>
         </div>
+        ${this._limitsFormSection(getMarkerLimits(null))}
         <div class="form-group">
           <label>${game.i18n.localize("DOWNTIME.Markers.AssignedCharacters")}:</label>
           <p class="hint">${game.i18n.localize("DOWNTIME.Markers.AssignedCharactersHint")}</p>
@@ -261,8 +561,11 @@ export class DowntimeTrackerApp extends Application {
             const checkedIds = html.find('[name="characterId"]:checked').map((_, el) => el.value).get();
             // If all characters are checked, store empty array (= all)
             const characterIds = checkedIds.length === characters.length ? [] : checkedIds;
-            await addMarker(title, description, downtimeAllowed, restrictions, characterIds);
-            ui.notifications.info(`Marker created: ${title}`);
+            const phase = html.find('[name="phase"]').val() || null;
+            const limits = this._readLimitsForm(html);
+            const laneId = html.find('[name="laneId"]').val() || null;
+            await addMarker(title, description, downtimeAllowed, restrictions, characterIds, phase, limits, laneId);
+            ui.notifications.info(`${game.i18n.localize("DOWNTIME.Markers.Created")}: ${escapeHTML(title)}`);
             this.render(false);
           }
         },
@@ -283,7 +586,7 @@ export class DowntimeTrackerApp extends Application {
     if (!markerId) return;
 
     this.pinnedMarkerId = markerId;
-    await setActiveMarker(markerId);
+    await setLaneActiveMarker(markerId);
     this.render(false);
   }
 
@@ -314,8 +617,8 @@ export class DowntimeTrackerApp extends Application {
       const checked = allAssigned || markerCharIds.includes(c.id) ? "checked" : "";
       return `<label class="marker-char-checkbox">
         <input type="checkbox" name="characterId" value="${c.id}" ${checked}/>
-        <img src="${c.img}" alt="${c.name}" class="marker-char-img"/>
-        ${c.name}
+        <img src="${c.img}" alt="${escapeHTML(c.name)}" class="marker-char-img"/>
+        ${escapeHTML(c.name)}
       </label>`;
     }).join("");
 
@@ -323,12 +626,17 @@ export class DowntimeTrackerApp extends Application {
       <form class="edit-marker-form">
         <div class="form-group">
           <label>${game.i18n.localize("DOWNTIME.Markers.TitleLabel")}:</label>
-          <input type="text" name="title" value="${marker.title}"/>
+          <input type="text" name="title" value="${escapeHTML(marker.title)}"/>
         </div>
         <div class="form-group">
           <label>${game.i18n.localize("DOWNTIME.Markers.DescriptionLabel")}:</label>
-          <textarea name="description" rows="2">${marker.description || ""}</textarea>
+          <textarea name="description" rows="2">${escapeHTML(marker.description)}</textarea>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("DOWNTIME.Markers.PhaseLabel")}:</label>
+          <select name="phase">${this._phaseOptions(marker.phase)}</select>
         </div>
+        ${this._laneFormGroup(marker.laneId)}
         <div class="form-group">
           <label>
             <input type="checkbox" name="downtimeAllowed" ${marker.downtimeAllowed ? "checked" : ""}/>
@@ -337,8 +645,9 @@ export class DowntimeTrackerApp extends Application {
         </div>
         <div class="form-group">
           <label>${game.i18n.localize("DOWNTIME.Markers.RestrictionsLabel")}:</label>
-          <textarea name="restrictions" rows="2">${marker.restrictions || ""}</textarea>
+          <textarea name="restrictions" rows="2">${escapeHTML(marker.restrictions)}</textarea>
         </div>
+        ${this._limitsFormSection(getMarkerLimits(marker))}
         <div class="form-group">
           <label>${game.i18n.localize("DOWNTIME.Markers.AssignedCharacters")}:</label>
           <p class="hint">${game.i18n.localize("DOWNTIME.Markers.AssignedCharactersHint")}</p>
@@ -368,10 +677,151 @@ export class DowntimeTrackerApp extends Application {
               description: html.find('[name="description"]').val() || "",
               downtimeAllowed: html.find('[name="downtimeAllowed"]').is(":checked"),
               restrictions: html.find('[name="restrictions"]').val() || "",
+              phase: html.find('[name="phase"]').val() || null,
+              limits: this._readLimitsForm(html),
+              laneId: html.find('[name="laneId"]').val() || null,
               characterIds
             };
             await updateMarker(markerId, updates);
-            ui.notifications.info(`${game.i18n.localize("DOWNTIME.Markers.Updated")}: ${updates.title}`);
+            ui.notifications.info(`${game.i18n.localize("DOWNTIME.Markers.Updated")}: ${escapeHTML(updates.title)}`);
+            this.render(false);
+          }
+        },
+        cancel: {
+          icon: '<i class="fas fa-times"></i>',
+          label: game.i18n.localize("DOWNTIME.Markers.Cancel")
+        }
+      },
+      default: "save"
+    }).render(true);
+  }
+
+  async _onCreateClock(event) {
+    event.preventDefault();
+    await showClockDialog(null, getActionsFromSets(getActiveActionSetIds()));
+    this.render(false);
+  }
+
+  async _onEditClock(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    const clock = getClockById(event.currentTarget.dataset.clockId);
+    if (!clock) return;
+    await showClockDialog(clock, getActionsFromSets(getActiveActionSetIds()));
+    this.render(false);
+  }
+
+  async _onStepClock(event, step) {
+    event.preventDefault();
+    const clockId = $(event.currentTarget).closest(".downtime-clock").data("clockId");
+    const clock = getClockById(clockId);
+    if (!clock) return;
+    await setClockProgress(clockId, clock.progress + step);
+    this.render(false);
+  }
+
+  async _onCreateLane(event) {
+    event.preventDefault();
+    await this._showLaneDialog();
+  }
+
+  async _onEditLane(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    const lane = getLaneById(event.currentTarget.dataset.laneId);
+    if (lane) await this._showLaneDialog(lane);
+  }
+
+  async _onDeleteLane(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    const lane = getLaneById(event.currentTarget.dataset.laneId);
+    if (!lane) return;
+
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize("DOWNTIME.Lanes.DeleteTitle"),
+      content: `<p>${game.i18n.format("DOWNTIME.Lanes.DeleteConfirm", { name: escapeHTML(lane.name) })}</p>`
+    });
+    if (!confirmed) return;
+
+    await deleteLane(lane.id);
+    this.render(false);
+  }
+
+  /**
+   * Create or edit a lane: its name, who is in it, and where it splits and rejoins
+   */
+  async _showLaneDialog(lane = null) {
+    const characters = getAvailableCharacters();
+    const mainMarkers = getMarkers()
+      .filter(m => !m.laneId)
+      .sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+    const markerOptions = (selected) => mainMarkers.map(m =>
+      `<option value="${m.id}" ${m.id === selected ? "selected" : ""}>${escapeHTML(m.title)}</option>`
+    ).join("");
+
+    const characterCheckboxes = characters.map(c => `
+      <label class="marker-char-checkbox">
+        <input type="checkbox" name="characterId" value="${c.id}" ${lane?.characterIds.includes(c.id) ? "checked" : ""}/>
+        <img src="${c.img}" alt="${escapeHTML(c.name)}" class="marker-char-img"/>
+        ${escapeHTML(c.name)}
+      </label>
+    `).join("");
+
+    const content = `
+      <form class="lane-form">
+        <div class="form-group">
+          <label>${game.i18n.localize("DOWNTIME.Lanes.Name")}:</label>
+          <input type="text" name="name" value="${escapeHTML(lane?.name)}" placeholder="${game.i18n.localize("DOWNTIME.Lanes.NamePlaceholder")}"/>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("DOWNTIME.Lanes.SplitFrom")}:</label>
+          <select name="splitFromMarkerId">
+            <option value="">${game.i18n.localize("DOWNTIME.Lanes.Start")}</option>
+            ${markerOptions(lane?.splitFromMarkerId)}
+          </select>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("DOWNTIME.Lanes.RejoinAt")}:</label>
+          <select name="rejoinMarkerId">
+            <option value="">${game.i18n.localize("DOWNTIME.Lanes.NoRejoin")}</option>
+            ${markerOptions(lane?.rejoinMarkerId)}
+          </select>
+          <p class="hint">${game.i18n.localize("DOWNTIME.Lanes.RejoinHint")}</p>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("DOWNTIME.Lanes.Characters")}:</label>
+          <p class="hint">${game.i18n.localize("DOWNTIME.Lanes.CharactersHint")}</p>
+          <div class="marker-char-list">${characterCheckboxes || '<em>No characters available</em>'}</div>
+        </div>
+      </form>
+      <style>
+        .marker-char-list { display: flex; flex-direction: column; gap: 0.25rem; margin-top: 0.25rem; }
+        .marker-char-checkbox { display: flex; align-items: center; gap: 0.4rem; cursor: pointer; }
+        .marker-char-img { width: 24px; height: 24px; border-radius: 50%; object-fit: cover; }
+        .hint { font-size: 0.8rem; color: #888; margin: 0.25rem 0; }
+      </style>
+    `;
+
+    new Dialog({
+      title: game.i18n.localize(lane ? "DOWNTIME.Lanes.EditTitle" : "DOWNTIME.Lanes.CreateTitle"),
+      content,
+      buttons: {
+        save: {
+          icon: '<i class="fas fa-save"></i>',
+          label: game.i18n.localize("DOWNTIME.Markers.Save"),
+          callback: async (html) => {
+            const data = {
+              name: html.find('[name="name"]').val()?.trim() || lane?.name || game.i18n.localize("DOWNTIME.Lanes.Untitled"),
+              splitFromMarkerId: html.find('[name="splitFromMarkerId"]').val() || null,
+              rejoinMarkerId: html.find('[name="rejoinMarkerId"]').val() || null,
+              characterIds: html.find('[name="characterId"]:checked').map((_, el) => el.value).get()
+            };
+            if (lane) {
+              await updateLane(lane.id, data);
+            } else {
+              await addLane(data);
+            }
             this.render(false);
           }
         },
@@ -394,12 +844,12 @@ export class DowntimeTrackerApp extends Application {
 
     const confirmed = await Dialog.confirm({
       title: game.i18n.localize("DOWNTIME.Markers.DeleteTitle"),
-      content: `<p>${game.i18n.localize("DOWNTIME.Markers.DeleteConfirm")} <strong>${marker.title}</strong>?</p>`
+      content: `<p>${game.i18n.localize("DOWNTIME.Markers.DeleteConfirm")} <strong>${escapeHTML(marker.title)}</strong>?</p>`
     });
 
     if (confirmed) {
       await deleteMarker(markerId);
-      ui.notifications.info(`${game.i18n.localize("DOWNTIME.Markers.Deleted")}: ${marker.title}`);
+      ui.notifications.info(`${game.i18n.localize("DOWNTIME.Markers.Deleted")}: ${escapeHTML(marker.title)}`);
       this.render(false);
     }
   }
@@ -472,8 +922,13 @@ export class DowntimeTrackerApp extends Application {
         const insertIndex = e.clientX < midX ? toIndex : toIndex + 1;
         orderedIds.splice(insertIndex, 0, droppedId);
 
-        // Build order updates
+        // Build order updates; dropping onto another lane's marker moves it to that lane
         const orderUpdates = orderedIds.map((id, i) => ({ id, order: i }));
+        const targetLaneId = node.dataset.laneId || null;
+        const dropped = markers.find(m => m.id === droppedId);
+        if ((dropped.laneId || null) !== targetLaneId) {
+          orderUpdates.find(u => u.id === droppedId).laneId = targetLaneId;
+        }
         await reorderMarkers(orderUpdates);
 
         nodes.each((_, n) => {
@@ -490,6 +945,313 @@ export class DowntimeTrackerApp extends Application {
     await showJournalSyncDialog(this);
   }
 
+  _onImportLCP(event) {
+    event.preventDefault();
+    showImportDialog(this);
+  }
+
+  _onOpenRequests(event) {
+    event.preventDefault();
+    openActionRequestQueue();
+  }
+
+  _onManageSets(event) {
+    event.preventDefault();
+    openActionSetManager();
+  }
+
+  _onExportData(event) {
+    event.preventDefault();
+    exportModuleData();
+  }
+
+  async _onImportData(event) {
+    event.preventDefault();
+    await showDataImportDialog(this);
+  }
+
+  /**
+   * Human-readable source for an action set
+   */
+  _getSourceLabel(actionSet) {
+    switch (actionSet?.source) {
+      case ACTION_SET_SOURCES.LCP:
+        return actionSet.filename
+          ? `${game.i18n.localize("DOWNTIME.Sources.lcp")}: ${actionSet.filename}`
+          : game.i18n.localize("DOWNTIME.Sources.lcp");
+      case ACTION_SET_SOURCES.WORLD:
+        return game.i18n.localize("DOWNTIME.Sources.world");
+      default:
+        return game.i18n.localize("DOWNTIME.Sources.built-in");
+    }
+  }
+
+  /**
+   * Get the selected character's actor
+   */
+  _getSelectedActor() {
+    return game.actors.get(this.selectedCharacterId) || null;
+  }
+
+  async _onAddProject(event) {
+    event.preventDefault();
+    const actor = this._getSelectedActor();
+    if (!actor) return;
+
+    const data = await showProjectDialog(actor, getActionsFromSets(getActiveActionSetIds()));
+    if (!data) return;
+
+    await addProject(actor, data);
+    ui.notifications.info(`${game.i18n.localize("DOWNTIME.Projects.Created")}: ${escapeHTML(data.name)}`);
+    this.render(false);
+  }
+
+  async _onEditProject(event) {
+    event.preventDefault();
+    const actor = this._getSelectedActor();
+    const projectId = event.currentTarget.dataset.projectId;
+    const project = getCharacterDowntimeData(actor).projects?.find(p => p.id === projectId);
+    if (!project) return;
+
+    const data = await showProjectDialog(actor, getActionsFromSets(getActiveActionSetIds()), project);
+    if (!data) return;
+
+    await updateProject(actor, projectId, {
+      ...data,
+      progress: Math.min(project.progress, data.track)
+    });
+    this.render(false);
+  }
+
+  async _onDeleteProject(event) {
+    event.preventDefault();
+    const actor = this._getSelectedActor();
+    const projectId = event.currentTarget.dataset.projectId;
+    const project = getCharacterDowntimeData(actor).projects?.find(p => p.id === projectId);
+    if (!project) return;
+
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize("DOWNTIME.Projects.RemoveProject"),
+      content: `<p>${game.i18n.localize("DOWNTIME.Projects.DeleteConfirm")} <strong>${escapeHTML(project.name)}</strong>?</p>`
+    });
+
+    if (confirmed) {
+      await deleteProject(actor, projectId);
+      this.render(false);
+    }
+  }
+
+  async _onStepProject(event) {
+    event.preventDefault();
+    const actor = this._getSelectedActor();
+    const { projectId, step } = event.currentTarget.dataset;
+    await advanceProject(actor, projectId, parseInt(step));
+    this.render(false);
+  }
+
+  async _onResolveObligation(event) {
+    event.preventDefault();
+    const actor = this._getSelectedActor();
+    const { obligationId, status } = event.currentTarget.dataset;
+    await setObligationStatus(actor, obligationId, status);
+    this.render(false);
+  }
+
+  async _onEditHistory(event) {
+    event.preventDefault();
+    const actor = this._getSelectedActor();
+    const entryId = event.currentTarget.dataset.entryId;
+    const entry = getCharacterDowntimeData(actor).history?.find(h => h.id === entryId);
+    if (!entry) return;
+
+    // An unrevealed blind result stays hidden, and unchanged, when a player edits the entry
+    const hidden = isRollHidden(entry.result?.rollData);
+    const results = ["triumph", "success", "conflict", "disaster"];
+    const resultOptions = results.map(r =>
+      `<option value="${r}" ${entry.result?.rollResult === r ? "selected" : ""}>${game.i18n.localize(`DOWNTIME.Results.${r.charAt(0).toUpperCase() + r.slice(1)}`)}</option>`
+    ).join("");
+
+    const markerOptions = getMarkers()
+      .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+      .map(m => `<option value="${m.id}" ${entry.markerId === m.id ? "selected" : ""}>${escapeHTML(m.title)}</option>`)
+      .join("");
+
+    const content = `
+      <form class="edit-history-form">
+        <p><strong>${escapeHTML(entry.actionName)}</strong></p>
+        <div class="form-group">
+          <label>${game.i18n.localize("DOWNTIME.History.Result")}:</label>
+          ${hidden ? `<input type="text" value="${game.i18n.localize("DOWNTIME.Roll.HiddenResult")}" disabled/>` : `
+          <select name="rollResult">
+            <option value="">${game.i18n.localize("DOWNTIME.History.NoResult")}</option>
+            ${resultOptions}
+          </select>`}
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("DOWNTIME.History.Marker")}:</label>
+          <select name="markerId">
+            <option value="">${game.i18n.localize("DOWNTIME.History.NoMarker")}</option>
+            ${markerOptions}
+          </select>
+        </div>
+        <div class="form-group">
+          <label>${game.i18n.localize("DOWNTIME.Dialogs.Action.Notes")}:</label>
+          <textarea name="notes" rows="3">${escapeHTML(entry.result?.description)}</textarea>
+        </div>
+      </form>
+    `;
+
+    new Dialog({
+      title: game.i18n.localize("DOWNTIME.History.EditTitle"),
+      content,
+      buttons: {
+        save: {
+          icon: '<i class="fas fa-save"></i>',
+          label: game.i18n.localize("DOWNTIME.Markers.Save"),
+          callback: async (html) => {
+            const result = { description: html.find('[name="notes"]').val() || "" };
+            if (!hidden) {
+              result.rollResult = html.find('[name="rollResult"]').val() || null;
+              result.success = result.rollResult === "triumph" || result.rollResult === "success";
+            }
+            await updateHistoryEntry(actor, entryId, {
+              markerId: html.find('[name="markerId"]').val() || null,
+              result
+            });
+            this.render(false);
+          }
+        },
+        cancel: {
+          icon: '<i class="fas fa-times"></i>',
+          label: game.i18n.localize("DOWNTIME.Markers.Cancel")
+        }
+      },
+      default: "save"
+    }).render(true);
+  }
+
+  async _onDeleteHistory(event) {
+    event.preventDefault();
+    const actor = this._getSelectedActor();
+    const entryId = event.currentTarget.dataset.entryId;
+    const entry = getCharacterDowntimeData(actor).history?.find(h => h.id === entryId);
+    if (!entry) return;
+
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize("DOWNTIME.History.DeleteTitle"),
+      content: `<p>${game.i18n.localize("DOWNTIME.History.DeleteConfirm")} <strong>${escapeHTML(entry.actionName)}</strong>?</p>`
+    });
+
+    if (confirmed) {
+      await deleteHistoryEntry(actor, entryId);
+      this.undoStack = this.undoStack.filter(u => u.entryId !== entryId);
+      this.render(false);
+    }
+  }
+
+  /**
+   * GM: reveal a blind roll to the players, including every participant's
+   * entry for a group action, and apply what the roll held back
+   */
+  async _onRevealHistory(event) {
+    event.preventDefault();
+    const actor = this._getSelectedActor();
+    const entry = getCharacterDowntimeData(actor).history?.find(h => h.id === event.currentTarget.dataset.entryId);
+    if (!entry) return;
+
+    const reveal = async (owner, revealed) => {
+      await revealBlindRoll(owner, revealed.id);
+      if (revealed.effectsPending) await this._resolvePendingEffects(owner, revealed);
+    };
+
+    await reveal(actor, entry);
+    for (const participant of entry.group?.participants || []) {
+      if (participant.actorId === actor.id) continue;
+      const other = game.actors.get(participant.actorId);
+      const groupEntry = other && getCharacterDowntimeData(other).history?.find(h => h.groupId === entry.groupId);
+      if (groupEntry) await reveal(other, groupEntry);
+    }
+    this.render(false);
+  }
+
+  /**
+   * GM: apply the effects and project progress a player's blind roll held
+   * back, now that the result is revealed. This runs on the GM's client, so
+   * the effect confirmation and any choices (burn clears, reserves, which
+   * clock to move) are made by the GM for the player, as with approved
+   * requests.
+   */
+  async _resolvePendingEffects(actor, entry) {
+    const character = getAvailableCharacters().find(c => c.id === actor.id);
+    const action = getActionsFromSets([entry.actionSetId]).find(a => a.id === entry.actionId);
+    if (!character || !action) {
+      ui.notifications.warn(game.i18n.format("DOWNTIME.Roll.PendingEffectsMissing", { action: escapeHTML(entry.actionName) }));
+      await updateHistoryEntry(actor, entry.id, { effectsPending: false });
+      return;
+    }
+
+    if (action.effects?.length) {
+      ui.notifications.info(game.i18n.format("DOWNTIME.Roll.PendingEffectsChoosing", {
+        character: escapeHTML(character.name),
+        action: escapeHTML(action.name)
+      }));
+    }
+
+    const rollResult = entry.result?.rollResult ?? null;
+    const effects = await resolveActionEffects(character, action, rollResult);
+    const projectProgress = rollResult ? await advanceLinkedProjects(actor, action, rollResult) : [];
+    await updateHistoryEntry(actor, entry.id, {
+      effects: [...(entry.effects || []), ...effects],
+      projectProgress,
+      effectsPending: false
+    });
+  }
+
+  /**
+   * Undo the last action recorded this session: reverse its effects and
+   * project progress, then delete its history entry
+   */
+  async _onUndoAction(event) {
+    event.preventDefault();
+    const last = this.undoStack[this.undoStack.length - 1];
+    if (!last) return;
+
+    const actor = game.actors.get(last.actorId);
+    const entry = actor && getCharacterDowntimeData(actor).history?.find(h => h.id === last.entryId);
+    if (!entry) {
+      // Entry was removed elsewhere; nothing left to undo for it
+      this.undoStack.pop();
+      this.render(false);
+      return;
+    }
+
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize("DOWNTIME.History.UndoTitle"),
+      content: `<p>${game.i18n.format("DOWNTIME.History.UndoConfirm", {
+        character: escapeHTML(actor.name),
+        action: escapeHTML(entry.actionName)
+      })}</p>`
+    });
+    if (!confirmed) return;
+
+    const skipped = await revertEffectPlan(actor, entry.effects || [], entry.id);
+    for (const progress of entry.projectProgress || []) {
+      await advanceProject(actor, progress.projectId, -progress.amount);
+    }
+    await deleteHistoryEntry(actor, entry.id);
+    await deleteGroupEntries(entry, actor.id);
+    this.undoStack.pop();
+
+    if (skipped.length > 0) {
+      ui.notifications.warn(game.i18n.format("DOWNTIME.History.UndoPartial", {
+        changes: skipped.map(describeChange).join("; ")
+      }));
+    } else {
+      ui.notifications.info(game.i18n.format("DOWNTIME.History.Undone", { action: escapeHTML(entry.actionName) }));
+    }
+    this.render(false);
+  }
+
   /**
    * Get roll history entries for a specific marker, aggregated across all characters
    */
@@ -500,7 +1262,8 @@ export class DowntimeTrackerApp extends Application {
       for (const entry of history) {
         if (entry.markerId === markerId) {
           entries.push({
-            ...entry,
+            ...this._maskHiddenResult(entry),
+            characterId: char.id,
             characterName: char.name,
             characterImg: char.img
           });
@@ -509,58 +1272,136 @@ export class DowntimeTrackerApp extends Application {
     }
     // Sort by timestamp descending (most recent first)
     entries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-    return entries;
+    return groupMarkerHistory(entries);
+  }
+
+  /**
+   * Hide the result of an unrevealed blind roll from players
+   */
+  _maskHiddenResult(entry) {
+    if (!isRollHidden(entry.result?.rollData)) return entry;
+    // Effects and project progress (e.g. a reserve gained) would give the result away too
+    return {
+      ...entry,
+      hiddenResult: true,
+      effects: [],
+      projectProgress: [],
+      result: { ...entry.result, rollResult: null, rollData: null }
+    };
   }
 
   async _onExecuteAction(event) {
     event.preventDefault();
     event.stopPropagation();
 
-    const actionId = event.currentTarget.dataset.actionId;
+    const target = this._getActionTarget(event);
+    if (!target) return;
+    const { character, action, activeMarker } = target;
+
+    // In approval mode the player's action goes to the GM instead
+    if (needsApproval()) {
+      await submitActionRequest(character, action, activeMarker?.id || null);
+      return;
+    }
+
+    await this._showExecuteDialog(character, action);
+  }
+
+  /**
+   * Execute an action as a group: the selected character leads and rolls,
+   * the chosen helpers contribute and share the history entry
+   */
+  async _onExecuteGroupAction(event) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const target = this._getActionTarget(event);
+    if (!target) return;
+    const { character, action, activeMarker } = target;
+
+    // Group actions aren't offered in approval mode; the action goes to the GM alone
+    if (needsApproval()) {
+      await submitActionRequest(character, action, activeMarker?.id || null);
+      return;
+    }
+
+    // Helpers can be characters the player doesn't own; the GM records their entries
+    const rollType = action.requiresRoll ? determineRollType(action, character) : null;
+    const candidates = getGroupCandidates(activeMarker, getAvailableCharacters({ includeUnowned: true }), character, action);
+    const helpers = await showGroupActionDialog(character, action, candidates, rollType);
+    if (!helpers) return;
+
+    await this._showExecuteDialog(character, action, helpers);
+  }
+
+  /**
+   * Look up the selected character and clicked action, checking the active
+   * marker allows it. Warns and returns null if the action can't be taken.
+   */
+  _getActionTarget(event) {
+    const { actionId, setId } = event.currentTarget.dataset;
 
     if (!this.selectedCharacterId) {
       ui.notifications.warn("Select a character first");
-      return;
+      return null;
     }
 
-    // Check if downtime is allowed
-    const activeMarker = getActiveMarker();
+    // Check if downtime is allowed at the character's current marker
+    const activeMarker = getCharacterMarker(this.selectedCharacterId);
     if (activeMarker && !activeMarker.downtimeAllowed) {
       ui.notifications.warn("Downtime actions are not currently allowed");
-      return;
+      return null;
     }
 
     const characters = getAvailableCharacters();
     const character = characters.find(c => c.id === this.selectedCharacterId);
-    const activeSetIds = game.settings.get(MODULE_ID, SETTINGS.activeActionSets) || ["lancer-core", "far-field"];
+    const activeSetIds = getActiveActionSetIds();
     const actions = getActionsFromSets(activeSetIds);
-    const action = actions.find(a => a.id === actionId);
+    // Action ids can repeat across sets, so match on both
+    const action = actions.find(a => a.id === actionId && a.actionSetId === setId);
 
-    if (!character || !action) return;
+    if (!character || !action) return null;
 
-    await this._showExecuteDialog(character, action);
+    // Check the marker's limits against this character's history for the period
+    const limitCheck = checkActionAgainstMarker(activeMarker, action, character.downtimeData?.history);
+    if (!limitCheck.allowed) {
+      ui.notifications.warn(`${escapeHTML(character.name)}: ${escapeHTML(limitCheck.reason)}`);
+      return null;
+    }
+
+    // Check the action is legal in the current phase
+    if (!this._ignorePhase() && filterActionsByPhase([action], activeMarker?.phase).length === 0) {
+      ui.notifications.warn(game.i18n.format("DOWNTIME.Notifications.WrongPhase", {
+        action: escapeHTML(action.name),
+        phase: game.i18n.localize(`DOWNTIME.Phases.${activeMarker.phase}`)
+      }));
+      return null;
+    }
+
+    return { character, action, activeMarker, characters };
   }
 
-  async _showExecuteDialog(character, action) {
+  async _showExecuteDialog(character, action, helpers = []) {
     if (action.requiresRoll) {
       // Use the new roll system
-      await this._executeWithRoll(character, action);
+      await this._executeWithRoll(character, action, helpers);
     } else {
       // No roll needed - just log with optional notes
-      await this._executeWithoutRoll(character, action);
+      await this._executeWithoutRoll(character, action, helpers);
     }
   }
 
   /**
    * Execute an action that requires a roll
    */
-  async _executeWithRoll(character, action) {
+  async _executeWithRoll(character, action, helpers = []) {
     const rollType = determineRollType(action, character);
     const isPilotCheck = rollType === ROLL_TYPES.PILOT_CHECK;
 
-    // Get base values based on character type
+    // Get base values based on character type; helpers add accuracy or bonus dice
+    const helpBonus = getHelpBonus(helpers);
     const basePool = getBasePoolSize(character.actor, action);
-    const baseAccuracy = getBaseAccuracy(character.actor, action);
+    const baseAccuracy = getBaseAccuracy(character.actor, action) + (isPilotCheck ? helpBonus : 0);
 
     // Show the roll dialog
     const rollResult = await showRollDialog({
@@ -569,7 +1410,12 @@ export class DowntimeTrackerApp extends Application {
       rollType,
       basePool,
       baseAccuracy,
-      description: action.description
+      description: action.description,
+      triggers: isPilotCheck ? getPilotSkillTriggers(character.actor, action) : [],
+      accuracySources: isPilotCheck ? getAccuracySuggestions(character.actor) : [],
+      poolSources: isPilotCheck ? null : getPoolSources(character.actor, action),
+      baseBonusDice: isPilotCheck ? 0 : helpBonus,
+      helpers
     });
 
     if (!rollResult) {
@@ -578,31 +1424,66 @@ export class DowntimeTrackerApp extends Application {
     }
 
     // Post roll to chat
-    await postRollToChat(rollResult, {
+    const message = await postRollToChat(rollResult, {
       characterName: character.name,
       actionName: action.name,
       actor: character.actor
     });
 
+    // Write any boxes marked or burned for bonus dice back to the character
+    const spentBoxes = rollResult.trackSpends?.length
+      ? await applyEffectPlan(character.actor, rollResult.trackSpends)
+      : [];
+
     // Prompt for notes after the roll
     const notes = await this._promptForNotes(character, action, rollResult);
 
+    // The GM may have decided conditionals while notes were being written
+    const finalRoll = game.messages.get(message?.id)?.getFlag(MODULE_ID, "rollData") || rollResult;
+
+    // A blind roll's effects and project progress would give the result away;
+    // the GM resolves them on reveal
+    const effectsPending = isRollHidden(finalRoll);
+
+    // Apply the action's declared effects to the character
+    const effects = effectsPending
+      ? spentBoxes
+      : [...spentBoxes, ...await resolveActionEffects(character, action, finalRoll.resultCategory, { rollMode: finalRoll.rollMode })];
+
+    // Advance any projects linked to this action
+    const projectProgress = effectsPending
+      ? []
+      : await advanceLinkedProjects(character.actor, action, finalRoll.resultCategory);
+
     // Record the action
-    await this._recordAction(character, action, {
-      rollResult: rollResult.resultCategory,
+    const historyEntry = await this._recordAction(character, action, {
+      rollResult: finalRoll.resultCategory,
       notes,
-      rollData: rollResult
-    });
+      rollData: finalRoll,
+      effects,
+      projectProgress,
+      effectsPending
+    }, helpers);
+
+    // Link the chat card to the history entry so later GM decisions update it
+    if (message) {
+      await message.setFlag(MODULE_ID, "historyEntryId", historyEntry.id);
+    }
+
+    // Power at a Cost: let the GM name the price
+    if (action.hasCost) {
+      await postCostCard(character, action, historyEntry.id);
+    }
   }
 
   /**
    * Execute an action that doesn't require a roll
    */
-  async _executeWithoutRoll(character, action) {
+  async _executeWithoutRoll(character, action, helpers = []) {
     const content = `
       <form class="execute-action-form">
-        <p><strong>${action.name}</strong></p>
-        <p>${action.description}</p>
+        <p><strong>${escapeHTML(action.name)}</strong></p>
+        <p>${sanitizeHTML(action.description)}</p>
         <hr/>
         <div class="form-group">
           <label>Notes:</label>
@@ -620,7 +1501,11 @@ export class DowntimeTrackerApp extends Application {
           label: "Log Action",
           callback: async (html) => {
             const notes = html.find('[name="notes"]').val() || "";
-            await this._recordAction(character, action, { rollResult: null, notes });
+            const effects = await resolveActionEffects(character, action, null);
+            const historyEntry = await this._recordAction(character, action, { rollResult: null, notes, effects }, helpers);
+            if (action.hasCost) {
+              await postCostCard(character, action, historyEntry.id);
+            }
           }
         },
         cancel: {
@@ -637,12 +1522,15 @@ export class DowntimeTrackerApp extends Application {
    */
   async _promptForNotes(character, action, rollResult) {
     return new Promise((resolve) => {
-      const resultClass = rollResult.resultCategory;
+      // Blind rolls keep the result from the player
+      const hidden = isRollHidden(rollResult);
+      const resultClass = hidden ? "hidden" : rollResult.resultCategory;
+      const resultLabel = hidden ? game.i18n.localize("DOWNTIME.Roll.HiddenResult") : rollResult.resultLabel;
       const content = `
         <form class="post-roll-notes">
           <div class="roll-summary">
-            <span class="result-badge ${resultClass}">${rollResult.resultLabel}</span>
-            ${rollResult.reason ? `<p class="reason"><em>${rollResult.reason}</em></p>` : ''}
+            <span class="result-badge ${resultClass}">${resultLabel}</span>
+            ${rollResult.reason ? `<p class="reason"><em>${escapeHTML(rollResult.reason)}</em></p>` : ''}
           </div>
           <hr/>
           <div class="form-group">
@@ -660,12 +1548,13 @@ export class DowntimeTrackerApp extends Application {
           .post-roll-notes .result-badge.success { background: #1db954; color: #fff; }
           .post-roll-notes .result-badge.conflict { background: #ff9800; color: #000; }
           .post-roll-notes .result-badge.disaster { background: #e94560; color: #fff; }
+          .post-roll-notes .result-badge.hidden { background: #444; color: #ccc; }
           .post-roll-notes .reason { font-size: 0.9rem; color: #888; margin: 0.5rem 0 0 0; }
         </style>
       `;
 
       new Dialog({
-        title: `${action.name} - ${rollResult.resultLabel}`,
+        title: `${action.name} - ${resultLabel}`,
         content,
         buttons: {
           save: {
@@ -686,25 +1575,17 @@ export class DowntimeTrackerApp extends Application {
     });
   }
 
-  async _recordAction(character, action, result) {
-    const activeMarker = getActiveMarker();
-    const historyEntry = createHistoryEntry(null, action, {
-      success: result.rollResult === "triumph" || result.rollResult === "success",
-      rollResult: result.rollResult,
-      description: result.notes,
-      rollData: result.rollData || null
-    }, activeMarker?.id || null);
-
-    const downtimeData = getCharacterDowntimeData(character.actor);
-    const history = [...(downtimeData.history || [])];
-    history.unshift(historyEntry);
-
-    await updateCharacterDowntimeData(character.actor, {
-      history,
-      stats: {
-        totalActions: (downtimeData.stats?.totalActions || 0) + 1,
-        lastDowntime: new Date().toISOString()
-      }
+  async _recordAction(character, action, result, helpers = []) {
+    const activeMarker = getCharacterMarker(character.id);
+    const historyEntry = helpers.length
+      ? await recordGroupEntries(character, helpers, action, result, activeMarker?.id || null)
+      : await recordHistoryEntry(character.actor, action, result, activeMarker?.id || null);
+
+    this.undoStack.push({
+      actorId: character.actor.id,
+      entryId: historyEntry.id,
+      characterName: character.name,
+      actionName: action.name
     });
 
     // Show result notification with color coding
@@ -715,15 +1596,16 @@ export class DowntimeTrackerApp extends Application {
       disaster: "#e94560"
     };
 
-    if (result.rollResult) {
+    if (result.rollResult && !isRollHidden(result.rollData)) {
       const color = resultColors[result.rollResult] || "#fff";
       ui.notifications.info(
-        `${character.name}: ${action.name} - <span style="color: ${color}; font-weight: bold;">${result.rollResult.toUpperCase()}</span>`
+        `${escapeHTML(character.name)}: ${escapeHTML(action.name)} - <span style="color: ${color}; font-weight: bold;">${result.rollResult.toUpperCase()}</span>`
       );
     } else {
-      ui.notifications.info(`${character.name}: ${action.name}`);
+      ui.notifications.info(`${escapeHTML(character.name)}: ${escapeHTML(action.name)}`);
     }
 
     this.render(false);
+    return historyEntry;
   }
 }
@@ -0,0 +1,389 @@
+/**
+ * Action Requests
+ *
+ * In "approval required" mode players don't execute actions directly.
+ * Their action becomes a pending request sent to the GM over the module
+ * socket; the GM approves it (optionally adjusting the roll), or denies it.
+ * Approved requests are rolled and recorded by the GM on the player's behalf.
+ * That includes the effects: the effect confirmation, burn chooser and
+ * reserve picker open on the GM's client, and the GM makes those choices for
+ * the player as part of approving.
+ */
+
+import { MODULE_ID, SETTINGS, createActionRequest } from "./constants.mjs";
+import { getActionsFromSets } from "./downtime-actions.mjs";
+import { getAvailableCharacters, getMarkers, recordHistoryEntry } from "./main.mjs";
+import { checkActionAgainstMarker } from "./marker-limits.mjs";
+import { resolveActionEffects, applyEffectPlan } from "./effect-engine.mjs";
+import { advanceLinkedProjects } from "./projects.mjs";
+import { postCostCard } from "./costs.mjs";
+import {
+  executePilotCheck,
+  executeDicePool,
+  postRollToChat,
+  determineRollType,
+  getBasePoolSize,
+  getBaseAccuracy,
+  isBlindUnrevealed,
+  renderRollModeSelect,
+  ROLL_TYPES
+} from "./roll-handler.mjs";
+import { getPoolSources, renderPoolPicker, bindPoolPicker, readPoolChoices, resolvePoolChoices } from "./far-field-pool.mjs";
+import { emitSocket, isActiveGM, isGMConnected, SOCKET_EVENTS } from "./socket.mjs";
+import { getPilotSkillTriggers, renderTriggerSelect, readTriggerSelect } from "./pilot-skills.mjs";
+import { escapeHTML, sanitizeHTML } from "./text-utils.mjs";
+
+/**
+ * Whether player actions need GM approval
+ */
+export function isApprovalRequired() {
+  return game.settings.get(MODULE_ID, SETTINGS.approvalRequired) === true;
+}
+
+/**
+ * Whether an action taken by the current user should become a request
+ */
+export function needsApproval() {
+  return isApprovalRequired() && !game.user.isGM;
+}
+
+/**
+ * Get all pending action requests
+ */
+export function getActionRequests() {
+  return game.settings.get(MODULE_ID, SETTINGS.actionRequests) || [];
+}
+
+/**
+ * Show the request dialog and send the request to the GM
+ * @param {Object} character - Character entry from getAvailableCharacters
+ * @param {Object} action - The downtime action
+ * @param {string|null} markerId - Marker the action is taken against
+ * @returns {Promise<Object|null>} The submitted request, or null if cancelled
+ */
+export async function submitActionRequest(character, action, markerId = null) {
+  if (!isGMConnected()) {
+    ui.notifications.warn(game.i18n.localize("DOWNTIME.Requests.NoGM"));
+    return null;
+  }
+
+  const rollType = action.requiresRoll ? determineRollType(action, character) : null;
+  const form = await showRequestDialog(character, action, rollType);
+  if (!form) return null;
+
+  const request = createActionRequest({
+    actorId: character.actor.id,
+    userId: game.user.id,
+    actionId: action.id,
+    actionSetId: action.actionSetId,
+    actionName: action.name,
+    markerId,
+    rollType,
+    proposed: form.proposed,
+    aspects: form.aspects,
+    trackSpends: form.trackSpends,
+    rollMode: form.rollMode,
+    notes: form.notes
+  });
+
+  emitSocket(SOCKET_EVENTS.ACTION_REQUESTED, request);
+  ui.notifications.info(game.i18n.format("DOWNTIME.Requests.Sent", { action: escapeHTML(action.name) }));
+  return request;
+}
+
+/**
+ * Ask the player for the roll they'd like to make and any notes
+ */
+function showRequestDialog(character, action, rollType) {
+  const isPilotCheck = rollType === ROLL_TYPES.PILOT_CHECK;
+  const triggers = isPilotCheck ? getPilotSkillTriggers(character.actor, action) : [];
+  const poolSources = rollType && !isPilotCheck ? getPoolSources(character.actor, action) : null;
+
+  let rollFields = "";
+  if (rollType && isPilotCheck) {
+    rollFields = `
+      <div class="form-group">
+        <label>${game.i18n.localize("DOWNTIME.Roll.Triggers.Label")}:</label>
+        ${renderTriggerSelect(triggers)}
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("DOWNTIME.Requests.Accuracy")}:</label>
+        <input type="number" name="accuracy" value="${getBaseAccuracy(character.actor, action)}" min="0" max="10"/>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("DOWNTIME.Requests.Difficulty")}:</label>
+        <input type="number" name="difficulty" value="0" min="0" max="10"/>
+      </div>
+    `;
+  } else if (rollType) {
+    rollFields = `
+      ${renderPoolPicker(poolSources)}
+      <div class="form-group">
+        <label>${game.i18n.localize("DOWNTIME.Requests.PoolSize")}:</label>
+        <input type="number" name="poolSize" value="${getBasePoolSize(character.actor, action)}" min="1" max="20"/>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("DOWNTIME.Requests.BonusDice")}:</label>
+        <input type="number" name="bonusDice" value="0" data-base="0" min="0" max="10"/>
+      </div>
+    `;
+  }
+
+  const content = `
+    <form class="action-request-form">
+      <p><strong>${escapeHTML(action.name)}</strong></p>
+      <p>${sanitizeHTML(action.description)}</p>
+      <p class="hint">${game.i18n.localize("DOWNTIME.Requests.Hint")}</p>
+      <hr/>
+      ${rollFields}
+      ${rollType ? `
+        <div class="form-group">
+          <label>${game.i18n.localize("DOWNTIME.Requests.Reason")}:</label>
+          <input type="text" name="reason" value=""/>
+        </div>
+        ${renderRollModeSelect()}
+      ` : ""}
+      <div class="form-group">
+        <label>${game.i18n.localize("DOWNTIME.Requests.Notes")}:</label>
+        <textarea name="notes" rows="3"></textarea>
+      </div>
+    </form>
+    <style>
+      .action-request-form .hint { font-size: 0.8rem; color: #888; margin: 0.25rem 0; }
+    </style>
+  `;
+
+  return new Promise((resolve) => {
+    new Dialog({
+      title: `${character.name}: ${action.name}`,
+      content,
+      buttons: {
+        send: {
+          icon: '<i class="fas fa-paper-plane"></i>',
+          label: game.i18n.localize("DOWNTIME.Requests.Send"),
+          callback: (html) => {
+            const { aspectIds, spends } = readPoolChoices(html);
+            resolve({
+              proposed: rollType
+                ? { ...readRollFields(html, rollType), trigger: isPilotCheck ? readTriggerSelect(html, triggers) : null }
+                : null,
+              aspects: aspectIds,
+              trackSpends: spends,
+              rollMode: rollType ? html.find('[name="rollMode"]').val() || null : null,
+              notes: html.find('[name="notes"]').val() || ""
+            });
+          }
+        },
+        cancel: {
+          icon: '<i class="fas fa-times"></i>',
+          label: game.i18n.localize("DOWNTIME.Markers.Cancel"),
+          callback: () => resolve(null)
+        }
+      },
+      default: "send",
+      render: (html) => {
+        // Picking aspects and spending boxes fills in the pool inputs
+        if (poolSources) bindPoolPicker(html, () => {});
+      },
+      close: () => resolve(null)
+    }).render(true);
+  });
+}
+
+/**
+ * Read roll parameters from a request form or queue row
+ * @param {jQuery} html - Element containing the roll inputs
+ * @param {string} rollType - ROLL_TYPES constant
+ */
+export function readRollFields(html, rollType) {
+  const reason = html.find('[name="reason"]').val() || "";
+  if (rollType === ROLL_TYPES.PILOT_CHECK) {
+    return {
+      accuracy: parseInt(html.find('[name="accuracy"]').val()) || 0,
+      difficulty: parseInt(html.find('[name="difficulty"]').val()) || 0,
+      reason
+    };
+  }
+  return {
+    poolSize: parseInt(html.find('[name="poolSize"]').val()) || 2,
+    bonusDice: parseInt(html.find('[name="bonusDice"]').val()) || 0,
+    reason
+  };
+}
+
+/**
+ * Socket handler: the active GM adds a player's request to the queue
+ */
+export async function onActionRequested(request, senderId) {
+  if (!isActiveGM()) return;
+
+  const requests = getActionRequests();
+  if (requests.some(r => r.id === request.id)) return;
+
+  // Only a character's owner may request actions for it, and only real
+  // actions and markers can be queued
+  const actor = game.actors.get(request.actorId);
+  const user = game.users.get(senderId);
+  const action = getActionsFromSets([request.actionSetId]).find(a => a.id === request.actionId);
+  const markerKnown = !request.markerId || getMarkers().some(m => m.id === request.markerId);
+  if (!user || !actor?.testUserPermission(user, "OWNER") || !action || !markerKnown) {
+    console.warn(`${MODULE_ID} | Ignoring invalid action request from user ${senderId}`);
+    return;
+  }
+
+  await game.settings.set(MODULE_ID, SETTINGS.actionRequests, [
+    ...requests,
+    { ...request, userId: senderId, actionName: action.name }
+  ]);
+
+  ui.notifications.info(game.i18n.format("DOWNTIME.Requests.Received", {
+    character: escapeHTML(actor.name),
+    action: escapeHTML(action.name)
+  }));
+}
+
+/**
+ * Remove a request from the queue
+ */
+async function removeActionRequest(requestId) {
+  const requests = getActionRequests().filter(r => r.id !== requestId);
+  await game.settings.set(MODULE_ID, SETTINGS.actionRequests, requests);
+}
+
+/**
+ * Tell the requesting player what happened to their request
+ */
+function notifyRequestResolved(request, approved, detail = "") {
+  const payload = {
+    requestId: request.id,
+    userId: request.userId,
+    actionName: request.actionName,
+    approved,
+    detail
+  };
+  emitSocket(SOCKET_EVENTS.ACTION_REQUEST_RESOLVED, payload);
+  onActionRequestResolved(payload);
+}
+
+/**
+ * Socket handler: let the requesting player know their request was decided
+ */
+export function onActionRequestResolved({ userId, actionName, approved, detail }) {
+  if (userId !== game.user.id) return;
+  const key = approved ? "DOWNTIME.Requests.ApprovedNotify" : "DOWNTIME.Requests.DeniedNotify";
+  ui.notifications.info(game.i18n.format(key, { action: escapeHTML(actionName), detail: escapeHTML(detail || "-") }));
+}
+
+/**
+ * Approve a request: roll with the (possibly modified) parameters,
+ * apply effects and project progress, and record the history entry.
+ * The marker's limits are checked again against the character's current
+ * history, since other actions may have been taken while it was queued.
+ * @param {string} requestId - ID of the request
+ * @param {Object|null} modifications - Roll parameters overriding the proposed ones
+ * @returns {Promise<Object|null>} The recorded history entry
+ */
+export async function approveActionRequest(requestId, modifications = null) {
+  if (!game.user.isGM) return null;
+
+  const request = getActionRequests().find(r => r.id === requestId);
+  if (!request) return null;
+
+  const character = getAvailableCharacters().find(c => c.id === request.actorId);
+  const action = getActionsFromSets([request.actionSetId]).find(a => a.id === request.actionId);
+  if (!character || !action) {
+    ui.notifications.error(game.i18n.localize("DOWNTIME.Requests.Missing"));
+    return null;
+  }
+
+  const marker = getMarkers().find(m => m.id === request.markerId) ?? null;
+  const limitCheck = checkActionAgainstMarker(marker, action, character.downtimeData?.history);
+  if (!limitCheck.allowed) {
+    const approve = await Dialog.confirm({
+      title: game.i18n.localize("DOWNTIME.Requests.OverLimitTitle"),
+      content: `<p>${escapeHTML(limitCheck.reason)}</p><p>${game.i18n.localize("DOWNTIME.Requests.OverLimitConfirm")}</p>`
+    });
+    if (!approve) return null;
+  }
+
+  let result = { rollResult: null, notes: request.notes };
+  let message = null;
+
+  if (request.rollType) {
+    const params = { ...(request.proposed || {}), ...(modifications || {}) };
+    const rollMode = request.rollMode || null;
+    let rollData;
+    if (request.rollType === ROLL_TYPES.PILOT_CHECK) {
+      rollData = await executePilotCheck({
+        accuracy: params.accuracy,
+        difficulty: params.difficulty,
+        reason: params.reason,
+        trigger: params.trigger || null,
+        rollMode
+      });
+    } else {
+      // The player's picks are checked against the character's tracks as they are now
+      const { aspects, trackSpends } = resolvePoolChoices(getPoolSources(character.actor, action), {
+        aspectIds: request.aspects,
+        spends: request.trackSpends
+      });
+      rollData = await executeDicePool({
+        poolSize: (params.poolSize || 2) + (params.bonusDice || 0),
+        reason: params.reason,
+        aspects,
+        trackSpends,
+        rollMode
+      });
+    }
+
+    message = await postRollToChat(rollData, {
+      characterName: character.name,
+      actionName: action.name,
+      actor: character.actor
+    });
+
+    // Boxes marked or burned for bonus dice are written back like the player's own rolls
+    const spentBoxes = rollData.trackSpends?.length
+      ? await applyEffectPlan(character.actor, rollData.trackSpends)
+      : [];
+
+    result = { ...result, rollResult: rollData.resultCategory, rollData, effects: spentBoxes };
+  }
+
+  // A blind roll's effects are confirmed here, by the GM, so the player learns nothing early
+  result.effects = [
+    ...(result.effects || []),
+    ...await resolveActionEffects(character, action, result.rollResult, { rollMode: result.rollData?.rollMode })
+  ];
+  if (result.rollResult) {
+    result.projectProgress = await advanceLinkedProjects(character.actor, action, result.rollResult);
+  }
+
+  const historyEntry = await recordHistoryEntry(character.actor, action, result, request.markerId);
+  if (message) {
+    await message.setFlag(MODULE_ID, "historyEntryId", historyEntry.id);
+  }
+  if (action.hasCost) {
+    await postCostCard(character, action, historyEntry.id);
+  }
+
+  await removeActionRequest(requestId);
+  const detail = isBlindUnrevealed(result.rollData)
+    ? game.i18n.localize("DOWNTIME.Roll.HiddenResult")
+    : result.rollData?.resultLabel;
+  notifyRequestResolved(request, true, detail);
+  return historyEntry;
+}
+
+/**
+ * Deny a request and tell the player why
+ */
+export async function denyActionRequest(requestId, reason = "") {
+  if (!game.user.isGM) return;
+
+  const request = getActionRequests().find(r => r.id === requestId);
+  if (!request) return;
+
+  await removeActionRequest(requestId);
+  notifyRequestResolved(request, false, reason);
+}
@@ -5,7 +5,7 @@
  * to provide consistent interface for downtime actions.
  */
 
-import { MODULE_ID } from "./constants.mjs";
+import { getProjects, advanceProject } from "./projects.mjs";
 
 /**
  * Base character adapter
@@ -78,35 +78,85 @@ class BaseCharacterAdapter {
 
   /**
    * Add a resource
+   * @returns {Object|null} The created resource
    */
   async addResource(name, type, track = 3) {
     // Override in subclass
+    return null;
+  }
+
+  /**
+   * Remove a resource
+   */
+  async removeResource(resourceId) {
+    // Override in subclass
+  }
+
+  /**
+   * Add (or restore) a burden
+   */
+  async addBurden(burden) {
+    // Override in subclass
+  }
+
+  /**
+   * Set marked/burned boxes on an aspect or resource directly (used by undo and box spending)
+   * @param {string} collection - "aspects" or "resources"
+   */
+  async setTrackState(collection, id, { marked, burned }) {
+    // Override in subclass
+  }
+
+  /**
+   * Whether this character can hold LANCER reserves
+   */
+  get supportsReserves() {
+    return false;
+  }
+
+  /**
+   * Get reserves (LANCER pilots only)
+   */
+  getReserves() {
+    return [];
+  }
+
+  /**
+   * Create a reserve
+   * @returns {Item|null} The created reserve item
+   */
+  async createReserve({ name, type, description }) {
+    // Override in subclass
+    return null;
+  }
+
+  /**
+   * Delete a reserve
+   */
+  async deleteReserve(reserveId) {
+    // Override in subclass
+  }
+
+  async markReserveUsed(reserveId) {
+    // Override in subclass
+  }
+
+  async markReserveAvailable(reserveId) {
+    // Override in subclass
   }
 
   /**
    * Get projects
    */
   getProjects() {
-    const downtimeData = this.actor.getFlag(MODULE_ID, "data");
-    return downtimeData?.projects || [];
+    return getProjects(this.actor);
   }
 
   /**
    * Progress a project
    */
   async progressProject(projectId, amount = 1) {
-    const downtimeData = this.actor.getFlag(MODULE_ID, "data") || {};
-    const projects = [...(downtimeData.projects || [])];
-    const project = projects.find(p => p.id === projectId);
-
-    if (project) {
-      project.progress = Math.min(project.track, project.progress + amount);
-
-      await this.actor.setFlag(MODULE_ID, "data", {
-        ...downtimeData,
-        projects
-      });
-    }
+    return advanceProject(this.actor, projectId, amount);
   }
 }
 
@@ -116,7 +166,8 @@ class BaseCharacterAdapter {
 class FarFieldCharacterAdapter extends BaseCharacterAdapter {
 
   get characterData() {
-    return this.actor.getFlag("Far-Field-Foundry-Module-main", "character") || {};
+    // Clone so in-place edits below are seen as changes by setFlag
+    return foundry.utils.deepClone(this.actor.getFlag("Far-Field-Foundry-Module-main", "character") || {});
   }
 
   getAspects() {
@@ -157,8 +208,10 @@ class FarFieldCharacterAdapter extends BaseCharacterAdapter {
     const aspect = aspects.find(a => a.id === aspectId);
 
     if (aspect && aspect.burned > 0) {
-      aspect.burned = Math.max(0, aspect.burned - count);
-      aspect.marked = Math.max(aspect.marked, aspect.burned);
+      // Restored boxes are free again, not just unburned
+      const cleared = Math.min(aspect.burned, count);
+      aspect.burned -= cleared;
+      aspect.marked = Math.max(aspect.burned, (aspect.marked || 0) - cleared);
 
       await this.actor.setFlag("Far-Field-Foundry-Module-main", "character", {
         ...charData,
@@ -200,20 +253,60 @@ class FarFieldCharacterAdapter extends BaseCharacterAdapter {
     const charData = this.characterData;
     const resources = [...(charData.resources || [])];
 
-    resources.push({
+    const resource = {
       id: foundry.utils.randomID(),
       name,
       type,
       track,
       marked: 0,
       burned: 0
+    };
+    resources.push(resource);
+
+    await this.actor.setFlag("Far-Field-Foundry-Module-main", "character", {
+      ...charData,
+      resources
     });
 
+    return resource;
+  }
+
+  async removeResource(resourceId) {
+    const charData = this.characterData;
+    const resources = (charData.resources || []).filter(r => r.id !== resourceId);
+
     await this.actor.setFlag("Far-Field-Foundry-Module-main", "character", {
       ...charData,
       resources
     });
   }
+
+  async addBurden(burden) {
+    const charData = this.characterData;
+    const burdens = (charData.burdens || []).filter(b => b.id !== burden.id);
+    burdens.push(burden);
+
+    await this.actor.setFlag("Far-Field-Foundry-Module-main", "character", {
+      ...charData,
+      burdens
+    });
+  }
+
+  async setTrackState(collection, id, { marked, burned }) {
+    const charData = this.characterData;
+    const items = [...(charData[collection] || [])];
+    const item = items.find(i => i.id === id);
+
+    if (item) {
+      if (burned !== undefined) item.burned = burned;
+      if (marked !== undefined) item.marked = Math.max(marked, item.burned || 0);
+
+      await this.actor.setFlag("Far-Field-Foundry-Module-main", "character", {
+        ...charData,
+        [collection]: items
+      });
+    }
+  }
 }
 
 /**
@@ -226,6 +319,10 @@ class LancerPilotAdapter extends BaseCharacterAdapter {
    * so we provide limited functionality
    */
 
+  get supportsReserves() {
+    return true;
+  }
+
   getReserves() {
     // Get pilot reserves from LANCER system data
     return this.actor.items.filter(i => i.type === "reserve") || [];
@@ -244,6 +341,27 @@ class LancerPilotAdapter extends BaseCharacterAdapter {
       await reserve.update({ "system.used": false });
     }
   }
+
+  async createReserve({ name, type = "Resource", description = "" }) {
+    const [reserve] = await this.actor.createEmbeddedDocuments("Item", [{
+      name,
+      type: "reserve",
+      system: {
+        type,
+        label: name,
+        description,
+        used: false
+      }
+    }]);
+    return reserve ?? null;
+  }
+
+  async deleteReserve(reserveId) {
+    const reserve = this.actor.items.get(reserveId);
+    if (reserve) {
+      await reserve.delete();
+    }
+  }
 }
 
 /**
@@ -286,29 +404,30 @@ export async function applyRecoveryEffects(actor, rollResult) {
     await adapter.clearResourceMarks(resource.id);
   }
 
-  // Based on roll result, clear burned boxes
-  let burnCleared = 0;
+  // The player allocates these in the burn chooser (see chooseBurnClears
+  // in effect-engine.mjs)
+  return {
+    marksCleared: true,
+    burnToClear: getBurnClearCount(rollResult)
+  };
+}
+
+/**
+ * Number of burned boxes a Recovery roll clears for a result category
+ */
+export function getBurnClearCount(rollResult) {
   switch (rollResult) {
     case "triumph":
-      burnCleared = 3;
-      break;
+      return 3;
     case "success":
-      burnCleared = 2;
-      break;
+      return 2;
     case "conflict":
-      burnCleared = 2;
-      break;
+      return 2;
     case "disaster":
-      burnCleared = 1;
-      break;
+      return 1;
+    default:
+      return 0;
   }
-
-  // Let player choose which aspect to clear burn from
-  // For now, just return the count - UI should handle selection
-  return {
-    marksCleared: true,
-    burnToClear: burnCleared
-  };
 }
 
 /**
@@ -321,7 +440,7 @@ export async function applyTakeABreakEffects(actor) {
   for (const aspect of adapter.getAspects()) {
     await adapter.clearAspectMarks(aspect.id);
     // Clear all burn
-    while (aspect.burned > 0) {
+    if (aspect.burned > 0) {
       await adapter.clearAspectBurn(aspect.id, aspect.burned);
     }
   }
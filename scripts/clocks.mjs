@@ -0,0 +1,435 @@
+/**
+ * Downtime Clocks
+ *
+ * World-level clocks that persist across markers: faction progress, looming
+ * threats, "Buy Some Time" delays. Each clock has a number of segments, an
+ * optional owner marker (the clock is only in play from that marker on) and
+ * rules that advance it when the active marker moves forward or when certain
+ * actions resolve. Clock moves from actions are effect-engine changes, so
+ * they are confirmed, stored on the history entry and undoable.
+ */
+
+import { MODULE_ID, SETTINGS, CLOCK_TRIGGERS, createClock } from "./constants.mjs";
+import { getMarkers, getActiveMarker } from "./main.mjs";
+import { escapeHTML } from "./text-utils.mjs";
+import { CHANGE_OPS, EFFECT_TYPES } from "./effect-engine.mjs";
+import { requestGMOperation, GMRequestError, GM_OPERATIONS } from "./gm-proxy.mjs";
+
+/**
+ * Most segments a clock can have
+ */
+export const MAX_CLOCK_SEGMENTS = 12;
+
+/**
+ * Get all clocks
+ */
+export function getClocks() {
+  return game.settings.get(MODULE_ID, SETTINGS.clocks) || [];
+}
+
+/**
+ * Get a clock by ID
+ */
+export function getClockById(clockId) {
+  return getClocks().find(c => c.id === clockId) || null;
+}
+
+/**
+ * Keep a progress value within a clock's segments
+ */
+function clampProgress(clock, progress) {
+  return Math.min(Math.max(progress, 0), clock.segments);
+}
+
+/**
+ * Whether a clock is in play at a marker: it has no owner marker, its owner
+ * marker is gone, or the marker is at or after the owner marker
+ */
+export function isClockInPlay(clock, marker = getActiveMarker()) {
+  if (!clock.ownerMarkerId) return true;
+  const owner = getMarkers().find(m => m.id === clock.ownerMarkerId);
+  if (!owner) return true;
+  return !!marker && (marker.order ?? 0) >= (owner.order ?? 0);
+}
+
+/**
+ * Clocks in play at a marker (the main timeline's active marker by default;
+ * pass a character's marker for a character in a lane)
+ */
+export function getActiveClocks(marker = getActiveMarker()) {
+  return getClocks().filter(clock => isClockInPlay(clock, marker));
+}
+
+/**
+ * Add a new clock (GM only)
+ */
+export async function addClock(data) {
+  const clock = createClock({
+    ...data,
+    segments: Math.min(Math.max(data.segments || 4, 1), MAX_CLOCK_SEGMENTS)
+  });
+  clock.progress = clampProgress(clock, clock.progress);
+  await game.settings.set(MODULE_ID, SETTINGS.clocks, [...getClocks(), clock]);
+  return clock;
+}
+
+/**
+ * Update an existing clock by ID (GM only)
+ */
+export async function updateClock(clockId, updates) {
+  const clocks = [...getClocks()];
+  const index = clocks.findIndex(c => c.id === clockId);
+  if (index === -1) return null;
+  const clock = foundry.utils.mergeObject(clocks[index], updates, { inplace: false });
+  // Rules are replaced wholesale, not merged index by index
+  if (updates.rules) clock.rules = updates.rules;
+  clock.segments = Math.min(Math.max(clock.segments, 1), MAX_CLOCK_SEGMENTS);
+  clock.progress = clampProgress(clock, clock.progress);
+  clocks[index] = clock;
+  await game.settings.set(MODULE_ID, SETTINGS.clocks, clocks);
+  return clock;
+}
+
+/**
+ * Delete a clock by ID (GM only)
+ */
+export async function deleteClock(clockId) {
+  const clocks = getClocks().filter(c => c.id !== clockId);
+  await game.settings.set(MODULE_ID, SETTINGS.clocks, clocks);
+}
+
+/**
+ * Set a clock's progress. Players only move clocks through an action's
+ * effects or the undo of a recorded entry, so they say which; the active GM
+ * checks that against the actor and writes the change.
+ * @param {string} clockId - The clock to set
+ * @param {number} progress - The new progress
+ * @param {Object|null} source - Players: {actorId, actionSetId, actionId} for an
+ *   action's effects, or {actorId, entryId} to undo a recorded entry
+ * @returns {Promise<number|null>} The saved progress, or null if it couldn't be set
+ */
+export async function setClockProgress(clockId, progress, source = null) {
+  const clock = getClockById(clockId);
+  if (!clock) return null;
+
+  if (!game.user.isGM) {
+    try {
+      return await requestGMOperation(GM_OPERATIONS.SET_CLOCK_PROGRESS, { ...source, clockId, progress });
+    } catch (err) {
+      // The player has already been told why
+      if (err instanceof GMRequestError) return null;
+      throw err;
+    }
+  }
+
+  const clamped = clampProgress(clock, progress);
+  await updateClock(clockId, { progress: clamped });
+  if (clamped === clock.segments && clock.progress < clock.segments) {
+    await announceClockFilled(clock);
+  }
+  return clamped;
+}
+
+/**
+ * Announce a clock filling up
+ */
+async function announceClockFilled(clock) {
+  await ChatMessage.create({
+    content: `
+      <div class="downtime-clock-filled">
+        <h3><i class="fas fa-hourglass-end"></i> ${game.i18n.format("DOWNTIME.Clocks.Filled", { name: escapeHTML(clock.name) })}</h3>
+        ${clock.description ? `<p>${escapeHTML(clock.description)}</p>` : ""}
+      </div>
+    `,
+    speaker: { alias: game.i18n.localize("DOWNTIME.Clocks.Title") }
+  });
+}
+
+/**
+ * Advance clocks whose rules fire on marker change, on the main timeline or
+ * a lane. Only moving forward along the timeline ticks clocks, so stepping
+ * back and forth doesn't.
+ * @param {Object|null} previous - The previously active marker
+ * @param {Object|null} next - The newly active marker
+ */
+export async function advanceClocksOnMarkerChange(previous, next) {
+  if (!game.user.isGM || !next || previous?.id === next.id) return;
+  if (previous && (next.order ?? 0) <= (previous.order ?? 0)) return;
+
+  const filled = [];
+  const clocks = getClocks().map(clock => {
+    if (!isClockInPlay(clock, next)) return clock;
+    const amount = (clock.rules || [])
+      .filter(rule => rule.trigger === CLOCK_TRIGGERS.MARKER_CHANGE)
+      .reduce((sum, rule) => sum + (rule.amount || 0), 0);
+    if (amount === 0) return clock;
+
+    const progress = clampProgress(clock, clock.progress + amount);
+    if (progress === clock.segments && clock.progress < clock.segments) filled.push(clock);
+    return { ...clock, progress };
+  });
+
+  await game.settings.set(MODULE_ID, SETTINGS.clocks, clocks);
+  for (const clock of filled) await announceClockFilled(clock);
+}
+
+/**
+ * Most an action can move a clock by in one resolution: its adjustClock
+ * effects (which can target any clock in play) plus the clock's own rules
+ * for that action
+ */
+export function getClockStepLimit(clock, action) {
+  const effectLimit = (action.effects || [])
+    .filter(effect => effect.type === EFFECT_TYPES.ADJUST_CLOCK)
+    .reduce((sum, effect) => sum + Math.max(Math.abs(effect.amount ?? -1), Math.abs(effect.triumphAmount ?? 0)), 0);
+  const ruleLimit = (clock.rules || [])
+    .filter(rule => rule.trigger === CLOCK_TRIGGERS.ACTION_RESOLVED && rule.actionId === action.id)
+    .reduce((sum, rule) => sum + Math.abs(rule.amount || 0), 0);
+  return effectLimit + ruleLimit;
+}
+
+/**
+ * Plan clock moves from rules that fire when an action resolves
+ * @param {Object} action - The resolved action
+ * @param {string|null} resultCategory - Roll result category, or null if no roll
+ * @param {Object|null} marker - The acting character's marker
+ * @returns {Array} ADJUST_CLOCK changes
+ */
+export function planClockRules(action, resultCategory = null, marker = getActiveMarker()) {
+  const changes = [];
+
+  for (const clock of getActiveClocks(marker)) {
+    const amount = (clock.rules || [])
+      .filter(rule => rule.trigger === CLOCK_TRIGGERS.ACTION_RESOLVED && rule.actionId === action.id)
+      .filter(rule => !rule.results?.length || rule.results.includes(resultCategory))
+      .reduce((sum, rule) => sum + (rule.amount || 0), 0);
+    if (amount === 0) continue;
+
+    const after = clampProgress(clock, clock.progress + amount);
+    if (after === clock.progress) continue;
+
+    changes.push({
+      op: CHANGE_OPS.ADJUST_CLOCK,
+      clockId: clock.id,
+      name: clock.name,
+      amount,
+      before: clock.progress,
+      after
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * SVG ring segments for drawing a clock
+ * @returns {Array<{d: string, filled: boolean}>}
+ */
+export function getClockSegments(clock, { size = 32, thickness = 6, gap = 0.08 } = {}) {
+  const center = size / 2;
+  const outer = center - 1;
+  const inner = outer - thickness;
+  const step = (Math.PI * 2) / clock.segments;
+  const point = (radius, angle) =>
+    `${(center + radius * Math.sin(angle)).toFixed(2)} ${(center - radius * Math.cos(angle)).toFixed(2)}`;
+
+  return Array.from({ length: clock.segments }, (_, i) => {
+    // A single segment is a full ring, so leave no gap
+    const start = i * step + (clock.segments > 1 ? gap / 2 : 0);
+    const end = (i + 1) * step - (clock.segments > 1 ? gap / 2 : 0.0001);
+    const large = end - start > Math.PI ? 1 : 0;
+    return {
+      d: `M ${point(outer, start)} A ${outer} ${outer} 0 ${large} 1 ${point(outer, end)} `
+        + `L ${point(inner, end)} A ${inner} ${inner} 0 ${large} 0 ${point(inner, start)} Z`,
+      filled: i < clock.progress
+    };
+  });
+}
+
+/**
+ * Result filters offered for action rules
+ */
+const RULE_RESULT_OPTIONS = {
+  "": "DOWNTIME.Clocks.Results.Any",
+  "triumph,success": "DOWNTIME.Clocks.Results.Success",
+  "conflict,disaster": "DOWNTIME.Clocks.Results.Failure",
+  "triumph": "DOWNTIME.Clocks.Results.Triumph",
+  "disaster": "DOWNTIME.Clocks.Results.Disaster"
+};
+
+/**
+ * Render one action rule row for the clock dialog
+ */
+function renderActionRuleRow(actions, rule = null) {
+  const actionOptions = actions
+    .map(a => `<option value="${a.id}" ${a.id === rule?.actionId ? "selected" : ""}>${escapeHTML(a.name)}</option>`)
+    .join("");
+  const results = (rule?.results || []).join(",");
+  const resultOptions = Object.entries(RULE_RESULT_OPTIONS)
+    .map(([value, label]) => `<option value="${value}" ${value === results ? "selected" : ""}>${game.i18n.localize(label)}</option>`)
+    .join("");
+
+  return `
+    <div class="clock-rule-row">
+      <select name="ruleActionId">${actionOptions}</select>
+      <select name="ruleResults">${resultOptions}</select>
+      <input type="number" name="ruleAmount" value="${rule?.amount ?? 1}" min="-12" max="12"/>
+      <button type="button" class="remove-clock-rule" title="${game.i18n.localize("DOWNTIME.Clocks.RemoveRule")}">
+        <i class="fas fa-times"></i>
+      </button>
+    </div>
+  `;
+}
+
+/**
+ * Show the create/edit dialog for a clock (GM only)
+ * @param {Object|null} clock - Clock to edit, or null to create one
+ * @param {Array} actions - Actions that rules can be attached to
+ * @returns {Promise<Object|null>} The saved clock, {deleted: true}, or null if cancelled
+ */
+export function showClockDialog(clock = null, actions = []) {
+  const markers = [...getMarkers()].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+  const markerOptions = markers
+    .map(m => `<option value="${m.id}" ${m.id === clock?.ownerMarkerId ? "selected" : ""}>${escapeHTML(m.title)}</option>`)
+    .join("");
+  const markerChangeAmount = (clock?.rules || [])
+    .filter(rule => rule.trigger === CLOCK_TRIGGERS.MARKER_CHANGE)
+    .reduce((sum, rule) => sum + (rule.amount || 0), 0);
+  const actionRules = (clock?.rules || []).filter(rule => rule.trigger === CLOCK_TRIGGERS.ACTION_RESOLVED);
+
+  const content = `
+    <form class="clock-form">
+      <div class="form-group">
+        <label>${game.i18n.localize("DOWNTIME.Clocks.Name")}:</label>
+        <input type="text" name="name" value="${escapeHTML(clock?.name)}"/>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("DOWNTIME.Clocks.Description")}:</label>
+        <textarea name="description" rows="2">${escapeHTML(clock?.description)}</textarea>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("DOWNTIME.Clocks.Segments")}:</label>
+        <input type="number" name="segments" value="${clock?.segments ?? 4}" min="1" max="${MAX_CLOCK_SEGMENTS}"/>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("DOWNTIME.Clocks.Progress")}:</label>
+        <input type="number" name="progress" value="${clock?.progress ?? 0}" min="0" max="${MAX_CLOCK_SEGMENTS}"/>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("DOWNTIME.Clocks.OwnerMarker")}:</label>
+        <select name="ownerMarkerId">
+          <option value="">${game.i18n.localize("DOWNTIME.Clocks.AnyMarker")}</option>
+          ${markerOptions}
+        </select>
+        <p class="hint">${game.i18n.localize("DOWNTIME.Clocks.OwnerMarkerHint")}</p>
+      </div>
+      <hr/>
+      <div class="form-group">
+        <label>${game.i18n.localize("DOWNTIME.Clocks.OnMarkerChange")}:</label>
+        <input type="number" name="markerChangeAmount" value="${markerChangeAmount}" min="-12" max="12"/>
+        <p class="hint">${game.i18n.localize("DOWNTIME.Clocks.OnMarkerChangeHint")}</p>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("DOWNTIME.Clocks.OnAction")}:</label>
+        <p class="hint">${game.i18n.localize("DOWNTIME.Clocks.OnActionHint")}</p>
+        <div class="clock-rule-rows">${actionRules.map(rule => renderActionRuleRow(actions, rule)).join("")}</div>
+        <button type="button" class="add-clock-rule"><i class="fas fa-plus"></i> ${game.i18n.localize("DOWNTIME.Clocks.AddRule")}</button>
+      </div>
+    </form>
+    <style>
+      .clock-form .hint { font-size: 0.8rem; color: #888; margin: 0.25rem 0; }
+      .clock-form .clock-rule-row { display: flex; gap: 0.25rem; margin-bottom: 0.25rem; }
+      .clock-form .clock-rule-row select { flex: 1; }
+      .clock-form .clock-rule-row input { width: 3.5rem; flex: 0 0 auto; }
+      .clock-form .clock-rule-row button { width: auto; flex: 0 0 auto; }
+    </style>
+  `;
+
+  const readRules = (html) => {
+    const rules = [];
+    const markerChange = parseInt(html.find('[name="markerChangeAmount"]').val()) || 0;
+    if (markerChange !== 0) {
+      rules.push({ id: foundry.utils.randomID(), trigger: CLOCK_TRIGGERS.MARKER_CHANGE, amount: markerChange });
+    }
+    html.find(".clock-rule-row").each((i, row) => {
+      const $row = $(row);
+      const amount = parseInt($row.find('[name="ruleAmount"]').val()) || 0;
+      const actionId = $row.find('[name="ruleActionId"]').val();
+      if (!actionId || amount === 0) return;
+      const results = $row.find('[name="ruleResults"]').val();
+      rules.push({
+        id: foundry.utils.randomID(),
+        trigger: CLOCK_TRIGGERS.ACTION_RESOLVED,
+        actionId,
+        results: results ? results.split(",") : [],
+        amount
+      });
+    });
+    return rules;
+  };
+
+  const buttons = {
+    save: {
+      icon: '<i class="fas fa-save"></i>',
+      label: game.i18n.localize("DOWNTIME.Markers.Save"),
+      callback: async (html) => {
+        const data = {
+          name: html.find('[name="name"]').val()?.trim() || clock?.name || game.i18n.localize("DOWNTIME.Clocks.Untitled"),
+          description: html.find('[name="description"]').val() || "",
+          segments: parseInt(html.find('[name="segments"]').val()) || 4,
+          progress: parseInt(html.find('[name="progress"]').val()) || 0,
+          ownerMarkerId: html.find('[name="ownerMarkerId"]').val() || null,
+          rules: readRules(html)
+        };
+        return clock ? updateClock(clock.id, data) : addClock(data);
+      }
+    }
+  };
+  if (clock) {
+    buttons.delete = {
+      icon: '<i class="fas fa-trash"></i>',
+      label: game.i18n.localize("DOWNTIME.Clocks.Delete"),
+      callback: async () => {
+        const confirmed = await Dialog.confirm({
+          title: game.i18n.localize("DOWNTIME.Clocks.Delete"),
+          content: `<p>${game.i18n.format("DOWNTIME.Clocks.DeleteConfirm", { name: escapeHTML(clock.name) })}</p>`
+        });
+        if (!confirmed) return null;
+        await deleteClock(clock.id);
+        return { deleted: true };
+      }
+    };
+  }
+  buttons.cancel = {
+    icon: '<i class="fas fa-times"></i>',
+    label: game.i18n.localize("DOWNTIME.Markers.Cancel"),
+    callback: () => null
+  };
+
+  return new Promise((resolve) => {
+    const wrapped = Object.fromEntries(Object.entries(buttons).map(([key, button]) => [key, {
+      ...button,
+      callback: async (html) => resolve(await button.callback(html))
+    }]));
+
+    new Dialog({
+      title: game.i18n.localize(clock ? "DOWNTIME.Clocks.EditTitle" : "DOWNTIME.Clocks.CreateTitle"),
+      content,
+      buttons: wrapped,
+      default: "save",
+      render: (html) => {
+        const bindRemove = () => html.find(".remove-clock-rule").off("click").on("click", (event) => {
+          event.preventDefault();
+          $(event.currentTarget).closest(".clock-rule-row").remove();
+        });
+        html.find(".add-clock-rule").on("click", (event) => {
+          event.preventDefault();
+          html.find(".clock-rule-rows").append(renderActionRuleRow(actions));
+          bindRemove();
+        });
+        bindRemove();
+      },
+      close: () => resolve(null)
+    }, { width: 460 }).render(true);
+  });
+}
@@ -2,14 +2,23 @@
  * Module constants
  */
 
+import { getDefaultMarkerLimits } from "./marker-limits.mjs";
+
 export const MODULE_ID = "Lancer-Downtime-Foundry-Module-main";
 
 export const SETTINGS = {
   customActionSets: "customActionSets",
   activeActionSets: "activeActionSets",
+  knownWorldActionSets: "knownWorldActionSets",
   markers: "markers",
   activeMarkerId: "activeMarkerId",
-  journalSyncConfig: "journalSyncConfig"
+  journalSyncConfig: "journalSyncConfig",
+  approvalRequired: "approvalRequired",
+  actionRequests: "actionRequests",
+  clocks: "clocks",
+  lanes: "lanes",
+  schemaVersion: "schemaVersion",
+  migrationBackup: "migrationBackup"
 };
 
 export const PHASES = {
@@ -28,6 +37,49 @@ export const CATEGORIES = {
   ACQUISITION: "acquisition"
 };
 
+/**
+ * Kinds of cost the GM can offer for Power at a Cost
+ */
+export const COST_TYPES = {
+  TIME: "time",
+  RESOURCES: "resources",
+  CONSEQUENCE: "consequence",
+  FAVOR: "favor"
+};
+
+/**
+ * Status of an accepted cost
+ */
+export const OBLIGATION_STATUS = {
+  OUTSTANDING: "outstanding",
+  PAID: "paid",
+  WAIVED: "waived"
+};
+
+/**
+ * How journal sync lays out its pages
+ */
+export const JOURNAL_SYNC_MODES = {
+  SINGLE: "single",
+  STRUCTURED: "structured"
+};
+
+/**
+ * Default journal sync configuration
+ */
+export function getDefaultJournalSyncConfig() {
+  return {
+    journalId: null,
+    mode: JOURNAL_SYNC_MODES.SINGLE,
+    includeMarkerSummaries: true,
+    includeActionHistory: true,
+    includeRollResults: true,
+    includeObligations: true,
+    autoSync: false,
+    includedMarkerIds: []
+  };
+}
+
 /**
  * Default character downtime data (stored in actor flags)
  */
@@ -35,6 +87,7 @@ export function getDefaultCharacterDowntimeData() {
   return {
     history: [],
     projects: [],
+    obligations: [],
     stats: {
       totalActions: 0,
       lastDowntime: null
@@ -53,6 +106,12 @@ export function createHistoryEntry(sessionId, action, result, markerId = null) {
     actionSetId: action.actionSetId || null,
     markerId: markerId,
     timestamp: new Date().toISOString(),
+    effects: result.effects || [],
+    projectProgress: result.projectProgress || [],
+    // Blind rolls: effects and project progress wait for the GM to reveal the result
+    effectsPending: result.effectsPending || false,
+    groupId: result.groupId || null,
+    group: result.group || null,
     result: {
       success: result.success ?? true,
       rollResult: result.rollResult ?? null,
@@ -65,7 +124,7 @@ export function createHistoryEntry(sessionId, action, result, markerId = null) {
 /**
  * Create a marker entry
  */
-export function createMarker(title, description, downtimeAllowed, restrictions, order = 0, characterIds = []) {
+export function createMarker(title, description, downtimeAllowed, restrictions, order = 0, characterIds = [], phase = null, limits = null, laneId = null) {
   return {
     id: foundry.utils.randomID(),
     title: title,
@@ -74,6 +133,110 @@ export function createMarker(title, description, downtimeAllowed, restrictions,
     restrictions: restrictions,
     order: order,
     characterIds: characterIds,
+    phase: phase,
+    limits: limits || getDefaultMarkerLimits(),
+    laneId: laneId,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Create a timeline lane (stored in the lanes world setting). A lane splits
+ * off the main timeline after one marker and can rejoin it at a later one.
+ */
+export function createLane({ name, characterIds = [], splitFromMarkerId = null, rejoinMarkerId = null }) {
+  return {
+    id: foundry.utils.randomID(),
+    name: name,
+    characterIds: characterIds,
+    splitFromMarkerId: splitFromMarkerId || null,
+    rejoinMarkerId: rejoinMarkerId || null,
+    activeMarkerId: null,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Create a project entry (stored in actor downtime data)
+ */
+export function createProject(name, description, track = 4, linkedActionId = null) {
+  return {
+    id: foundry.utils.randomID(),
+    name: name,
+    description: description,
+    track: track,
+    progress: 0,
+    linkedActionId: linkedActionId,
+    completed: false,
+    completedAt: null,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * When a clock rule fires
+ */
+export const CLOCK_TRIGGERS = {
+  MARKER_CHANGE: "markerChange",
+  ACTION_RESOLVED: "actionResolved"
+};
+
+/**
+ * Create a world clock (stored in the clocks world setting)
+ * @param {Object} data
+ * @param {Array} data.rules - Advance rules: {id, trigger, amount, actionId, results}
+ */
+export function createClock({ name, description = "", segments = 4, progress = 0, ownerMarkerId = null, rules = [] }) {
+  return {
+    id: foundry.utils.randomID(),
+    name: name,
+    description: description,
+    segments: segments,
+    progress: progress,
+    ownerMarkerId: ownerMarkerId || null,
+    rules: rules,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Create a pending action request (stored in the actionRequests world setting).
+ * aspects and trackSpends hold the player's pool picks (aspect IDs and
+ * {collection, id, mode} spends); the GM resolves them against the
+ * character's tracks on approval.
+ */
+export function createActionRequest({ actorId, userId, actionId, actionSetId, actionName, markerId, rollType, proposed, aspects, trackSpends, rollMode, notes }) {
+  return {
+    id: foundry.utils.randomID(),
+    actorId: actorId,
+    userId: userId,
+    actionId: actionId,
+    actionSetId: actionSetId,
+    actionName: actionName,
+    markerId: markerId || null,
+    rollType: rollType || null,
+    proposed: proposed || null,
+    aspects: aspects || [],
+    trackSpends: trackSpends || [],
+    rollMode: rollMode || null,
+    notes: notes || "",
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Create an obligation from an accepted cost (stored in actor downtime data)
+ */
+export function createObligation({ type, description, markerId, historyEntryId, actionName }) {
+  return {
+    id: foundry.utils.randomID(),
+    type: type,
+    description: description || "",
+    markerId: markerId || null,
+    historyEntryId: historyEntryId || null,
+    actionName: actionName || "",
+    status: OBLIGATION_STATUS.OUTSTANDING,
+    resolvedAt: null,
     timestamp: new Date().toISOString()
   };
 }
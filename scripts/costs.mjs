@@ -0,0 +1,345 @@
+/**
+ * Power at a Cost
+ *
+ * After a cost-bearing action (Power at a Cost) is rolled, a cost card is
+ * posted to chat. The GM offers one or more costs on the card and the
+ * character's owner accepts one, which becomes a tracked obligation in the
+ * character's downtime data.
+ */
+
+import { MODULE_ID, COST_TYPES, OBLIGATION_STATUS, createObligation } from "./constants.mjs";
+import {
+  getCharacterDowntimeData,
+  updateCharacterDowntimeData,
+  getMarkers,
+  refreshDowntimeTracker
+} from "./main.mjs";
+import { getCharacterMarker } from "./lanes.mjs";
+import { isActiveGM } from "./socket.mjs";
+import { requestGMOperation, GMRequestError, GM_OPERATIONS } from "./gm-proxy.mjs";
+import { escapeHTML } from "./text-utils.mjs";
+
+/**
+ * Get all obligations for an actor
+ */
+export function getObligations(actor) {
+  return getCharacterDowntimeData(actor).obligations || [];
+}
+
+/**
+ * Get obligations that have not been paid or waived
+ */
+export function getOutstandingObligations(actor) {
+  return getObligations(actor).filter(o => o.status === OBLIGATION_STATUS.OUTSTANDING);
+}
+
+/**
+ * Add an obligation to an actor
+ */
+export async function addObligation(actor, data) {
+  const obligation = createObligation(data);
+  const obligations = [...getObligations(actor), obligation];
+  await updateCharacterDowntimeData(actor, { obligations });
+  return obligation;
+}
+
+/**
+ * Update an obligation by ID
+ */
+export async function updateObligation(actor, obligationId, updates) {
+  const obligations = [...getObligations(actor)];
+  const index = obligations.findIndex(o => o.id === obligationId);
+  if (index === -1) return null;
+  obligations[index] = foundry.utils.mergeObject(obligations[index], updates, { inplace: false });
+  await updateCharacterDowntimeData(actor, { obligations });
+  return obligations[index];
+}
+
+/**
+ * Set an obligation's status, stamping when it was resolved
+ */
+export async function setObligationStatus(actor, obligationId, status) {
+  return updateObligation(actor, obligationId, {
+    status,
+    resolvedAt: status === OBLIGATION_STATUS.OUTSTANDING ? null : new Date().toISOString()
+  });
+}
+
+/**
+ * Delete an obligation by ID
+ */
+export async function deleteObligation(actor, obligationId) {
+  const obligations = getObligations(actor).filter(o => o.id !== obligationId);
+  await updateCharacterDowntimeData(actor, { obligations });
+}
+
+/**
+ * Markers that come after the character's current one (or all markers if
+ * they have none)
+ */
+function getFutureMarkers(actorId) {
+  const markers = [...getMarkers()].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+  const active = getCharacterMarker(actorId);
+  if (!active) return markers;
+  return markers.filter(m => (m.order ?? 0) > (active.order ?? 0));
+}
+
+/**
+ * Post a cost card for the GM to offer costs on
+ * @param {Object} character - Character entry from getAvailableCharacters
+ * @param {Object} action - The cost-bearing action
+ * @param {string} historyEntryId - History entry the cost belongs to
+ */
+export async function postCostCard(character, action, historyEntryId) {
+  const costOffer = {
+    actorId: character.actor.id,
+    historyEntryId,
+    actionName: action.name,
+    offers: [],
+    acceptedId: null
+  };
+
+  return ChatMessage.create({
+    speaker: ChatMessage.getSpeaker({ actor: character.actor }),
+    content: renderCostCard(costOffer),
+    flavor: `<strong>Downtime:</strong> ${escapeHTML(action.name)}`,
+    flags: { [MODULE_ID]: { costOffer } }
+  });
+}
+
+/**
+ * Render the cost card for chat
+ */
+function renderCostCard(costOffer) {
+  const markers = getMarkers();
+
+  let body;
+  if (costOffer.offers.length === 0) {
+    body = `
+      <p class="cost-waiting">${game.i18n.localize("DOWNTIME.Costs.Waiting")}</p>
+      <button type="button" class="offer-costs"><i class="fas fa-hand-holding"></i> ${game.i18n.localize("DOWNTIME.Costs.Offer")}</button>
+    `;
+  } else {
+    const items = costOffer.offers.map(offer => {
+      const accepted = offer.id === costOffer.acceptedId;
+      const declined = costOffer.acceptedId && !accepted;
+      const marker = markers.find(m => m.id === offer.markerId);
+      return `
+        <li class="cost-offer ${accepted ? "accepted" : ""} ${declined ? "declined" : ""}">
+          <span class="cost-type">${game.i18n.localize(`DOWNTIME.Costs.Types.${offer.type}`)}</span>
+          ${escapeHTML(offer.description)}
+          ${marker ? `<span class="cost-marker"><i class="fas fa-map-marker-alt"></i> ${escapeHTML(marker.title)}</span>` : ""}
+          ${costOffer.acceptedId
+            ? (accepted ? `<span class="cost-status"><i class="fas fa-check"></i> ${game.i18n.localize("DOWNTIME.Costs.Accepted")}</span>` : "")
+            : `<button type="button" class="accept-cost" data-offer-id="${offer.id}">${game.i18n.localize("DOWNTIME.Costs.Accept")}</button>`}
+        </li>
+      `;
+    }).join("");
+    body = `<ul class="cost-offers">${items}</ul>`;
+  }
+
+  return `
+    <div class="downtime-cost-card">
+      <h3><i class="fas fa-balance-scale"></i> ${game.i18n.localize("DOWNTIME.Costs.Title")}</h3>
+      ${body}
+    </div>
+    <style>
+      .downtime-cost-card .cost-offers { list-style: none; margin: 0; padding: 0; }
+      .downtime-cost-card .cost-offer { padding: 0.4rem; margin-bottom: 0.25rem; border: 1px solid #533483; border-radius: 4px; }
+      .downtime-cost-card .cost-offer.accepted { border-color: #1db954; background: rgba(29, 185, 84, 0.1); }
+      .downtime-cost-card .cost-offer.declined { opacity: 0.5; }
+      .downtime-cost-card .cost-type { display: inline-block; padding: 0 0.3rem; margin-right: 0.25rem; border-radius: 3px; background: #533483; color: #fff; font-size: 0.75rem; text-transform: uppercase; }
+      .downtime-cost-card .cost-marker { display: block; font-size: 0.75rem; color: #888; }
+      .downtime-cost-card .cost-status { display: block; color: #1db954; font-weight: bold; }
+      .downtime-cost-card .cost-waiting { font-style: italic; color: #888; }
+      .downtime-cost-card button { margin-top: 0.25rem; }
+    </style>
+  `;
+}
+
+/**
+ * Ask the GM which costs to offer
+ * @returns {Promise<Array|null>} Offers, or null if cancelled
+ */
+function showCostOfferDialog(actionName, actorId) {
+  const typeOptions = Object.values(COST_TYPES)
+    .map(type => `<option value="${type}">${game.i18n.localize(`DOWNTIME.Costs.Types.${type}`)}</option>`)
+    .join("");
+  const markerOptions = getFutureMarkers(actorId)
+    .map(m => `<option value="${m.id}">${escapeHTML(m.title)}</option>`)
+    .join("");
+
+  const rowHtml = `
+    <div class="cost-offer-row">
+      <select name="type">${typeOptions}</select>
+      <input type="text" name="description" placeholder="${game.i18n.localize("DOWNTIME.Costs.DescriptionPlaceholder")}"/>
+      <select name="markerId">
+        <option value="">${game.i18n.localize("DOWNTIME.Costs.NoMarker")}</option>
+        ${markerOptions}
+      </select>
+    </div>
+  `;
+
+  const content = `
+    <form class="cost-offer-form">
+      <p>${game.i18n.localize("DOWNTIME.Costs.OfferIntro")}</p>
+      <div class="cost-offer-rows">${rowHtml}</div>
+      <button type="button" class="add-cost-offer"><i class="fas fa-plus"></i> ${game.i18n.localize("DOWNTIME.Costs.AddOffer")}</button>
+    </form>
+    <style>
+      .cost-offer-form .cost-offer-row { display: flex; gap: 0.25rem; margin-bottom: 0.25rem; }
+      .cost-offer-form .cost-offer-row input { flex: 1; }
+      .cost-offer-form .cost-offer-row select { flex: 0 0 auto; width: auto; }
+    </style>
+  `;
+
+  return new Promise((resolve) => {
+    new Dialog({
+      title: `${actionName}: ${game.i18n.localize("DOWNTIME.Costs.Offer")}`,
+      content,
+      buttons: {
+        offer: {
+          icon: '<i class="fas fa-hand-holding"></i>',
+          label: game.i18n.localize("DOWNTIME.Costs.Offer"),
+          callback: (html) => {
+            const offers = html.find(".cost-offer-row").map((i, row) => {
+              const $row = $(row);
+              const description = $row.find('[name="description"]').val()?.trim();
+              if (!description) return null;
+              return {
+                id: foundry.utils.randomID(),
+                type: $row.find('[name="type"]').val(),
+                description,
+                markerId: $row.find('[name="markerId"]').val() || null
+              };
+            }).get().filter(Boolean);
+            resolve(offers.length ? offers : null);
+          }
+        },
+        cancel: {
+          icon: '<i class="fas fa-times"></i>',
+          label: game.i18n.localize("DOWNTIME.Markers.Cancel"),
+          callback: () => resolve(null)
+        }
+      },
+      default: "offer",
+      render: (html) => {
+        html.find(".add-cost-offer").on("click", (event) => {
+          event.preventDefault();
+          html.find(".cost-offer-rows").append(rowHtml);
+        });
+      },
+      close: () => resolve(null)
+    }, { width: 520 }).render(true);
+  });
+}
+
+/**
+ * GM: put costs on a cost card
+ */
+export async function offerCosts(message, offers) {
+  if (!game.user.isGM) return;
+
+  const costOffer = { ...message.getFlag(MODULE_ID, "costOffer"), offers, acceptedId: null };
+  await message.update({
+    content: renderCostCard(costOffer),
+    [`flags.${MODULE_ID}.costOffer`]: costOffer
+  });
+}
+
+/**
+ * Accept one of the offered costs. The active GM marks the card first, so
+ * only one offer is ever accepted; the owner then records the obligation.
+ */
+export async function acceptCost(message, offerId) {
+  const costOffer = message.getFlag(MODULE_ID, "costOffer");
+  const offer = costOffer?.offers?.find(o => o.id === offerId);
+  if (!offer || costOffer.acceptedId) return;
+
+  const actor = game.actors.get(costOffer.actorId);
+  if (!actor?.isOwner) return;
+
+  if (isActiveGM()) {
+    if (!await markCostAccepted(message, offerId)) {
+      ui.notifications.warn(game.i18n.localize("DOWNTIME.Costs.AlreadyAccepted"));
+      return;
+    }
+  } else {
+    try {
+      await requestGMOperation(GM_OPERATIONS.ACCEPT_COST, { messageId: message.id, offerId });
+    } catch (err) {
+      // The player has already been told why
+      if (err instanceof GMRequestError) return;
+      throw err;
+    }
+  }
+
+  await addObligation(actor, {
+    type: offer.type,
+    description: offer.description,
+    markerId: offer.markerId,
+    historyEntryId: costOffer.historyEntryId,
+    actionName: costOffer.actionName
+  });
+
+  ui.notifications.info(game.i18n.format("DOWNTIME.Costs.AcceptedNotify", { cost: escapeHTML(offer.description) }));
+  refreshDowntimeTracker();
+}
+
+/**
+ * Cards this client (the active GM) is marking accepted, so two acceptances
+ * arriving together can't both go through
+ */
+const accepting = new Set();
+
+/**
+ * Active GM: mark an offer as accepted on the cost card
+ * @returns {Promise<boolean>} False if the card already has an accepted offer
+ */
+export async function markCostAccepted(message, offerId) {
+  const current = message.getFlag(MODULE_ID, "costOffer");
+  if (!current?.offers?.some(o => o.id === offerId)) return false;
+  if (current.acceptedId || accepting.has(message.id)) return false;
+
+  accepting.add(message.id);
+  try {
+    const costOffer = { ...current, acceptedId: offerId };
+    await message.update({
+      content: renderCostCard(costOffer),
+      [`flags.${MODULE_ID}.costOffer`]: costOffer
+    });
+  } finally {
+    accepting.delete(message.id);
+  }
+  return true;
+}
+
+/**
+ * Show cost card controls only to the users who can act on them
+ */
+export function onRenderCostCard(message, html) {
+  const costOffer = message.getFlag(MODULE_ID, "costOffer");
+  if (!costOffer) return;
+
+  const actor = game.actors.get(costOffer.actorId);
+
+  if (game.user.isGM) {
+    html.find(".offer-costs").on("click", async (event) => {
+      event.preventDefault();
+      const offers = await showCostOfferDialog(costOffer.actionName, costOffer.actorId);
+      if (offers) await offerCosts(message, offers);
+    });
+  } else {
+    html.find(".offer-costs").remove();
+  }
+
+  if (actor?.isOwner) {
+    html.find(".accept-cost").on("click", async (event) => {
+      event.preventDefault();
+      html.find(".accept-cost").prop("disabled", true);
+      await acceptCost(message, event.currentTarget.dataset.offerId);
+    });
+  } else {
+    html.find(".accept-cost").remove();
+  }
+}
@@ -0,0 +1,471 @@
+/**
+ * Data Export and Import
+ *
+ * The GM can export all of the module's data (its world settings and every
+ * character's downtime data) as one versioned JSON file, and import such a
+ * file into this or another world. Characters are stored by id and name;
+ * on import each is mapped to a world actor by id, then by name, or by the
+ * GM's choice. Imported data either merges with what's here (items with the
+ * same id are overwritten, others are kept) or replaces it. The GM sees a
+ * preview of the changes before anything is written.
+ */
+
+import { MODULE_ID, SETTINGS } from "./constants.mjs";
+import { getCharacterDowntimeData, computeHistoryStats } from "./main.mjs";
+import { DATA_SETTINGS, CURRENT_SCHEMA_VERSION, runMigrations, readDataSetting, writeDataSetting } from "./migrations.mjs";
+import { escapeHTML } from "./text-utils.mjs";
+
+/**
+ * Version of the export file layout (separate from the data schema version)
+ */
+const EXPORT_FORMAT = 1;
+
+/**
+ * How imported data combines with the world's
+ */
+export const IMPORT_MODES = {
+  MERGE: "merge",
+  REPLACE: "replace"
+};
+
+/**
+ * Settings that are lists of items with ids, merged item by item
+ */
+const LIST_SETTINGS = [SETTINGS.markers, SETTINGS.lanes, SETTINGS.clocks, SETTINGS.customActionSets];
+
+/**
+ * Lists in a character's downtime data, merged item by item
+ */
+const CHARACTER_LISTS = ["history", "projects", "obligations"];
+
+/**
+ * GM: download all module data as a JSON file
+ */
+export function exportModuleData() {
+  if (!game.user.isGM) return;
+
+  const settings = {};
+  for (const key of DATA_SETTINGS) {
+    settings[key] = readDataSetting(key);
+  }
+
+  // Every pilot is listed, with or without data, so marker and lane
+  // assignments can be mapped on import
+  const actors = game.actors
+    .filter(a => a.type === "pilot" || a.getFlag(MODULE_ID, "data"))
+    .map(a => ({ id: a.id, name: a.name, type: a.type, data: a.getFlag(MODULE_ID, "data") || null }));
+
+  const data = {
+    module: MODULE_ID,
+    format: EXPORT_FORMAT,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    moduleVersion: game.modules.get(MODULE_ID)?.version ?? null,
+    exportedAt: new Date().toISOString(),
+    world: { id: game.world.id, title: game.world.title },
+    settings,
+    actors
+  };
+
+  const filename = `downtime-${game.world.id}-${new Date().toISOString().slice(0, 10)}.json`;
+  saveDataToFile(JSON.stringify(data, null, 2), "text/json", filename);
+  ui.notifications.info(game.i18n.format("DOWNTIME.DataTransfer.Exported", { count: actors.length }));
+}
+
+/**
+ * Check a parsed export file, throwing if it can't be imported
+ */
+export function validateExportData(data) {
+  if (data?.module !== MODULE_ID || !data.settings || !Array.isArray(data.actors)) {
+    throw new Error(game.i18n.localize("DOWNTIME.DataTransfer.NotAnExport"));
+  }
+  if (data.format > EXPORT_FORMAT || data.schemaVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error(game.i18n.format("DOWNTIME.DataTransfer.TooNew", { version: data.moduleVersion ?? "?" }));
+  }
+}
+
+/**
+ * GM: import wizard. Pick a file, map its characters to world actors and
+ * choose merge or replace, preview, then write.
+ * @param {Application} [app] - Application to re-render after importing
+ */
+export async function showDataImportDialog(app) {
+  if (!game.user.isGM) return;
+
+  const data = await pickExportFile();
+  if (!data) return;
+
+  let choices = { mode: IMPORT_MODES.MERGE, mapping: autoMapActors(data.actors) };
+  let decision = "back";
+  while (decision === "back") {
+    choices = await showMappingDialog(data, choices);
+    if (!choices) return;
+
+    const targets = [...choices.mapping.values()].filter(Boolean);
+    if (new Set(targets).size !== targets.length) {
+      ui.notifications.warn(game.i18n.localize("DOWNTIME.DataTransfer.DuplicateMapping"));
+      continue;
+    }
+
+    const plan = planImport(data, choices.mapping, choices.mode);
+    decision = await showPreviewDialog(plan);
+    if (decision === "import") {
+      await applyImport(plan);
+      ui.notifications.info(game.i18n.localize("DOWNTIME.DataTransfer.Imported"));
+      if (app) app.render(false);
+    }
+  }
+}
+
+/**
+ * Ask for an export file and parse it
+ * @returns {Promise<Object|null>} The validated export data, or null if cancelled
+ */
+function pickExportFile() {
+  const content = `
+    <form class="data-import-form">
+      <div class="form-group">
+        <label>${game.i18n.localize("DOWNTIME.DataTransfer.SelectFile")}:</label>
+        <input type="file" name="exportFile" accept=".json" />
+      </div>
+      <p class="hint">${game.i18n.localize("DOWNTIME.DataTransfer.FileHint")}</p>
+    </form>
+  `;
+
+  return new Promise((resolve) => {
+    new Dialog({
+      title: game.i18n.localize("DOWNTIME.DataTransfer.ImportTitle"),
+      content,
+      buttons: {
+        next: {
+          icon: '<i class="fas fa-arrow-right"></i>',
+          label: game.i18n.localize("DOWNTIME.DataTransfer.Next"),
+          callback: async (html) => {
+            const file = html.find('[name="exportFile"]')[0].files[0];
+            if (!file) {
+              ui.notifications.warn(game.i18n.localize("DOWNTIME.DataTransfer.NoFile"));
+              resolve(null);
+              return;
+            }
+            try {
+              const data = JSON.parse(await readTextFromFile(file));
+              validateExportData(data);
+              resolve(data);
+            } catch (err) {
+              console.error(`${MODULE_ID} | Data import failed:`, err);
+              ui.notifications.error(game.i18n.format("DOWNTIME.DataTransfer.ReadError", { error: escapeHTML(err.message) }));
+              resolve(null);
+            }
+          }
+        },
+        cancel: {
+          icon: '<i class="fas fa-times"></i>',
+          label: game.i18n.localize("DOWNTIME.Markers.Cancel"),
+          callback: () => resolve(null)
+        }
+      },
+      default: "next",
+      close: () => resolve(null)
+    }).render(true);
+  });
+}
+
+/**
+ * Match each exported character to a world actor: by id, then by name
+ * @returns {Map<string, string|null>} Exported actor id -> world actor id (null = skip)
+ */
+function autoMapActors(exportedActors) {
+  const mapping = new Map();
+  for (const exported of exportedActors) {
+    const match = game.actors.get(exported.id) ?? game.actors.find(a => a.name === exported.name);
+    mapping.set(exported.id, match?.id ?? null);
+  }
+  return mapping;
+}
+
+/**
+ * Let the GM check the character mapping and choose merge or replace
+ * @returns {Promise<Object|null>} {mode, mapping}, or null if cancelled
+ */
+function showMappingDialog(data, { mode, mapping }) {
+  const pilots = game.actors.filter(a => a.type === "pilot").sort((a, b) => a.name.localeCompare(b.name));
+
+  const rows = data.actors.map((exported, index) => {
+    const selected = mapping.get(exported.id);
+    const matchedBy = game.actors.get(exported.id)
+      ? "DOWNTIME.DataTransfer.MatchId"
+      : (game.actors.some(a => a.name === exported.name) ? "DOWNTIME.DataTransfer.MatchName" : "DOWNTIME.DataTransfer.MatchNone");
+    // A match that isn't a pilot is still offered
+    const options = pilots.some(a => a.id === selected) || !selected ? pilots : [game.actors.get(selected), ...pilots];
+    return `
+      <tr>
+        <td>${escapeHTML(exported.name)}<br><span class="hint">${game.i18n.format("DOWNTIME.DataTransfer.EntryCount", {
+  count: exported.data?.history?.length ?? 0
+})}</span></td>
+        <td class="hint">${game.i18n.localize(matchedBy)}</td>
+        <td>
+          <select name="map-${index}">
+            <option value="">${game.i18n.localize("DOWNTIME.DataTransfer.Skip")}</option>
+            ${options.map(a => `<option value="${a.id}" ${a.id === selected ? "selected" : ""}>${escapeHTML(a.name)}</option>`).join("")}
+          </select>
+        </td>
+      </tr>
+    `;
+  }).join("");
+
+  const content = `
+    <form class="data-import-form">
+      <p>${game.i18n.format("DOWNTIME.DataTransfer.Source", {
+    world: escapeHTML(data.world?.title ?? "?"),
+    date: new Date(data.exportedAt).toLocaleString()
+  })}</p>
+      <div class="form-group">
+        <label>${game.i18n.localize("DOWNTIME.DataTransfer.Mode")}:</label>
+        <select name="mode">
+          <option value="${IMPORT_MODES.MERGE}" ${mode === IMPORT_MODES.MERGE ? "selected" : ""}>${game.i18n.localize("DOWNTIME.DataTransfer.ModeMerge")}</option>
+          <option value="${IMPORT_MODES.REPLACE}" ${mode === IMPORT_MODES.REPLACE ? "selected" : ""}>${game.i18n.localize("DOWNTIME.DataTransfer.ModeReplace")}</option>
+        </select>
+      </div>
+      <p class="hint">${game.i18n.localize("DOWNTIME.DataTransfer.ModeHint")}</p>
+      <table>
+        <thead><tr>
+          <th>${game.i18n.localize("DOWNTIME.DataTransfer.ExportedCharacter")}</th>
+          <th></th>
+          <th>${game.i18n.localize("DOWNTIME.DataTransfer.WorldActor")}</th>
+        </tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </form>
+    <style>
+      .data-import-form table { width: 100%; }
+      .data-import-form .hint { font-size: 0.8rem; color: #888; }
+    </style>
+  `;
+
+  return new Promise((resolve) => {
+    new Dialog({
+      title: game.i18n.localize("DOWNTIME.DataTransfer.ImportTitle"),
+      content,
+      buttons: {
+        preview: {
+          icon: '<i class="fas fa-search"></i>',
+          label: game.i18n.localize("DOWNTIME.DataTransfer.Preview"),
+          callback: (html) => {
+            const chosen = new Map();
+            data.actors.forEach((exported, index) => {
+              chosen.set(exported.id, html.find(`[name="map-${index}"]`).val() || null);
+            });
+            resolve({ mode: html.find('[name="mode"]').val(), mapping: chosen });
+          }
+        },
+        cancel: {
+          icon: '<i class="fas fa-times"></i>',
+          label: game.i18n.localize("DOWNTIME.Markers.Cancel"),
+          callback: () => resolve(null)
+        }
+      },
+      default: "preview",
+      close: () => resolve(null)
+    }, { width: 520 }).render(true);
+  });
+}
+
+/**
+ * Overlay incoming items on existing ones by id; existing order is kept and
+ * new items are appended
+ */
+function mergeById(existing = [], incoming = []) {
+  const incomingById = new Map(incoming.map(item => [item.id, item]));
+  const merged = existing.map(item => incomingById.get(item.id) ?? item);
+  const existingIds = new Set(existing.map(item => item.id));
+  return [...merged, ...incoming.filter(item => !existingIds.has(item.id))];
+}
+
+/**
+ * Count added, updated and removed items between two lists with ids
+ */
+function diffById(before = [], after = []) {
+  const beforeById = new Map(before.map(item => [item.id, item]));
+  const afterIds = new Set(after.map(item => item.id));
+  let added = 0;
+  let updated = 0;
+  for (const item of after) {
+    const previous = beforeById.get(item.id);
+    if (!previous) added++;
+    else if (JSON.stringify(previous) !== JSON.stringify(item)) updated++;
+  }
+  const removed = before.filter(item => !afterIds.has(item.id)).length;
+  return { added, updated, removed };
+}
+
+/**
+ * Describe a diff for the preview, or null if nothing changes
+ */
+function describeDiff(label, diff) {
+  if (!diff.added && !diff.updated && !diff.removed) return null;
+  return game.i18n.format("DOWNTIME.DataTransfer.DiffLine", { label, ...diff });
+}
+
+/**
+ * Work out everything an import will write, without writing it
+ * @param {Object} data - Validated export data
+ * @param {Map} mapping - Exported actor id -> world actor id (null = skip)
+ * @param {string} mode - IMPORT_MODES constant
+ * @returns {Object} {mode, schemaVersion, settings, actors, settingLines, actorLines}
+ */
+export function planImport(data, mapping, mode) {
+  const replace = mode === IMPORT_MODES.REPLACE;
+  // Ids not in the file are left alone; skipped characters are dropped
+  const remapList = (ids) => (ids || []).map(id => (mapping.has(id) ? mapping.get(id) : id)).filter(Boolean);
+  const remapId = (id) => mapping.get(id) || id;
+
+  const incoming = foundry.utils.deepClone(data.settings);
+  incoming[SETTINGS.markers] = (incoming[SETTINGS.markers] || []).map(m => ({ ...m, characterIds: remapList(m.characterIds) }));
+  incoming[SETTINGS.lanes] = (incoming[SETTINGS.lanes] || []).map(l => ({ ...l, characterIds: remapList(l.characterIds) }));
+
+  const settings = {};
+  const settingLines = [];
+  for (const key of DATA_SETTINGS) {
+    if (!(key in incoming)) continue;
+    const current = readDataSetting(key);
+    const label = game.i18n.localize(`DOWNTIME.DataTransfer.Settings.${key}`);
+    let value;
+
+    if (LIST_SETTINGS.includes(key)) {
+      value = replace ? incoming[key] : mergeById(current, incoming[key]);
+      const line = describeDiff(label, diffById(current, value));
+      if (line) settingLines.push(line);
+    } else if (key === SETTINGS.activeActionSets) {
+      value = replace ? incoming[key] : [...new Set([...(current || []), ...(incoming[key] || [])])];
+    } else if (key === SETTINGS.activeMarkerId) {
+      value = replace ? incoming[key] : (current || incoming[key]);
+    } else if (key === SETTINGS.journalSyncConfig) {
+      // Merging keeps this world's journal; a replaced config can't point at a journal that isn't here
+      value = { ...(replace ? incoming[key] : current) };
+      if (value?.journalId && !game.journal.get(value.journalId)) value.journalId = null;
+    } else {
+      value = incoming[key];
+    }
+
+    if (!LIST_SETTINGS.includes(key) && JSON.stringify(value) !== JSON.stringify(current)) {
+      settingLines.push(game.i18n.format("DOWNTIME.DataTransfer.Changed", { label }));
+    }
+    settings[key] = value;
+  }
+
+  const actors = [];
+  const actorLines = [];
+  for (const exported of data.actors) {
+    const actor = game.actors.get(mapping.get(exported.id));
+    if (!actor) {
+      if (exported.data) actorLines.push(game.i18n.format("DOWNTIME.DataTransfer.Skipped", { name: exported.name }));
+      continue;
+    }
+    if (!exported.data) continue;
+
+    const incomingData = foundry.utils.deepClone(exported.data);
+    incomingData.history = (incomingData.history || []).map(entry => (entry.group
+      ? {
+        ...entry,
+        group: {
+          ...entry.group,
+          leadId: remapId(entry.group.leadId),
+          participants: (entry.group.participants || []).map(p => ({ ...p, actorId: remapId(p.actorId) }))
+        }
+      }
+      : entry));
+
+    const current = actor.getFlag(MODULE_ID, "data") ? getCharacterDowntimeData(actor) : null;
+    const merged = { ...(replace ? {} : current), ...incomingData };
+    for (const list of CHARACTER_LISTS) {
+      merged[list] = replace ? (incomingData[list] || []) : mergeById(current?.[list], incomingData[list]);
+    }
+    merged.history.sort((a, b) => (b.timestamp || "").localeCompare(a.timestamp || ""));
+    merged.stats = { ...merged.stats, ...computeHistoryStats(merged.history) };
+
+    const lines = CHARACTER_LISTS
+      .map(list => describeDiff(game.i18n.localize(`DOWNTIME.DataTransfer.Lists.${list}`), diffById(current?.[list], merged[list])))
+      .filter(Boolean);
+    if (!lines.length) continue;
+
+    actors.push({ actor, data: merged });
+    actorLines.push(game.i18n.format("DOWNTIME.DataTransfer.ActorLine", {
+      name: actor.name,
+      source: exported.name,
+      changes: lines.join("; ")
+    }));
+  }
+
+  return { mode, schemaVersion: data.schemaVersion ?? 0, settings, actors, settingLines, actorLines };
+}
+
+/**
+ * Show what an import will change
+ * @returns {Promise<string|null>} "import", "back", or null if cancelled
+ */
+function showPreviewDialog(plan) {
+  const list = (lines) => (lines.length
+    ? `<ul>${lines.map(l => `<li>${escapeHTML(l)}</li>`).join("")}</ul>`
+    : `<p class="hint">${game.i18n.localize("DOWNTIME.DataTransfer.NoChanges")}</p>`);
+
+  const content = `
+    <div class="data-import-preview">
+      ${plan.mode === IMPORT_MODES.REPLACE ? `<p class="warning">${game.i18n.localize("DOWNTIME.DataTransfer.ReplaceWarning")}</p>` : ""}
+      <h3>${game.i18n.localize("DOWNTIME.DataTransfer.WorldSettings")}</h3>
+      ${list(plan.settingLines)}
+      <h3>${game.i18n.localize("DOWNTIME.DataTransfer.Characters")}</h3>
+      ${list(plan.actorLines)}
+      ${plan.schemaVersion < CURRENT_SCHEMA_VERSION ? `<p class="hint">${game.i18n.localize("DOWNTIME.DataTransfer.WillMigrate")}</p>` : ""}
+    </div>
+    <style>
+      .data-import-preview .hint { font-size: 0.8rem; color: #888; }
+      .data-import-preview .warning { color: #e94560; }
+    </style>
+  `;
+
+  return new Promise((resolve) => {
+    new Dialog({
+      title: game.i18n.localize("DOWNTIME.DataTransfer.PreviewTitle"),
+      content,
+      buttons: {
+        import: {
+          icon: '<i class="fas fa-file-import"></i>',
+          label: game.i18n.localize("DOWNTIME.DataTransfer.Import"),
+          callback: () => resolve("import")
+        },
+        back: {
+          icon: '<i class="fas fa-arrow-left"></i>',
+          label: game.i18n.localize("DOWNTIME.DataTransfer.Back"),
+          callback: () => resolve("back")
+        },
+        cancel: {
+          icon: '<i class="fas fa-times"></i>',
+          label: game.i18n.localize("DOWNTIME.Markers.Cancel"),
+          callback: () => resolve(null)
+        }
+      },
+      default: "import",
+      close: () => resolve(null)
+    }, { width: 520 }).render(true);
+  });
+}
+
+/**
+ * Write a planned import. Data from an older schema is migrated afterwards.
+ */
+async function applyImport(plan) {
+  for (const [key, value] of Object.entries(plan.settings)) {
+    await writeDataSetting(key, value);
+  }
+
+  for (const { actor, data } of plan.actors) {
+    // Replace rather than merge, so removed fields go too
+    await actor.unsetFlag(MODULE_ID, "data");
+    await actor.setFlag(MODULE_ID, "data", data);
+  }
+
+  // Migrations are idempotent, so re-running them over merged data is safe
+  if (plan.schemaVersion < CURRENT_SCHEMA_VERSION) {
+    await game.settings.set(MODULE_ID, SETTINGS.schemaVersion, plan.schemaVersion);
+    await runMigrations();
+  }
+}
@@ -1,8 +1,20 @@
 /**
- * Built-in downtime action sets for LANCER Core and Far Field
+ * Built-in downtime action sets for LANCER Core and Far Field,
+ * and the registry that serves them alongside imported and world-defined sets
  */
 
-import { CATEGORIES, PHASES } from "./constants.mjs";
+import { MODULE_ID, SETTINGS, CATEGORIES, PHASES } from "./constants.mjs";
+import { validateActionSet } from "./lcp-handler.mjs";
+import { isActiveGM } from "./socket.mjs";
+
+/**
+ * Where an action set came from
+ */
+export const ACTION_SET_SOURCES = {
+  BUILT_IN: "built-in",
+  LCP: "lcp",
+  WORLD: "world"
+};
 
 /**
  * LANCER Core Downtime Actions
@@ -22,7 +34,11 @@ export const LANCER_CORE_ACTIONS = {
       category: CATEGORIES.SOCIAL,
       phases: [PHASES.BETWEEN_MISSIONS, PHASES.SHORE_LEAVE],
       requiresRoll: true,
-      rollType: "skill"
+      rollType: "skill",
+      suggestedTriggers: ["Charm", "Threaten", "Stay Cool", "Read a Situation"],
+      effects: [
+        { type: "adjustClock", amount: -1, triumphAmount: -2 }
+      ]
     },
     {
       id: "get_a_damn_drink",
@@ -39,7 +55,11 @@ export const LANCER_CORE_ACTIONS = {
       category: CATEGORIES.SOCIAL,
       phases: [PHASES.SHORE_LEAVE],
       requiresRoll: true,
-      rollType: "skill"
+      rollType: "skill",
+      suggestedTriggers: ["Word on the Street", "Charm", "Pull Rank", "Lead or Inspire"],
+      effects: [
+        { type: "gainReserve", suggested: ["backing", "access", "reputation"] }
+      ]
     },
     {
       id: "get_creative",
@@ -48,7 +68,8 @@ export const LANCER_CORE_ACTIONS = {
       category: CATEGORIES.DEVELOPMENT,
       phases: [PHASES.TRANSIT, PHASES.BETWEEN_MISSIONS, PHASES.SHORE_LEAVE],
       requiresRoll: true,
-      rollType: "skill"
+      rollType: "skill",
+      suggestedTriggers: ["Invent or Create", "Hack or Fix", "Show Off"]
     },
     {
       id: "get_focused",
@@ -57,7 +78,8 @@ export const LANCER_CORE_ACTIONS = {
       category: CATEGORIES.DEVELOPMENT,
       phases: [PHASES.TRANSIT, PHASES.BETWEEN_MISSIONS, PHASES.SHORE_LEAVE],
       requiresRoll: true,
-      rollType: "skill"
+      rollType: "skill",
+      suggestedTriggers: ["Survive", "Stay Cool", "Investigate", "Hold Your Ground"]
     },
     {
       id: "get_organized",
@@ -66,7 +88,8 @@ export const LANCER_CORE_ACTIONS = {
       category: CATEGORIES.SOCIAL,
       phases: [PHASES.SHORE_LEAVE],
       requiresRoll: true,
-      rollType: "skill"
+      rollType: "skill",
+      suggestedTriggers: ["Lead or Inspire", "Pull Rank", "Take Control", "Charm"]
     },
     {
       id: "power_at_a_cost",
@@ -76,7 +99,12 @@ export const LANCER_CORE_ACTIONS = {
       phases: [PHASES.SHORE_LEAVE],
       requiresRoll: true,
       rollType: "skill",
-      hasCost: true
+      suggestedTriggers: ["Threaten", "Charm", "Pull Rank", "Word on the Street"],
+      hasCost: true,
+      effects: [
+        { type: "spendReserve" },
+        { type: "gainReserve", suggested: ["backing", "reinforcements", "access"] }
+      ]
     },
     {
       id: "scrounge_and_barter",
@@ -85,7 +113,12 @@ export const LANCER_CORE_ACTIONS = {
       category: CATEGORIES.ACQUISITION,
       phases: [PHASES.SHORE_LEAVE],
       requiresRoll: true,
-      rollType: "skill"
+      rollType: "skill",
+      suggestedTriggers: ["Get a Hold of Something", "Word on the Street", "Charm"],
+      effects: [
+        { type: "spendReserve" },
+        { type: "gainReserve", suggested: ["supplies", "rented_gear", "custom_mech_part"] }
+      ]
     }
   ]
 };
@@ -198,12 +231,80 @@ export function getBuiltInActionSets() {
   return [LANCER_CORE_ACTIONS, FAR_FIELD_ACTIONS];
 }
 
+/**
+ * Action sets registered at runtime by world scripts or other modules
+ */
+const worldActionSets = new Map();
+
+/**
+ * Register a world-defined action set. A set registered for the first time
+ * in a world is activated; after that the GM's choice in the action set
+ * manager is kept.
+ * @param {Object} actionSet - Action set in the same format as downtime_actions.json
+ */
+export function registerActionSet(actionSet) {
+  validateActionSet(actionSet);
+
+  if (getBuiltInActionSets().some(set => set.id === actionSet.id)) {
+    throw new Error(`Action set id '${actionSet.id}' is reserved by a built-in set`);
+  }
+  const custom = game.settings.get(MODULE_ID, SETTINGS.customActionSets) || [];
+  if (custom.some(set => set.id === actionSet.id)) {
+    throw new Error(`Action set id '${actionSet.id}' is already used by an imported set`);
+  }
+
+  worldActionSets.set(actionSet.id, {
+    ...actionSet,
+    source: ACTION_SET_SOURCES.WORLD
+  });
+
+  // Sets registered during init are activated once the world is ready
+  if (game.ready) {
+    activateNewWorldActionSets().catch(err => {
+      console.error(`${MODULE_ID} | Failed to activate action set '${actionSet.id}'`, err);
+    });
+  }
+}
+
+/**
+ * Active GM: activate world-registered sets this world hasn't seen before
+ */
+export async function activateNewWorldActionSets() {
+  if (!isActiveGM()) return;
+
+  const known = game.settings.get(MODULE_ID, SETTINGS.knownWorldActionSets) || [];
+  const newIds = [...worldActionSets.keys()].filter(id => !known.includes(id));
+  if (newIds.length === 0) return;
+
+  const activeIds = game.settings.get(MODULE_ID, SETTINGS.activeActionSets) || [];
+  await game.settings.set(MODULE_ID, SETTINGS.activeActionSets, [...new Set([...activeIds, ...newIds])]);
+  await game.settings.set(MODULE_ID, SETTINGS.knownWorldActionSets, [...known, ...newIds]);
+}
+
+/**
+ * Remove a world-defined action set
+ */
+export function unregisterActionSet(setId) {
+  worldActionSets.delete(setId);
+}
+
+/**
+ * Get every action set: built-in, imported from LCP, then world-defined
+ */
+export function getAllActionSets() {
+  const custom = game.settings.get(MODULE_ID, SETTINGS.customActionSets) || [];
+  return [
+    ...getBuiltInActionSets(),
+    ...custom,
+    ...worldActionSets.values()
+  ];
+}
+
 /**
  * Get a specific action set by ID
  */
 export function getActionSetById(id) {
-  const builtIn = getBuiltInActionSets();
-  return builtIn.find(set => set.id === id) || null;
+  return getAllActionSets().find(set => set.id === id) || null;
 }
 
 /**
@@ -211,15 +312,16 @@ export function getActionSetById(id) {
  */
 export function getActionsFromSets(setIds) {
   const actions = [];
-  const builtIn = getBuiltInActionSets();
+  const allSets = getAllActionSets();
 
   for (const setId of setIds) {
-    const set = builtIn.find(s => s.id === setId);
+    const set = allSets.find(s => s.id === setId);
     if (set) {
       actions.push(...set.actions.map(action => ({
         ...action,
         actionSetId: set.id,
-        actionSetName: set.name
+        actionSetName: set.name,
+        actionSetSource: set.source || ACTION_SET_SOURCES.BUILT_IN
       })));
     }
   }
@@ -227,6 +329,24 @@ export function getActionsFromSets(setIds) {
   return actions;
 }
 
+/**
+ * Find action ids defined by more than one of the given sets
+ * @param {string[]} setIds - Action set IDs to compare (usually the active sets)
+ * @returns {Array<{actionId: string, sets: Array<{id: string, name: string}>}>}
+ */
+export function findActionConflicts(setIds) {
+  const owners = new Map();
+
+  for (const action of getActionsFromSets(setIds)) {
+    if (!owners.has(action.id)) owners.set(action.id, []);
+    owners.get(action.id).push({ id: action.actionSetId, name: action.actionSetName });
+  }
+
+  return [...owners.entries()]
+    .filter(([, sets]) => sets.length > 1)
+    .map(([actionId, sets]) => ({ actionId, sets }));
+}
+
 /**
  * Group actions by category
  */
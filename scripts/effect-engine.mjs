@@ -0,0 +1,715 @@
+/**
+ * Effect Engine
+ *
+ * Turns the declarative `effects` on downtime actions into concrete changes
+ * on a character, shows them to the player for confirmation, then applies
+ * them through the character adapter.
+ *
+ * Planning and applying are separate steps so the planned changes can be
+ * previewed and stored on the history entry exactly as they were applied.
+ */
+
+import { MODULE_ID } from "./constants.mjs";
+import { getCharacterAdapter, getBurnClearCount } from "./character-adapter.mjs";
+import { getReserveCatalogue } from "./reserves.mjs";
+import { getActiveClocks, planClockRules, setClockProgress } from "./clocks.mjs";
+import { getCharacterMarker } from "./lanes.mjs";
+import { escapeHTML } from "./text-utils.mjs";
+
+/**
+ * Declarative effect types used in action definitions
+ */
+export const EFFECT_TYPES = {
+  CLEAR_MARKS: "clearMarks",
+  ROLL_TO_CLEAR_BURN: "rollToClearBurn",
+  CLEAR_ALL_BURN: "clearAllBurn",
+  REMOVE_BURDENS: "removeBurdens",
+  GAIN_RESOURCE: "gainResource",
+  ALLOW_DRIVE_REVISION: "allowDriveRevision",
+  GAIN_INFORMATION: "gainInformation",
+  GAIN_RESERVE: "gainReserve",
+  SPEND_RESERVE: "spendReserve",
+  ADJUST_CLOCK: "adjustClock"
+};
+
+/**
+ * Concrete change operations produced by planning
+ */
+export const CHANGE_OPS = {
+  CLEAR_ASPECT_MARKS: "clearAspectMarks",
+  CLEAR_RESOURCE_MARKS: "clearResourceMarks",
+  CLEAR_ASPECT_BURN: "clearAspectBurn",
+  REMOVE_BURDEN: "removeBurden",
+  ADD_RESOURCE: "addResource",
+  SPEND_TRACK_BOX: "spendTrackBox",
+  CHOOSE_BURN_CLEARS: "chooseBurnClears",
+  CREATE_RESERVE: "createReserve",
+  USE_RESERVE: "useReserve",
+  ADJUST_CLOCK: "adjustClock",
+  NOTE: "note"
+};
+
+/**
+ * Result categories that count as a successful outcome
+ */
+const SUCCESS_RESULTS = ["triumph", "success"];
+
+/**
+ * Planners for each declarative effect type.
+ * Each returns a list of change objects (plain data, safe to store in flags).
+ */
+const EFFECT_PLANNERS = {
+  [EFFECT_TYPES.CLEAR_MARKS]: (effect, adapter) => {
+    const isResource = effect.target === "resources";
+    const items = isResource ? adapter.getResources() : adapter.getAspects();
+    return items
+      .filter(item => (item.marked || 0) > (item.burned || 0))
+      .map(item => ({
+        op: isResource ? CHANGE_OPS.CLEAR_RESOURCE_MARKS : CHANGE_OPS.CLEAR_ASPECT_MARKS,
+        id: item.id,
+        name: item.name,
+        before: item.marked || 0,
+        after: item.burned || 0
+      }));
+  },
+
+  // The player decides where the clears go, so this plans a choice that
+  // resolveActionEffects expands through the burn chooser
+  [EFFECT_TYPES.ROLL_TO_CLEAR_BURN]: (effect, adapter, { resultCategory }) => {
+    const count = getBurnClearCount(resultCategory);
+    const aspects = adapter.getAspects()
+      .filter(aspect => (aspect.burned || 0) > 0)
+      .map(aspect => ({
+        id: aspect.id,
+        name: aspect.name,
+        track: aspect.track || 0,
+        burned: aspect.burned,
+        marked: aspect.marked ?? aspect.burned
+      }));
+    if (count <= 0 || aspects.length === 0) return [];
+    return [{ op: CHANGE_OPS.CHOOSE_BURN_CLEARS, count, aspects }];
+  },
+
+  [EFFECT_TYPES.CLEAR_ALL_BURN]: (effect, adapter) => {
+    return adapter.getAspects()
+      .filter(aspect => (aspect.burned || 0) > 0)
+      .map(aspect => ({
+        op: CHANGE_OPS.CLEAR_ASPECT_BURN,
+        id: aspect.id,
+        name: aspect.name,
+        count: aspect.burned,
+        before: aspect.burned,
+        after: 0,
+        markedBefore: aspect.marked ?? aspect.burned
+      }));
+  },
+
+  [EFFECT_TYPES.REMOVE_BURDENS]: (effect, adapter) => {
+    return adapter.getBurdens().map(burden => ({
+      op: CHANGE_OPS.REMOVE_BURDEN,
+      id: burden.id,
+      name: burden.name,
+      burden: foundry.utils.deepClone(burden)
+    }));
+  },
+
+  [EFFECT_TYPES.GAIN_RESOURCE]: (effect, adapter, { resultCategory }) => {
+    // Rolled actions only grant the resource on a successful outcome
+    if (resultCategory && !SUCCESS_RESULTS.includes(resultCategory)) return [];
+    const type = effect.resourceType || "resource";
+    return [{
+      op: CHANGE_OPS.ADD_RESOURCE,
+      name: type.charAt(0).toUpperCase() + type.slice(1),
+      resourceType: type,
+      track: effect.track ?? 3
+    }];
+  },
+
+  [EFFECT_TYPES.ALLOW_DRIVE_REVISION]: () => [{
+    op: CHANGE_OPS.NOTE,
+    label: game.i18n.localize("DOWNTIME.Effects.DriveRevision")
+  }],
+
+  [EFFECT_TYPES.GAIN_INFORMATION]: () => [{
+    op: CHANGE_OPS.NOTE,
+    label: game.i18n.localize("DOWNTIME.Effects.GainInformation")
+  }],
+
+  [EFFECT_TYPES.GAIN_RESERVE]: (effect, adapter, { resultCategory }) => {
+    if (!adapter.supportsReserves) return [];
+    if (resultCategory && !SUCCESS_RESULTS.includes(resultCategory)) return [];
+    const [first] = getReserveCatalogue(effect.suggested || []);
+    return [{
+      op: CHANGE_OPS.CREATE_RESERVE,
+      catalogueId: first.id,
+      name: first.name,
+      reserveType: first.type,
+      description: first.description,
+      suggested: effect.suggested || []
+    }];
+  },
+
+  // Optional: the player picks which unused reserve (if any) pays the cost
+  [EFFECT_TYPES.SPEND_RESERVE]: (effect, adapter) => {
+    const available = adapter.getReserves().filter(reserve => !reserve.system?.used);
+    if (available.length === 0) return [];
+    return [{
+      op: CHANGE_OPS.USE_RESERVE,
+      id: null,
+      name: null,
+      options: available.map(reserve => ({ id: reserve.id, name: reserve.name }))
+    }];
+  },
+
+  // Optional: on a success the player picks which clock in play (if any) to move
+  [EFFECT_TYPES.ADJUST_CLOCK]: (effect, adapter, { resultCategory, marker }) => {
+    if (resultCategory && !SUCCESS_RESULTS.includes(resultCategory)) return [];
+    const amount = resultCategory === "triumph" && effect.triumphAmount !== undefined
+      ? effect.triumphAmount
+      : (effect.amount ?? -1);
+    const movable = getActiveClocks(marker).filter(clock => amount < 0 ? clock.progress > 0 : clock.progress < clock.segments);
+    if (movable.length === 0) return [];
+    return [{
+      op: CHANGE_OPS.ADJUST_CLOCK,
+      clockId: null,
+      name: null,
+      amount,
+      options: movable.map(clock => ({
+        id: clock.id,
+        name: clock.name,
+        progress: clock.progress,
+        segments: clock.segments
+      }))
+    }];
+  }
+};
+
+/**
+ * Plan the changes an action's effects would make to an actor
+ * @param {Object} action - The downtime action
+ * @param {Actor} actor - The actor performing the action
+ * @param {string|null} resultCategory - Roll result category, or null if no roll
+ * @returns {Array} Planned changes
+ */
+export function planActionEffects(action, actor, resultCategory = null) {
+  const effects = action.effects || [];
+  if (effects.length === 0) return [];
+
+  const adapter = getCharacterAdapter(actor);
+  const marker = getCharacterMarker(actor.id);
+  const changes = [];
+
+  for (const effect of effects) {
+    const planner = EFFECT_PLANNERS[effect.type];
+    if (!planner) {
+      console.warn(`${MODULE_ID} | Unknown downtime effect type '${effect.type}' on action '${action.id}'`);
+      continue;
+    }
+    changes.push(...planner(effect, adapter, { resultCategory, marker }));
+  }
+
+  return changes;
+}
+
+/**
+ * Describe a planned change for display (HTML, names escaped)
+ */
+export function describeChange(change) {
+  switch (change.op) {
+    case CHANGE_OPS.CLEAR_ASPECT_MARKS:
+    case CHANGE_OPS.CLEAR_RESOURCE_MARKS:
+      return game.i18n.format("DOWNTIME.Effects.ClearMarks", {
+        name: escapeHTML(change.name),
+        count: change.before - change.after
+      });
+    case CHANGE_OPS.CLEAR_ASPECT_BURN:
+      return game.i18n.format("DOWNTIME.Effects.ClearBurn", {
+        name: escapeHTML(change.name),
+        count: change.count
+      });
+    case CHANGE_OPS.REMOVE_BURDEN:
+      return game.i18n.format("DOWNTIME.Effects.RemoveBurden", { name: escapeHTML(change.name) });
+    case CHANGE_OPS.ADD_RESOURCE:
+      return game.i18n.format("DOWNTIME.Effects.AddResource", {
+        name: escapeHTML(change.name),
+        type: change.resourceType
+      });
+    case CHANGE_OPS.CREATE_RESERVE:
+      return game.i18n.format("DOWNTIME.Effects.CreateReserve", {
+        name: escapeHTML(change.name),
+        type: change.reserveType
+      });
+    case CHANGE_OPS.USE_RESERVE:
+      return change.id
+        ? game.i18n.format("DOWNTIME.Effects.UseReserve", { name: escapeHTML(change.name) })
+        : game.i18n.localize("DOWNTIME.Effects.ChooseReserve");
+    case CHANGE_OPS.CHOOSE_BURN_CLEARS:
+      return game.i18n.format("DOWNTIME.Effects.BurnChooser.Pending", { count: change.count });
+    case CHANGE_OPS.SPEND_TRACK_BOX:
+      return game.i18n.format(change.mode === "burn" ? "DOWNTIME.Effects.BurnBox" : "DOWNTIME.Effects.MarkBox", {
+        name: escapeHTML(change.name),
+        dice: change.dice
+      });
+    case CHANGE_OPS.ADJUST_CLOCK:
+      return change.clockId
+        ? game.i18n.format(change.amount < 0 ? "DOWNTIME.Effects.ClockBack" : "DOWNTIME.Effects.ClockForward", {
+          name: escapeHTML(change.name),
+          count: Math.abs(change.amount)
+        })
+        : game.i18n.format(change.amount < 0 ? "DOWNTIME.Effects.ChooseClockBack" : "DOWNTIME.Effects.ChooseClockForward", {
+          count: Math.abs(change.amount)
+        });
+    default:
+      return change.label || change.op;
+  }
+}
+
+/**
+ * Show a confirmation summary of planned changes
+ * @param {Object} character - Character entry from getAvailableCharacters
+ * @param {Object} action - The downtime action
+ * @param {Array} changes - Planned changes from planActionEffects
+ * @returns {Promise<Array|null>} Confirmed changes (with any edits), or null if skipped
+ */
+export async function confirmEffectPlan(character, action, changes) {
+  const rows = changes.map((change, index) => {
+    switch (change.op) {
+      case CHANGE_OPS.ADD_RESOURCE:
+        return `
+          <li class="effect-change">
+            ${describeChange(change)}
+            <input type="text" name="resourceName-${index}" value="${escapeHTML(change.name)}"/>
+          </li>
+        `;
+      case CHANGE_OPS.CREATE_RESERVE:
+        return renderReserveChoice(change, index);
+      case CHANGE_OPS.USE_RESERVE:
+        return `
+          <li class="effect-change">
+            ${describeChange(change)}
+            <select name="useReserve-${index}">
+              <option value="">${game.i18n.localize("DOWNTIME.Effects.NoReserve")}</option>
+              ${change.options.map(o => `<option value="${o.id}">${escapeHTML(o.name)}</option>`).join("")}
+            </select>
+          </li>
+        `;
+      case CHANGE_OPS.ADJUST_CLOCK:
+        if (!change.options) return `<li class="effect-change">${describeChange(change)}</li>`;
+        return `
+          <li class="effect-change">
+            ${describeChange(change)}
+            <select name="adjustClock-${index}">
+              <option value="">${game.i18n.localize("DOWNTIME.Effects.NoClock")}</option>
+              ${change.options.map(o => `<option value="${o.id}">${escapeHTML(o.name)} (${o.progress}/${o.segments})</option>`).join("")}
+            </select>
+          </li>
+        `;
+      default:
+        return `<li class="effect-change">${describeChange(change)}</li>`;
+    }
+  }).join("");
+
+  const content = `
+    <form class="effect-confirm-form">
+      <p>${game.i18n.format("DOWNTIME.Effects.ConfirmIntro", { character: escapeHTML(character.name) })}</p>
+      <ul class="effect-change-list">${rows}</ul>
+    </form>
+    <style>
+      .effect-change-list { margin: 0.5rem 0; padding-left: 1.25rem; }
+      .effect-change { margin-bottom: 0.25rem; }
+      .effect-change input, .effect-change select, .effect-change textarea { margin-top: 0.25rem; width: 100%; }
+    </style>
+  `;
+
+  return new Promise((resolve) => {
+    new Dialog({
+      title: `${action.name}: ${game.i18n.localize("DOWNTIME.Effects.Title")}`,
+      content,
+      buttons: {
+        apply: {
+          icon: '<i class="fas fa-check"></i>',
+          label: game.i18n.localize("DOWNTIME.Effects.Apply"),
+          callback: (html) => {
+            resolve(changes.map((change, index) => readChangeEdits(html, change, index)).filter(Boolean));
+          }
+        },
+        skip: {
+          icon: '<i class="fas fa-forward"></i>',
+          label: game.i18n.localize("DOWNTIME.Effects.Skip"),
+          callback: () => resolve(null)
+        }
+      },
+      default: "apply",
+      render: (html) => {
+        // Picking a catalogue entry fills in its name and description
+        html.find(".reserve-catalogue").on("change", (event) => {
+          const option = event.currentTarget.selectedOptions[0];
+          if (!option?.value) return;
+          const row = $(event.currentTarget).closest(".effect-change");
+          row.find(".reserve-name").val(option.dataset.name);
+          row.find(".reserve-description").val(option.dataset.description);
+        });
+      },
+      close: () => resolve(null)
+    }).render(true);
+  });
+}
+
+/**
+ * Render the catalogue picker for a reserve the player gains
+ */
+function renderReserveChoice(change, index) {
+  const options = getReserveCatalogue(change.suggested).map(entry => `
+    <option value="${entry.id}" data-name="${escapeHTML(entry.name)}" data-type="${entry.type}"
+            data-description="${escapeHTML(entry.description)}" ${entry.id === change.catalogueId ? "selected" : ""}>
+      ${entry.suggested ? "&#9733; " : ""}${escapeHTML(entry.name)} (${entry.type})
+    </option>
+  `).join("");
+
+  return `
+    <li class="effect-change">
+      ${game.i18n.localize("DOWNTIME.Effects.GainReserve")}
+      <select class="reserve-catalogue" name="reserveCatalogue-${index}">
+        ${options}
+        <option value="">${game.i18n.localize("DOWNTIME.Effects.CustomReserve")}</option>
+      </select>
+      <input type="text" class="reserve-name" name="reserveName-${index}" value="${escapeHTML(change.name)}"/>
+      <textarea class="reserve-description" name="reserveDescription-${index}" rows="2">${escapeHTML(change.description)}</textarea>
+    </li>
+  `;
+}
+
+/**
+ * Apply the player's edits from the confirmation dialog to a change.
+ * Returns null for optional changes the player declined.
+ */
+function readChangeEdits(html, change, index) {
+  switch (change.op) {
+    case CHANGE_OPS.ADD_RESOURCE: {
+      const name = html.find(`[name="resourceName-${index}"]`).val()?.trim();
+      return { ...change, name: name || change.name };
+    }
+    case CHANGE_OPS.CREATE_RESERVE: {
+      const option = html.find(`[name="reserveCatalogue-${index}"] option:selected`);
+      const name = html.find(`[name="reserveName-${index}"]`).val()?.trim();
+      return {
+        ...change,
+        catalogueId: option.val() || null,
+        reserveType: option.data("type") || "Resource",
+        name: name || change.name,
+        description: html.find(`[name="reserveDescription-${index}"]`).val() || ""
+      };
+    }
+    case CHANGE_OPS.USE_RESERVE: {
+      const id = html.find(`[name="useReserve-${index}"]`).val();
+      const reserve = change.options.find(o => o.id === id);
+      if (!reserve) return null;
+      return { op: change.op, id: reserve.id, name: reserve.name };
+    }
+    case CHANGE_OPS.ADJUST_CLOCK: {
+      if (!change.options) return change;
+      const id = html.find(`[name="adjustClock-${index}"]`).val();
+      const clock = change.options.find(o => o.id === id);
+      if (!clock) return null;
+      return {
+        op: change.op,
+        clockId: clock.id,
+        name: clock.name,
+        amount: change.amount,
+        before: clock.progress,
+        after: Math.min(Math.max(clock.progress + change.amount, 0), clock.segments)
+      };
+    }
+    default:
+      return change;
+  }
+}
+
+/**
+ * Apply planned changes to an actor through its character adapter
+ * @param {Actor} actor - The actor to change
+ * @param {Array} changes - Confirmed changes
+ * @param {Object|null} action - The action the changes come from (players need it to move clocks)
+ * @returns {Promise<Array>} Applied changes, including IDs of anything created
+ */
+export async function applyEffectPlan(actor, changes, action = null) {
+  const adapter = getCharacterAdapter(actor);
+  const applied = [];
+
+  for (const change of changes) {
+    switch (change.op) {
+      case CHANGE_OPS.CLEAR_ASPECT_MARKS:
+        await adapter.clearAspectMarks(change.id);
+        break;
+      case CHANGE_OPS.CLEAR_RESOURCE_MARKS:
+        await adapter.clearResourceMarks(change.id);
+        break;
+      case CHANGE_OPS.CLEAR_ASPECT_BURN:
+        await adapter.clearAspectBurn(change.id, change.count);
+        break;
+      case CHANGE_OPS.REMOVE_BURDEN:
+        await adapter.removeBurden(change.id);
+        break;
+      case CHANGE_OPS.ADD_RESOURCE: {
+        const resource = await adapter.addResource(change.name, change.resourceType, change.track);
+        applied.push({ ...change, id: resource?.id ?? null });
+        continue;
+      }
+      case CHANGE_OPS.SPEND_TRACK_BOX:
+        await adapter.setTrackState(change.collection, change.id, change.after);
+        break;
+      case CHANGE_OPS.CREATE_RESERVE: {
+        const reserve = await adapter.createReserve({
+          name: change.name,
+          type: change.reserveType,
+          description: change.description
+        });
+        applied.push({ ...change, id: reserve?.id ?? null, uuid: reserve?.uuid ?? null });
+        continue;
+      }
+      case CHANGE_OPS.USE_RESERVE:
+        await adapter.markReserveUsed(change.id);
+        break;
+      case CHANGE_OPS.ADJUST_CLOCK: {
+        // A player's clock move the GM refused isn't recorded as applied
+        const progress = await setClockProgress(change.clockId, change.after, action && {
+          actorId: actor.id,
+          actionSetId: action.actionSetId,
+          actionId: action.id
+        });
+        if (progress !== null) applied.push({ ...change, after: progress });
+        continue;
+      }
+    }
+    applied.push(change);
+  }
+
+  return applied;
+}
+
+/**
+ * Greedy default allocation of burn clears, used to prefill the chooser
+ */
+function defaultBurnAllocation(aspects, count) {
+  let remaining = count;
+  return aspects.map(aspect => {
+    const clears = Math.min(aspect.burned, remaining);
+    remaining -= clears;
+    return clears;
+  });
+}
+
+/**
+ * Let the player allocate burn clears across their burned aspects
+ * @param {Object} character - Character entry from getAvailableCharacters
+ * @param {Object} choice - A CHOOSE_BURN_CLEARS change
+ * @returns {Promise<Array>} CLEAR_ASPECT_BURN changes (empty if skipped)
+ */
+export async function chooseBurnClears(character, choice) {
+  const defaults = defaultBurnAllocation(choice.aspects, choice.count);
+  const rows = choice.aspects.map((aspect, index) => `
+    <div class="form-group burn-clear-row">
+      <label>${escapeHTML(aspect.name)} <span class="hint">${game.i18n.format("DOWNTIME.Effects.BurnChooser.Burned", { burned: aspect.burned, track: aspect.track })}</span></label>
+      <input type="number" name="clears-${index}" value="${defaults[index]}" min="0" max="${aspect.burned}"/>
+    </div>
+  `).join("");
+
+  const content = `
+    <form class="burn-clear-form">
+      <p>${game.i18n.format("DOWNTIME.Effects.BurnChooser.Intro", { character: escapeHTML(character.name), count: choice.count })}</p>
+      ${rows}
+      <p class="burn-clear-remaining"></p>
+    </form>
+    <style>
+      .burn-clear-form .burn-clear-row input { width: 60px; flex: 0 0 60px; }
+      .burn-clear-form .hint { font-size: 0.8rem; color: #888; }
+      .burn-clear-form .burn-clear-remaining { font-weight: bold; }
+      .burn-clear-form .burn-clear-remaining.over { color: #e94560; }
+    </style>
+  `;
+
+  // Clamp each input to its aspect, and the total to the allowed count
+  const readAllocation = (html) => {
+    let remaining = choice.count;
+    return choice.aspects.map((aspect, index) => {
+      const wanted = parseInt(html.find(`[name="clears-${index}"]`).val()) || 0;
+      const clears = Math.max(0, Math.min(wanted, aspect.burned, remaining));
+      remaining -= clears;
+      return clears;
+    });
+  };
+
+  const allocation = await new Promise((resolve) => {
+    new Dialog({
+      title: game.i18n.localize("DOWNTIME.Effects.BurnChooser.Title"),
+      content,
+      buttons: {
+        restore: {
+          icon: '<i class="fas fa-fire-extinguisher"></i>',
+          label: game.i18n.localize("DOWNTIME.Effects.BurnChooser.Restore"),
+          callback: (html) => resolve(readAllocation(html))
+        },
+        skip: {
+          icon: '<i class="fas fa-forward"></i>',
+          label: game.i18n.localize("DOWNTIME.Effects.Skip"),
+          callback: () => resolve(null)
+        }
+      },
+      default: "restore",
+      render: (html) => {
+        const update = () => {
+          let used = 0;
+          html.find('input[type="number"]').each((i, el) => { used += parseInt(el.value) || 0; });
+          html.find(".burn-clear-remaining")
+            .text(game.i18n.format("DOWNTIME.Effects.BurnChooser.Remaining", { remaining: choice.count - used }))
+            .toggleClass("over", used > choice.count);
+        };
+        html.find('input[type="number"]').on("change input", update);
+        update();
+      },
+      close: () => resolve(null)
+    }).render(true);
+  });
+
+  if (!allocation) return [];
+
+  return choice.aspects
+    .map((aspect, index) => ({
+      op: CHANGE_OPS.CLEAR_ASPECT_BURN,
+      id: aspect.id,
+      name: aspect.name,
+      count: allocation[index],
+      before: aspect.burned,
+      after: aspect.burned - allocation[index],
+      markedBefore: aspect.marked ?? aspect.burned
+    }))
+    .filter(change => change.count > 0);
+}
+
+/**
+ * Post a chat summary of the burned boxes that were restored, with the
+ * roll's visibility
+ */
+async function postBurnClearSummary(character, action, changes, rollMode) {
+  const items = changes.map(change => `<li>${describeChange(change)}</li>`).join("");
+
+  const messageData = {
+    speaker: ChatMessage.getSpeaker({ actor: character.actor }),
+    content: `
+      <div class="downtime-burn-cleared">
+        <p>${game.i18n.format("DOWNTIME.Effects.BurnChooser.Chat", { character: escapeHTML(character.name) })}</p>
+        <ul>${items}</ul>
+      </div>
+    `,
+    flavor: `<strong>Downtime:</strong> ${escapeHTML(action.name)}`
+  };
+  ChatMessage.applyRollMode(messageData, rollMode);
+  await ChatMessage.create(messageData);
+}
+
+/**
+ * Plan, confirm and apply an action's effects in one step
+ * @param {Object} character - Character entry from getAvailableCharacters
+ * @param {Object} action - The downtime action
+ * @param {string|null} resultCategory - Roll result category, or null if no roll
+ * @param {Object} [options]
+ * @param {string|null} options.rollMode - The roll's chat roll mode, so the burn summary is as visible as the roll
+ * @returns {Promise<Array>} Applied changes (empty if none or skipped)
+ */
+export async function resolveActionEffects(character, action, resultCategory = null, { rollMode = null } = {}) {
+  const planned = [];
+  const changes = [
+    ...planActionEffects(action, character.actor, resultCategory),
+    ...planClockRules(action, resultCategory, getCharacterMarker(character.actor.id))
+  ];
+  for (const change of changes) {
+    if (change.op === CHANGE_OPS.CHOOSE_BURN_CLEARS) {
+      planned.push(...await chooseBurnClears(character, change));
+    } else {
+      planned.push(change);
+    }
+  }
+  if (planned.length === 0) return [];
+
+  const confirmed = await confirmEffectPlan(character, action, planned);
+  if (!confirmed) return [];
+
+  const applied = await applyEffectPlan(character.actor, confirmed, action);
+
+  const burnCleared = applied.filter(change => change.op === CHANGE_OPS.CLEAR_ASPECT_BURN);
+  if (burnCleared.length > 0) {
+    await postBurnClearSummary(character, action, burnCleared, rollMode || CONST.DICE_ROLL_MODES.PUBLIC);
+  }
+
+  return applied;
+}
+
+/**
+ * Change operations that can be reversed by undo
+ */
+export const REVERSIBLE_OPS = [
+  CHANGE_OPS.CLEAR_ASPECT_MARKS,
+  CHANGE_OPS.CLEAR_RESOURCE_MARKS,
+  CHANGE_OPS.CLEAR_ASPECT_BURN,
+  CHANGE_OPS.REMOVE_BURDEN,
+  CHANGE_OPS.ADD_RESOURCE,
+  CHANGE_OPS.SPEND_TRACK_BOX,
+  CHANGE_OPS.CREATE_RESERVE,
+  CHANGE_OPS.USE_RESERVE,
+  CHANGE_OPS.ADJUST_CLOCK
+];
+
+/**
+ * Reverse previously applied changes, newest first.
+ * Changes that cannot be reversed are returned so the caller can report them.
+ * @param {Actor} actor - The actor the changes were applied to
+ * @param {Array} applied - Changes as stored on the history entry
+ * @param {string|null} entryId - The history entry (players need it to move clocks back)
+ * @returns {Promise<Array>} Changes that could not be reversed
+ */
+export async function revertEffectPlan(actor, applied, entryId = null) {
+  const adapter = getCharacterAdapter(actor);
+  const skipped = [];
+
+  for (const change of [...applied].reverse()) {
+    switch (change.op) {
+      case CHANGE_OPS.CLEAR_ASPECT_MARKS:
+        await adapter.setTrackState("aspects", change.id, { marked: change.before });
+        break;
+      case CHANGE_OPS.CLEAR_RESOURCE_MARKS:
+        await adapter.setTrackState("resources", change.id, { marked: change.before });
+        break;
+      case CHANGE_OPS.CLEAR_ASPECT_BURN:
+        // Changes stored before markedBefore was recorded only know the burned count
+        await adapter.setTrackState("aspects", change.id, {
+          burned: change.before,
+          marked: change.markedBefore ?? change.before
+        });
+        break;
+      case CHANGE_OPS.REMOVE_BURDEN:
+        await adapter.addBurden(change.burden);
+        break;
+      case CHANGE_OPS.ADD_RESOURCE:
+        if (change.id) await adapter.removeResource(change.id);
+        break;
+      case CHANGE_OPS.SPEND_TRACK_BOX:
+        await adapter.setTrackState(change.collection, change.id, change.before);
+        break;
+      case CHANGE_OPS.CREATE_RESERVE:
+        if (change.id) await adapter.deleteReserve(change.id);
+        break;
+      case CHANGE_OPS.USE_RESERVE:
+        await adapter.markReserveAvailable(change.id);
+        break;
+      case CHANGE_OPS.ADJUST_CLOCK:
+        if (await setClockProgress(change.clockId, change.before, { actorId: actor.id, entryId }) === null) {
+          skipped.push(change);
+        }
+        break;
+      default:
+        if (change.op !== CHANGE_OPS.NOTE) skipped.push(change);
+    }
+  }
+
+  return skipped;
+}
@@ -0,0 +1,233 @@
+/**
+ * Far Field Dice Pools
+ *
+ * Lets the player build a dice pool from their Far Field aspects, and push
+ * for extra dice by marking or burning a box on an aspect or resource.
+ * Spent boxes are expressed as effect-engine changes so they are stored on
+ * the history entry and can be undone like any other effect.
+ */
+
+import { getCharacterAdapter } from "./character-adapter.mjs";
+import { CHANGE_OPS } from "./effect-engine.mjs";
+import { escapeHTML } from "./text-utils.mjs";
+
+export const FAR_FIELD_MODULE_ID = "Far-Field-Foundry-Module-main";
+
+/**
+ * Bonus dice for spending a box
+ */
+export const TRACK_SPEND_DICE = {
+  mark: 1,
+  burn: 2
+};
+
+/**
+ * Map action categories to the aspect types most relevant to them
+ */
+const CATEGORY_ASPECT_TYPES = {
+  "development": "Expertise",
+  "social": "Expertise",
+  "rest": "Expertise",
+  "personal": "Expertise",
+  "acquisition": "Equipment",
+  "logistics": "Equipment",
+  "maintenance": "Equipment"
+};
+
+/**
+ * Boxes on a track that are not marked (burned boxes are always marked)
+ */
+export function getAvailableBoxes(item) {
+  return Math.max(0, (item.track || 0) - (item.marked || 0));
+}
+
+/**
+ * Pick the aspect best suited to an action: preferred type first, then most available boxes
+ */
+export function getSuggestedAspect(aspects, action) {
+  const preferredType = CATEGORY_ASPECT_TYPES[action?.category];
+
+  let bestAspect = null;
+  let bestScore = -1;
+
+  for (const aspect of aspects) {
+    const typeMatch = aspect.type === preferredType ? 1 : 0;
+    const score = typeMatch * 100 + getAvailableBoxes(aspect);
+    if (score > bestScore) {
+      bestScore = score;
+      bestAspect = aspect;
+    }
+  }
+
+  return bestAspect;
+}
+
+/**
+ * Shape an aspect or resource for the pool picker
+ */
+function toPoolSource(item, collection) {
+  return {
+    id: item.id,
+    name: item.name,
+    type: item.type || "",
+    collection,
+    track: item.track || 0,
+    marked: item.marked || 0,
+    burned: item.burned || 0,
+    available: getAvailableBoxes(item)
+  };
+}
+
+/**
+ * Get a Far Field character's aspects and resources for building a pool
+ * @param {Actor} actor - The character
+ * @param {Object} action - The action being performed
+ * @returns {{aspects: Array, resources: Array}|null} null if the actor has no Far Field data
+ */
+export function getPoolSources(actor, action = null) {
+  if (!actor?.getFlag?.(FAR_FIELD_MODULE_ID, "character")) return null;
+
+  const adapter = getCharacterAdapter(actor);
+  const rawAspects = adapter.getAspects();
+  const suggested = getSuggestedAspect(rawAspects, action);
+
+  return {
+    aspects: rawAspects.map(aspect => ({
+      ...toPoolSource(aspect, "aspects"),
+      suggested: aspect.id === suggested?.id
+    })),
+    resources: adapter.getResources().map(resource => toPoolSource(resource, "resources"))
+  };
+}
+
+/**
+ * Render the aspect picker and box spending controls for the dice pool dialog
+ */
+export function renderPoolPicker(sources) {
+  if (!sources) return "";
+
+  const aspectRows = sources.aspects.map(aspect => `
+    <label class="pool-aspect">
+      <input type="checkbox" class="pool-aspect-toggle" data-aspect-id="${aspect.id}"
+             data-available="${aspect.available}" ${aspect.suggested ? "checked" : ""}/>
+      ${escapeHTML(aspect.name)}
+      <span class="hint">${aspect.type ? `${aspect.type} &middot; ` : ""}${game.i18n.format("DOWNTIME.Roll.Pool.Available", { available: aspect.available, track: aspect.track })}</span>
+    </label>
+  `).join("");
+
+  const spendable = [...sources.aspects, ...sources.resources].filter(item => item.available > 0);
+  const spendRows = spendable.map(item => `
+    <div class="pool-spend">
+      <span>${escapeHTML(item.name)}</span>
+      <select class="pool-spend-select" data-item-id="${item.id}" data-collection="${item.collection}">
+        <option value="">-</option>
+        <option value="mark">${game.i18n.format("DOWNTIME.Roll.Pool.Mark", { dice: TRACK_SPEND_DICE.mark })}</option>
+        <option value="burn">${game.i18n.format("DOWNTIME.Roll.Pool.Burn", { dice: TRACK_SPEND_DICE.burn })}</option>
+      </select>
+    </div>
+  `).join("");
+
+  return `
+    <div class="form-group pool-picker">
+      <label>${game.i18n.localize("DOWNTIME.Roll.Pool.Aspects")}</label>
+      ${aspectRows || `<p class="hint">${game.i18n.localize("DOWNTIME.Roll.Pool.NoAspects")}</p>`}
+      <p class="hint">${game.i18n.localize("DOWNTIME.Roll.Pool.AspectsHint")}</p>
+    </div>
+    ${spendRows ? `
+      <div class="form-group pool-spends">
+        <label>${game.i18n.localize("DOWNTIME.Roll.Pool.Spend")}</label>
+        ${spendRows}
+        <p class="hint">${game.i18n.localize("DOWNTIME.Roll.Pool.SpendHint")}</p>
+      </div>
+    ` : ""}
+  `;
+}
+
+/**
+ * Keep the pool and bonus dice inputs in step with the picker
+ * @param {jQuery} html - Dialog HTML
+ * @param {Function} onChange - Called after the inputs are updated
+ */
+export function bindPoolPicker(html, onChange) {
+  const syncPool = () => {
+    const toggles = html.find(".pool-aspect-toggle:checked");
+    if (toggles.length) {
+      let pool = 0;
+      toggles.each((i, el) => { pool += parseInt(el.dataset.available) || 0; });
+      html.find('[name="poolSize"]').val(Math.max(1, pool));
+    }
+    onChange();
+  };
+
+  const syncBonus = () => {
+    // Bonus dice from elsewhere (e.g. group action helpers) stay counted
+    let bonus = parseInt(html.find('[name="bonusDice"]').attr("data-base")) || 0;
+    html.find(".pool-spend-select").each((i, el) => { bonus += TRACK_SPEND_DICE[el.value] || 0; });
+    html.find('[name="bonusDice"]').val(bonus);
+    onChange();
+  };
+
+  html.find(".pool-aspect-toggle").on("change", syncPool);
+  html.find(".pool-spend-select").on("change", syncBonus);
+  if (html.find(".pool-aspect-toggle:checked").length) syncPool();
+}
+
+/**
+ * Read the picker: the aspects drawn on and the boxes spent as effect changes
+ * @returns {{aspects: Array<{id, name, available}>, trackSpends: Array}}
+ */
+export function readPoolPicker(html, sources) {
+  return resolvePoolChoices(sources, readPoolChoices(html));
+}
+
+/**
+ * Read the raw picker choices, without resolving them against a character
+ * @returns {{aspectIds: string[], spends: Array<{collection, id, mode}>}}
+ */
+export function readPoolChoices(html) {
+  const aspectIds = html.find(".pool-aspect-toggle:checked").map((i, el) => el.dataset.aspectId).get();
+  const spends = html.find(".pool-spend-select").map((i, el) => (
+    el.value ? { collection: el.dataset.collection, id: el.dataset.itemId, mode: el.value } : null
+  )).get().filter(Boolean);
+  return { aspectIds, spends };
+}
+
+/**
+ * Resolve picker choices against the character's current tracks, dropping
+ * anything that no longer exists or has no boxes left
+ * @param {Object|null} sources - From getPoolSources
+ * @param {Object} choices - From readPoolChoices
+ * @returns {{aspects: Array<{id, name, available}>, trackSpends: Array}}
+ */
+export function resolvePoolChoices(sources, { aspectIds = [], spends = [] } = {}) {
+  if (!sources) return { aspects: [], trackSpends: [] };
+
+  const aspects = aspectIds.map(aspectId => {
+    const aspect = sources.aspects.find(a => a.id === aspectId);
+    return aspect ? { id: aspect.id, name: aspect.name, available: aspect.available } : null;
+  }).filter(Boolean);
+
+  const trackSpends = [];
+  for (const { collection, id, mode } of spends) {
+    if (!TRACK_SPEND_DICE[mode]) continue;
+
+    const item = ["aspects", "resources"].includes(collection) ? sources[collection].find(s => s.id === id) : null;
+    if (!item || item.available <= 0) continue;
+
+    trackSpends.push({
+      op: CHANGE_OPS.SPEND_TRACK_BOX,
+      collection: item.collection,
+      id: item.id,
+      name: item.name,
+      mode,
+      dice: TRACK_SPEND_DICE[mode],
+      before: { marked: item.marked, burned: item.burned },
+      after: {
+        marked: item.marked + 1,
+        burned: mode === "burn" ? item.burned + 1 : item.burned
+      }
+    });
+  }
+
+  return { aspects, trackSpends };
+}
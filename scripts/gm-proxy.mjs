@@ -0,0 +1,446 @@
+/**
+ * GM Proxy
+ *
+ * World settings, and actors a player doesn't own, can only be written by a
+ * GM. When a player calls one of the functions that writes them, it sends a
+ * typed operation over the module socket instead. The active GM validates
+ * the operation against the sender, runs it, and sends back the result or a
+ * structured error, so the player's call still resolves or rejects like a
+ * local one. The sender's identity comes from the socket message, so these
+ * checks are advisory (see socket.mjs).
+ */
+
+import { MODULE_ID } from "./constants.mjs";
+import {
+  addMarker,
+  updateMarker,
+  setActiveMarker,
+  reorderMarkers,
+  setJournalSyncConfig,
+  getMarkers,
+  getCharacterDowntimeData,
+  recordHistoryEntry,
+  deleteHistoryEntry
+} from "./main.mjs";
+import { getLaneById, getCharacterMarker } from "./lanes.mjs";
+import { getClockById, isClockInPlay, setClockProgress, getClockStepLimit } from "./clocks.mjs";
+import { CHANGE_OPS } from "./effect-engine.mjs";
+import { markCostAccepted } from "./costs.mjs";
+import { getActionSetById } from "./downtime-actions.mjs";
+import { isValidHelper } from "./group-actions.mjs";
+import { storeActionSet, validateActionSet, sanitizeActionSet, checkImportedSetId } from "./lcp-handler.mjs";
+import { emitSocket, isActiveGM, isGMConnected, SOCKET_EVENTS } from "./socket.mjs";
+import { escapeHTML } from "./text-utils.mjs";
+
+/**
+ * Operations a player can ask the GM to run
+ */
+export const GM_OPERATIONS = {
+  ADD_MARKER: "addMarker",
+  UPDATE_MARKER: "updateMarker",
+  SET_ACTIVE_MARKER: "setActiveMarker",
+  REORDER_MARKERS: "reorderMarkers",
+  SET_JOURNAL_SYNC_CONFIG: "setJournalSyncConfig",
+  STORE_ACTION_SET: "storeActionSet",
+  SET_CLOCK_PROGRESS: "setClockProgress",
+  ACCEPT_COST: "acceptCost",
+  RECORD_HISTORY: "recordHistoryEntry",
+  DELETE_HISTORY: "deleteHistoryEntry"
+};
+
+/**
+ * Why a proxied operation failed
+ */
+export const GM_ERROR_CODES = {
+  NO_GM: "noGM",
+  TIMEOUT: "timeout",
+  UNKNOWN_OPERATION: "unknownOperation",
+  NOT_PERMITTED: "notPermitted",
+  INVALID: "invalid",
+  FAILED: "failed"
+};
+
+/**
+ * How long to wait for the GM's answer
+ */
+const REQUEST_TIMEOUT = 30000;
+
+/**
+ * Error from a proxied operation, with a GM_ERROR_CODES code
+ */
+export class GMRequestError extends Error {
+  constructor(code, message, operation = null) {
+    super(message);
+    this.name = "GMRequestError";
+    this.code = code;
+    this.operation = operation;
+  }
+}
+
+/**
+ * This client's requests awaiting an answer, by request ID
+ */
+const pending = new Map();
+
+/**
+ * Ask the active GM to run an operation
+ * @param {string} operation - GM_OPERATIONS constant
+ * @param {Object} args - Operation arguments (must survive JSON)
+ * @returns {Promise<*>} The operation's result; rejects with a GMRequestError
+ */
+export function requestGMOperation(operation, args = {}) {
+  if (!isGMConnected()) {
+    return Promise.reject(notifyFailure(new GMRequestError(
+      GM_ERROR_CODES.NO_GM,
+      game.i18n.localize("DOWNTIME.Proxy.NoGM"),
+      operation
+    )));
+  }
+
+  const requestId = foundry.utils.randomID();
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      pending.delete(requestId);
+      reject(notifyFailure(new GMRequestError(
+        GM_ERROR_CODES.TIMEOUT,
+        game.i18n.localize("DOWNTIME.Proxy.Timeout"),
+        operation
+      )));
+    }, REQUEST_TIMEOUT);
+
+    pending.set(requestId, { operation, resolve, reject, timeout });
+    emitSocket(SOCKET_EVENTS.GM_REQUEST, { requestId, operation, args });
+  });
+}
+
+/**
+ * Tell the player a proxied operation failed
+ */
+function notifyFailure(error) {
+  const notify = error.code === GM_ERROR_CODES.NO_GM ? "warn" : "error";
+  ui.notifications[notify](escapeHTML(error.message));
+  return error;
+}
+
+/**
+ * Socket handler: the active GM validates and runs a player's operation
+ */
+export async function onGMRequest({ requestId, operation, args }, senderId) {
+  if (!isActiveGM()) return;
+
+  const user = game.users.get(senderId);
+  const handler = OPERATIONS[operation];
+  let response;
+  try {
+    if (!handler || !user) {
+      throw new GMRequestError(
+        GM_ERROR_CODES.UNKNOWN_OPERATION,
+        game.i18n.format("DOWNTIME.Proxy.UnknownOperation", { operation })
+      );
+    }
+    if (handler.permission && !user.can(handler.permission)) {
+      throw new GMRequestError(GM_ERROR_CODES.NOT_PERMITTED, game.i18n.localize("DOWNTIME.Proxy.NotPermitted"));
+    }
+    handler.validate(args || {}, user);
+    const result = await handler.execute(args || {}, user);
+    response = { requestId, userId: senderId, ok: true, result: result ?? null };
+  } catch (err) {
+    if (!(err instanceof GMRequestError)) {
+      console.error(`${MODULE_ID} | Proxied operation '${operation}' failed:`, err);
+    }
+    response = {
+      requestId,
+      userId: senderId,
+      ok: false,
+      error: { code: err.code || GM_ERROR_CODES.FAILED, message: err.message }
+    };
+  }
+
+  emitSocket(SOCKET_EVENTS.GM_RESPONSE, response);
+}
+
+/**
+ * Socket handler: settle the player's pending request with the GM's answer
+ */
+export function onGMResponse({ requestId, userId, ok, result, error }) {
+  if (userId !== game.user.id) return;
+  const request = pending.get(requestId);
+  if (!request) return;
+
+  pending.delete(requestId);
+  clearTimeout(request.timeout);
+  if (ok) {
+    request.resolve(result);
+  } else {
+    request.reject(notifyFailure(new GMRequestError(error.code, error.message, request.operation)));
+  }
+}
+
+/**
+ * Validation failure
+ */
+function invalid(key, data = {}) {
+  return new GMRequestError(GM_ERROR_CODES.INVALID, game.i18n.format(key, data));
+}
+
+function requireMarker(markerId) {
+  if (!getMarkers().some(m => m.id === markerId)) throw invalid("DOWNTIME.Proxy.UnknownMarker");
+}
+
+function requireLane(laneId) {
+  if (laneId && !getLaneById(laneId)) throw invalid("DOWNTIME.Proxy.UnknownLane");
+}
+
+function requireIdList(ids, field) {
+  if (!Array.isArray(ids) || ids.some(id => typeof id !== "string")) {
+    throw invalid("DOWNTIME.Proxy.InvalidField", { field });
+  }
+}
+
+/**
+ * Marker fields an UPDATE_MARKER operation may change
+ */
+const MARKER_UPDATE_FIELDS = [
+  "title", "description", "downtimeAllowed", "restrictions", "characterIds", "phase", "limits", "laneId", "order"
+];
+
+function requireObject(value, field) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw invalid("DOWNTIME.Proxy.InvalidField", { field });
+  }
+}
+
+function notPermitted() {
+  return new GMRequestError(GM_ERROR_CODES.NOT_PERMITTED, game.i18n.localize("DOWNTIME.Proxy.NotPermitted"));
+}
+
+/**
+ * The actor a history deletion targets. Players can delete from actors they
+ * own, and the lead of a group action the other participants' entries (the
+ * stored group was checked when those entries were recorded).
+ */
+function requireWritableActor(actorId, group, user) {
+  const actor = game.actors.get(actorId);
+  if (!actor) throw invalid("DOWNTIME.Proxy.UnknownActor");
+  if (actor.testUserPermission(user, "OWNER")) return actor;
+
+  const isParticipant = group?.participants?.some(p => p.actorId === actor.id);
+  const lead = game.actors.get(group?.leadId);
+  if (isParticipant && lead?.testUserPermission(user, "OWNER")) return actor;
+
+  throw notPermitted();
+}
+
+/**
+ * An action by set and action ID, or null
+ */
+function findAction(actionSetId, actionId) {
+  return getActionSetById(actionSetId)?.actions.find(a => a.id === actionId) || null;
+}
+
+/**
+ * For a helper's entry recorded by the lead's player: the lead's entry for
+ * the group action. The sender must own the lead, the helper must be one of
+ * its participants without an entry yet, and still be able to help at its
+ * marker. The helper's entry is built from the lead's entry, never from the
+ * payload.
+ */
+function requireLeadEntry(actor, { groupId, group }, user) {
+  const lead = game.actors.get(group?.leadId);
+  if (!lead?.testUserPermission(user, "OWNER") || lead.id === actor.id) throw notPermitted();
+
+  const leadEntry = groupId && (getCharacterDowntimeData(lead).history || []).find(h => h.groupId === groupId);
+  if (!leadEntry) throw invalid("DOWNTIME.Proxy.UnknownEntry");
+  if (!leadEntry.group?.participants?.some(p => p.actorId === actor.id)) throw notPermitted();
+
+  const history = getCharacterDowntimeData(actor).history || [];
+  if (history.some(h => h.groupId === groupId)) throw invalid("DOWNTIME.Proxy.DuplicateEntry");
+
+  const marker = leadEntry.markerId ? getMarkers().find(m => m.id === leadEntry.markerId) : null;
+  if (marker === undefined) throw invalid("DOWNTIME.Proxy.UnknownMarker");
+  const action = findAction(leadEntry.actionSetId, leadEntry.actionId)
+    || { id: leadEntry.actionId, name: leadEntry.actionName };
+  if (!isValidHelper(marker, actor.id, history, action)) {
+    throw invalid("DOWNTIME.Proxy.InvalidHelper", { name: actor.name });
+  }
+
+  return leadEntry;
+}
+
+/**
+ * Operation handlers. `permission` is a core user permission the sender
+ * needs; `validate` throws a GMRequestError if the arguments aren't
+ * acceptable; `execute` runs the operation as the GM. Both are passed the
+ * sender. The timeline is the GM's to edit, so marker operations need the
+ * same permission as the module's settings (assistant GMs have it by
+ * default).
+ */
+const OPERATIONS = {
+  [GM_OPERATIONS.ADD_MARKER]: {
+    permission: "SETTINGS_MODIFY",
+    validate({ title, characterIds = [], laneId = null, limits = null }) {
+      if (typeof title !== "string" || !title.trim()) throw invalid("DOWNTIME.Proxy.InvalidField", { field: "title" });
+      requireIdList(characterIds, "characterIds");
+      requireLane(laneId);
+      if (limits !== null) requireObject(limits, "limits");
+    },
+    execute: (a) => addMarker(
+      a.title,
+      a.description ?? "",
+      a.downtimeAllowed ?? true,
+      a.restrictions ?? "",
+      a.characterIds ?? [],
+      a.phase ?? null,
+      a.limits ?? null,
+      a.laneId ?? null
+    )
+  },
+
+  [GM_OPERATIONS.UPDATE_MARKER]: {
+    permission: "SETTINGS_MODIFY",
+    validate({ markerId, updates }) {
+      requireMarker(markerId);
+      requireObject(updates, "updates");
+      const field = Object.keys(updates).find(key => !MARKER_UPDATE_FIELDS.includes(key));
+      if (field) throw invalid("DOWNTIME.Proxy.InvalidField", { field });
+      if (updates.characterIds !== undefined) requireIdList(updates.characterIds, "characterIds");
+      if (updates.laneId !== undefined) requireLane(updates.laneId);
+      if (updates.limits !== undefined) requireObject(updates.limits, "limits");
+      if (updates.order !== undefined && !Number.isFinite(updates.order)) {
+        throw invalid("DOWNTIME.Proxy.InvalidField", { field: "order" });
+      }
+    },
+    execute: ({ markerId, updates }) => updateMarker(markerId, updates)
+  },
+
+  [GM_OPERATIONS.SET_ACTIVE_MARKER]: {
+    permission: "SETTINGS_MODIFY",
+    validate({ markerId }) {
+      if (markerId !== null) requireMarker(markerId);
+    },
+    execute: ({ markerId }) => setActiveMarker(markerId)
+  },
+
+  [GM_OPERATIONS.REORDER_MARKERS]: {
+    permission: "SETTINGS_MODIFY",
+    validate({ orderUpdates }) {
+      if (!Array.isArray(orderUpdates)) throw invalid("DOWNTIME.Proxy.InvalidField", { field: "orderUpdates" });
+      for (const update of orderUpdates) {
+        requireMarker(update?.id);
+        if (!Number.isFinite(update.order)) throw invalid("DOWNTIME.Proxy.InvalidField", { field: "order" });
+        if ("laneId" in update) requireLane(update.laneId);
+      }
+    },
+    execute: ({ orderUpdates }) => reorderMarkers(orderUpdates)
+  },
+
+  [GM_OPERATIONS.SET_JOURNAL_SYNC_CONFIG]: {
+    permission: "SETTINGS_MODIFY",
+    validate({ config }) {
+      requireObject(config, "config");
+      if (config.journalId && !game.journal.get(config.journalId)) throw invalid("DOWNTIME.Proxy.UnknownJournal");
+      if (config.includedMarkerIds !== undefined) requireIdList(config.includedMarkerIds, "includedMarkerIds");
+    },
+    execute: ({ config }) => setJournalSyncConfig(config)
+  },
+
+  [GM_OPERATIONS.STORE_ACTION_SET]: {
+    permission: "SETTINGS_MODIFY",
+    validate({ actionSet }) {
+      try {
+        validateActionSet(actionSet || {});
+        checkImportedSetId(actionSet.id);
+      } catch (err) {
+        throw new GMRequestError(GM_ERROR_CODES.INVALID, err.message);
+      }
+    },
+    // Sanitized here too: the requesting client's copy can't be trusted
+    execute: ({ actionSet }) => storeActionSet(sanitizeActionSet(actionSet))
+  },
+
+  // Players move clocks through an action's effects, by no more than the
+  // action can, or back to where a recorded entry's change started
+  [GM_OPERATIONS.SET_CLOCK_PROGRESS]: {
+    validate({ clockId, progress, actorId, actionSetId, actionId, entryId }, user) {
+      const clock = getClockById(clockId);
+      if (!clock) throw invalid("DOWNTIME.Proxy.UnknownClock");
+      if (!Number.isInteger(progress)) throw invalid("DOWNTIME.Proxy.InvalidField", { field: "progress" });
+      const actor = game.actors.get(actorId);
+      if (!actor?.testUserPermission(user, "OWNER")) throw notPermitted();
+
+      if (entryId) {
+        const entry = (getCharacterDowntimeData(actor).history || []).find(h => h.id === entryId);
+        if (!entry) throw invalid("DOWNTIME.Proxy.UnknownEntry");
+        const recorded = (entry.effects || []).some(change =>
+          change.op === CHANGE_OPS.ADJUST_CLOCK && change.clockId === clockId && change.before === progress);
+        if (!recorded) throw notPermitted();
+        return;
+      }
+
+      const action = findAction(actionSetId, actionId);
+      if (!action || !isClockInPlay(clock, getCharacterMarker(actor.id)) || getClockStepLimit(clock, action) === 0) throw notPermitted();
+    },
+    execute: ({ clockId, progress, actionSetId, actionId, entryId }) => {
+      if (entryId) return setClockProgress(clockId, progress);
+      const clock = getClockById(clockId);
+      const limit = getClockStepLimit(clock, findAction(actionSetId, actionId));
+      const step = Math.min(Math.max(progress - clock.progress, -limit), limit);
+      return setClockProgress(clockId, clock.progress + step);
+    }
+  },
+
+  // The card is marked before the player records the obligation
+  [GM_OPERATIONS.ACCEPT_COST]: {
+    validate({ messageId, offerId }, user) {
+      const costOffer = game.messages.get(messageId)?.getFlag(MODULE_ID, "costOffer");
+      if (!costOffer?.offers?.some(o => o.id === offerId)) throw invalid("DOWNTIME.Proxy.UnknownCost");
+      if (!game.actors.get(costOffer.actorId)?.testUserPermission(user, "OWNER")) throw notPermitted();
+    },
+    execute: async ({ messageId, offerId }) => {
+      if (!await markCostAccepted(game.messages.get(messageId), offerId)) {
+        throw invalid("DOWNTIME.Costs.AlreadyAccepted");
+      }
+    }
+  },
+
+  [GM_OPERATIONS.RECORD_HISTORY]: {
+    validate({ actorId, action, result }, user) {
+      requireObject(action, "action");
+      requireObject(result, "result");
+      if (typeof action.name !== "string") throw invalid("DOWNTIME.Proxy.InvalidField", { field: "action" });
+      const actor = game.actors.get(actorId);
+      if (!actor) throw invalid("DOWNTIME.Proxy.UnknownActor");
+      if (!actor.testUserPermission(user, "OWNER")) requireLeadEntry(actor, result, user);
+    },
+    execute: ({ actorId, action, result, markerId }, user) => {
+      const actor = game.actors.get(actorId);
+      if (actor.testUserPermission(user, "OWNER")) return recordHistoryEntry(actor, action, result, markerId ?? null);
+
+      // Helpers share the lead's outcome; effects and projects stay with the lead
+      const leadEntry = requireLeadEntry(actor, result, user);
+      return recordHistoryEntry(actor, {
+        id: leadEntry.actionId,
+        name: leadEntry.actionName,
+        actionSetId: leadEntry.actionSetId
+      }, {
+        rollResult: leadEntry.result?.rollResult ?? null,
+        notes: leadEntry.result?.description || "",
+        rollData: leadEntry.result?.rollData || null,
+        effects: [],
+        projectProgress: [],
+        groupId: leadEntry.groupId,
+        group: leadEntry.group
+      }, leadEntry.markerId);
+    }
+  },
+
+  [GM_OPERATIONS.DELETE_HISTORY]: {
+    validate({ actorId, entryId }, user) {
+      const actor = game.actors.get(actorId);
+      const entry = actor && getCharacterDowntimeData(actor).history?.find(h => h.id === entryId);
+      if (!entry) throw invalid("DOWNTIME.Proxy.UnknownEntry");
+      requireWritableActor(actorId, entry.group, user);
+    },
+    execute: ({ actorId, entryId }) => deleteHistoryEntry(game.actors.get(actorId), entryId)
+  }
+};
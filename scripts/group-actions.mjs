@@ -0,0 +1,260 @@
+/**
+ * Group Actions
+ *
+ * Some downtime actions are taken together. A lead character makes the
+ * roll and helpers from the active marker's assigned characters each add
+ * accuracy (pilot checks) or bonus dice (dice pools). The history entry is
+ * written to every participant with a shared group ID; only the lead's
+ * entry carries the action's effects and project progress.
+ */
+
+import {
+  getCharacterDowntimeData,
+  recordHistoryEntry,
+  deleteHistoryEntry
+} from "./main.mjs";
+import { MODULE_ID } from "./constants.mjs";
+import { checkActionAgainstMarker } from "./marker-limits.mjs";
+import { getCharacterMarker } from "./lanes.mjs";
+import { escapeHTML } from "./text-utils.mjs";
+import { isGMConnected } from "./socket.mjs";
+import { ROLL_TYPES } from "./roll-handler.mjs";
+
+/**
+ * Default accuracy or bonus dice each helper contributes
+ */
+export const HELP_BONUS = 1;
+
+/**
+ * Most a single helper can contribute
+ */
+const MAX_HELP_BONUS = 3;
+
+/**
+ * Whether a character is at a marker (in the same lane) and assigned to it
+ * (all are if none are assigned)
+ */
+function isAtMarker(marker, characterId) {
+  const assignedIds = marker?.characterIds || [];
+  return (getCharacterMarker(characterId)?.id ?? null) === (marker?.id ?? null)
+    && (assignedIds.length === 0 || assignedIds.includes(characterId));
+}
+
+/**
+ * Whether a character can help with an action at a marker: they're at it
+ * and its limits allow them the action
+ * @param {Object|null} marker - The marker the action is taken under
+ * @param {string} characterId - The helper's actor ID
+ * @param {Array} history - The helper's history entries
+ * @param {Object} action - The action being taken
+ */
+export function isValidHelper(marker, characterId, history, action) {
+  return isAtMarker(marker, characterId) && checkActionAgainstMarker(marker, action, history).allowed;
+}
+
+/**
+ * Characters who can help the lead: those at the same marker (in the same
+ * lane) and assigned to it (all if none are assigned), minus the lead, with
+ * why they can't help if so
+ * @param {Object|null} marker - The active marker
+ * @param {Array} characters - Entries from getAvailableCharacters
+ * @param {Object} lead - The lead character entry
+ * @param {Object} action - The action being taken
+ */
+export function getGroupCandidates(marker, characters, lead, action) {
+  return characters
+    .filter(c => c.id !== lead.id)
+    .filter(c => isAtMarker(marker, c.id))
+    .map(c => {
+      let reason = "";
+      // Entries for characters the player doesn't own are written by the GM
+      if (!c.actor.isOwner && !isGMConnected()) {
+        reason = game.i18n.localize("DOWNTIME.Group.NeedsGM");
+      } else {
+        const limitCheck = checkActionAgainstMarker(marker, action, c.downtimeData?.history);
+        if (!limitCheck.allowed) reason = limitCheck.reason;
+      }
+      return { id: c.id, name: c.name, img: c.img, available: !reason, reason };
+    });
+}
+
+/**
+ * Ask the lead's player who is helping and how much each helper adds
+ * @param {Object} lead - The lead character entry
+ * @param {Object} action - The action being taken
+ * @param {Array} candidates - From getGroupCandidates
+ * @param {string|null} rollType - ROLL_TYPES constant, or null if no roll
+ * @returns {Promise<Array|null>} Helpers ({actorId, name, img, bonus}), or null if cancelled
+ */
+export function showGroupActionDialog(lead, action, candidates, rollType) {
+  const bonusLabel = rollType === ROLL_TYPES.PILOT_CHECK
+    ? game.i18n.localize("DOWNTIME.Group.Accuracy")
+    : game.i18n.localize("DOWNTIME.Group.BonusDice");
+
+  const rows = candidates.map(c => `
+    <div class="group-helper ${c.available ? "" : "unavailable"}" data-actor-id="${c.id}" title="${escapeHTML(c.reason)}">
+      <label>
+        <input type="checkbox" class="group-helper-toggle" ${c.available ? "" : "disabled"}/>
+        <img src="${c.img}" alt="${escapeHTML(c.name)}"/>
+        ${escapeHTML(c.name)}
+      </label>
+      ${rollType && c.available ? `
+        <span class="group-helper-bonus">
+          +<input type="number" name="bonus" value="${HELP_BONUS}" min="0" max="${MAX_HELP_BONUS}"/> ${bonusLabel}
+        </span>
+      ` : ""}
+      ${c.reason ? `<span class="hint">${escapeHTML(c.reason)}</span>` : ""}
+    </div>
+  `).join("");
+
+  const content = `
+    <form class="group-action-form">
+      <p>${game.i18n.format("DOWNTIME.Group.Intro", { lead: escapeHTML(lead.name), action: escapeHTML(action.name) })}</p>
+      ${rows || `<p class="hint">${game.i18n.localize("DOWNTIME.Group.NoCandidates")}</p>`}
+    </form>
+    <style>
+      .group-action-form .group-helper { display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.25rem; }
+      .group-action-form .group-helper label { flex: 1; display: flex; align-items: center; gap: 0.35rem; }
+      .group-action-form .group-helper img { width: 24px; height: 24px; border-radius: 50%; border: none; }
+      .group-action-form .group-helper.unavailable { opacity: 0.5; }
+      .group-action-form .group-helper-bonus input { width: 3rem; }
+      .group-action-form .hint { font-size: 0.8rem; color: #888; }
+    </style>
+  `;
+
+  return new Promise((resolve) => {
+    new Dialog({
+      title: `${game.i18n.localize("DOWNTIME.Group.Title")}: ${action.name}`,
+      content,
+      buttons: {
+        next: {
+          icon: '<i class="fas fa-users"></i>',
+          label: game.i18n.localize("DOWNTIME.Group.Continue"),
+          callback: (html) => {
+            const helpers = html.find(".group-helper").map((i, row) => {
+              const $row = $(row);
+              if (!$row.find(".group-helper-toggle").is(":checked")) return null;
+              const candidate = candidates.find(c => c.id === row.dataset.actorId);
+              const bonus = rollType
+                ? Math.min(Math.max(parseInt($row.find('[name="bonus"]').val()) || 0, 0), MAX_HELP_BONUS)
+                : 0;
+              return { actorId: candidate.id, name: candidate.name, img: candidate.img, bonus };
+            }).get().filter(Boolean);
+            resolve(helpers);
+          }
+        },
+        cancel: {
+          icon: '<i class="fas fa-times"></i>',
+          label: game.i18n.localize("DOWNTIME.Markers.Cancel"),
+          callback: () => resolve(null)
+        }
+      },
+      default: "next",
+      close: () => resolve(null)
+    }, { width: 420 }).render(true);
+  });
+}
+
+/**
+ * Total accuracy or bonus dice the helpers add to the lead's roll
+ */
+export function getHelpBonus(helpers) {
+  return helpers.reduce((sum, h) => sum + (h.bonus || 0), 0);
+}
+
+/**
+ * Record a group action for the lead and every helper
+ * @param {Object} lead - The lead character entry
+ * @param {Array} helpers - From showGroupActionDialog
+ * @param {Object} action - The action taken
+ * @param {Object} result - Result as passed to recordHistoryEntry
+ * @param {string|null} markerId - Marker the action was taken under
+ * @returns {Promise<Object>} The lead's history entry
+ */
+export async function recordGroupEntries(lead, helpers, action, result, markerId = null) {
+  const groupId = foundry.utils.randomID();
+  const group = {
+    leadId: lead.actor.id,
+    participants: [
+      { actorId: lead.actor.id, name: lead.name, bonus: 0 },
+      ...helpers.map(h => ({ actorId: h.actorId, name: h.name, bonus: h.bonus }))
+    ]
+  };
+
+  const leadEntry = await recordHistoryEntry(lead.actor, action, { ...result, groupId, group }, markerId);
+
+  // Helpers share the outcome, but effects and projects belong to the lead.
+  // A helper the GM couldn't record for (already reported) doesn't stop the rest.
+  for (const helper of helpers) {
+    const actor = game.actors.get(helper.actorId);
+    if (!actor) continue;
+    try {
+      await recordHistoryEntry(actor, action, {
+        ...result,
+        effects: [],
+        projectProgress: [],
+        groupId,
+        group
+      }, markerId);
+    } catch (err) {
+      console.error(`${MODULE_ID} | Could not record group entry for ${actor.name}:`, err);
+    }
+  }
+
+  return leadEntry;
+}
+
+/**
+ * Delete the other participants' entries for a group action
+ * @param {Object} entry - Any history entry from the group
+ * @param {string|null} exceptActorId - Participant whose entry is handled elsewhere
+ */
+export async function deleteGroupEntries(entry, exceptActorId = null) {
+  if (!entry.groupId) return;
+
+  for (const participant of entry.group?.participants || []) {
+    if (participant.actorId === exceptActorId) continue;
+    const actor = game.actors.get(participant.actorId);
+    const groupEntry = actor && (getCharacterDowntimeData(actor).history || []).find(h => h.groupId === entry.groupId);
+    if (!groupEntry) continue;
+    try {
+      await deleteHistoryEntry(actor, groupEntry.id);
+    } catch (err) {
+      console.error(`${MODULE_ID} | Could not delete group entry for ${actor.name}:`, err);
+    }
+  }
+}
+
+/**
+ * Collapse marker history so each group action is a single badge
+ * @param {Array} entries - Marker history entries with characterId/Name/Img, newest first
+ */
+export function groupMarkerHistory(entries) {
+  const badges = [];
+  const groups = new Map();
+
+  for (const entry of entries) {
+    if (!entry.groupId) {
+      badges.push(entry);
+      continue;
+    }
+
+    let badge = groups.get(entry.groupId);
+    if (!badge) {
+      badge = { ...entry, isGroup: true, participants: [] };
+      groups.set(entry.groupId, badge);
+      badges.push(badge);
+    }
+    badge.participants.push({
+      name: entry.characterName,
+      img: entry.characterImg,
+      isLead: entry.characterId === entry.group?.leadId
+    });
+  }
+
+  for (const badge of groups.values()) {
+    badge.participants.sort((a, b) => b.isLead - a.isLead);
+  }
+
+  return badges;
+}
@@ -3,7 +3,7 @@
  * Handles syncing downtime data to a Foundry JournalEntry
  */
 
-import { MODULE_ID } from "./constants.mjs";
+import { MODULE_ID, OBLIGATION_STATUS, JOURNAL_SYNC_MODES } from "./constants.mjs";
 import {
   getMarkers,
   getAvailableCharacters,
@@ -11,6 +11,26 @@ import {
   getJournalSyncConfig,
   setJournalSyncConfig
 } from "./main.mjs";
+import { getLaneById } from "./lanes.mjs";
+import { isMarkerStore } from "./marker-store.mjs";
+import { isBlindUnrevealed } from "./roll-handler.mjs";
+import { isActiveGM } from "./socket.mjs";
+import { escapeHTML, escapeLinkLabel, notesToHTML } from "./text-utils.mjs";
+
+/**
+ * Page flag identifying a structured sync page and the hash of its generated content
+ */
+const SYNC_FLAG = "journalSync";
+
+/**
+ * Class of the GM-authored section kept across structured syncs
+ */
+const GM_SECTION_CLASS = "downtime-gm-notes";
+
+/**
+ * How long auto-sync waits for changes to settle before writing (ms)
+ */
+const AUTO_SYNC_DELAY = 2000;
 
 /**
  * Show the journal sync configuration dialog
@@ -19,14 +39,14 @@ export async function showJournalSyncDialog(app) {
   const config = getJournalSyncConfig();
   const markers = getMarkers().sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
 
-  // Build journal options from existing journals
-  const journals = game.journal.contents.map(j => ({
+  // Build journal options from existing journals (not the module's marker store)
+  const journals = game.journal.contents.filter(j => !isMarkerStore(j)).map(j => ({
     id: j.id,
     name: j.name
   }));
 
   const journalOptions = journals.map(j =>
-    `<option value="${j.id}" ${j.id === config.journalId ? "selected" : ""}>${j.name}</option>`
+    `<option value="${j.id}" ${j.id === config.journalId ? "selected" : ""}>${escapeHTML(j.name)}</option>`
   ).join("");
 
   const markerCheckboxes = markers.map(m => {
@@ -34,7 +54,7 @@ export async function showJournalSyncDialog(app) {
     return `
       <label class="journal-sync-marker-option">
         <input type="checkbox" name="includedMarker" value="${m.id}" ${checked ? "checked" : ""}/>
-        ${m.title}
+        ${escapeHTML(m.title)}
       </label>
     `;
   }).join("");
@@ -53,6 +73,14 @@ export async function showJournalSyncDialog(app) {
           </button>
         </div>
       </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("DOWNTIME.Journal.Mode")}:</label>
+        <select name="mode">
+          <option value="${JOURNAL_SYNC_MODES.SINGLE}" ${config.mode !== JOURNAL_SYNC_MODES.STRUCTURED ? "selected" : ""}>${game.i18n.localize("DOWNTIME.Journal.ModeSingle")}</option>
+          <option value="${JOURNAL_SYNC_MODES.STRUCTURED}" ${config.mode === JOURNAL_SYNC_MODES.STRUCTURED ? "selected" : ""}>${game.i18n.localize("DOWNTIME.Journal.ModeStructured")}</option>
+        </select>
+        <p style="font-size: 0.8rem; color: #888; margin: 0.25rem 0;">${game.i18n.localize("DOWNTIME.Journal.ModeHint")}</p>
+      </div>
       <hr/>
       <div class="form-group">
         <label><strong>${game.i18n.localize("DOWNTIME.Journal.DataToInclude")}:</strong></label>
@@ -69,8 +97,19 @@ export async function showJournalSyncDialog(app) {
             <input type="checkbox" name="includeRollResults" ${config.includeRollResults ? "checked" : ""}/>
             ${game.i18n.localize("DOWNTIME.Journal.IncludeRollResults")}
           </label>
+          <label>
+            <input type="checkbox" name="includeObligations" ${config.includeObligations !== false ? "checked" : ""}/>
+            ${game.i18n.localize("DOWNTIME.Journal.IncludeObligations")}
+          </label>
         </div>
       </div>
+      <div class="form-group">
+        <label>
+          <input type="checkbox" name="autoSync" ${config.autoSync ? "checked" : ""}/>
+          ${game.i18n.localize("DOWNTIME.Journal.AutoSync")}
+        </label>
+        <p style="font-size: 0.8rem; color: #888; margin: 0.25rem 0;">${game.i18n.localize("DOWNTIME.Journal.AutoSyncHint")}</p>
+      </div>
       ${markers.length > 0 ? `
         <hr/>
         <div class="form-group">
@@ -94,8 +133,11 @@ export async function showJournalSyncDialog(app) {
         callback: async (html) => {
           const newConfig = _extractConfigFromHtml(html);
           await setJournalSyncConfig(newConfig);
-          await executeSyncToJournal(newConfig);
-          ui.notifications.info(game.i18n.localize("DOWNTIME.Journal.SyncComplete"));
+          const updated = await executeSyncToJournal(newConfig);
+          if (updated === null) return;
+          ui.notifications.info(newConfig.mode === JOURNAL_SYNC_MODES.STRUCTURED
+            ? game.i18n.format("DOWNTIME.Journal.StructuredSyncComplete", { count: updated })
+            : game.i18n.localize("DOWNTIME.Journal.SyncComplete"));
           if (app) app.render(false);
         }
       },
@@ -123,8 +165,8 @@ export async function showJournalSyncDialog(app) {
         });
         if (journal) {
           const select = html.find('[name="journalId"]');
-          select.append(`<option value="${journal.id}" selected>${journal.name}</option>`);
-          ui.notifications.info(`${game.i18n.localize("DOWNTIME.Journal.Created")}: ${journal.name}`);
+          select.append(`<option value="${journal.id}" selected>${escapeHTML(journal.name)}</option>`);
+          ui.notifications.info(`${game.i18n.localize("DOWNTIME.Journal.Created")}: ${escapeHTML(journal.name)}`);
         }
       });
     }
@@ -138,9 +180,12 @@ export async function showJournalSyncDialog(app) {
  */
 function _extractConfigFromHtml(html) {
   const journalId = html.find('[name="journalId"]').val() || null;
+  const mode = html.find('[name="mode"]').val() || JOURNAL_SYNC_MODES.SINGLE;
   const includeMarkerSummaries = html.find('[name="includeMarkerSummaries"]').is(":checked");
   const includeActionHistory = html.find('[name="includeActionHistory"]').is(":checked");
   const includeRollResults = html.find('[name="includeRollResults"]').is(":checked");
+  const includeObligations = html.find('[name="includeObligations"]').is(":checked");
+  const autoSync = html.find('[name="autoSync"]').is(":checked");
 
   const includedMarkerIds = [];
   html.find('[name="includedMarker"]:checked').each((_, el) => {
@@ -149,33 +194,41 @@ function _extractConfigFromHtml(html) {
 
   return {
     journalId,
+    mode,
     includeMarkerSummaries,
     includeActionHistory,
     includeRollResults,
+    includeObligations,
+    autoSync,
     includedMarkerIds
   };
 }
 
 /**
  * Execute the sync to a journal entry
+ * @returns {Promise<number|null>} Number of pages written, or null if the sync couldn't run
  */
 async function executeSyncToJournal(config) {
   if (!config.journalId) {
     ui.notifications.warn(game.i18n.localize("DOWNTIME.Journal.NoJournalSelected"));
-    return;
+    return null;
   }
 
   const journal = game.journal.get(config.journalId);
   if (!journal) {
     ui.notifications.error(game.i18n.localize("DOWNTIME.Journal.JournalNotFound"));
-    return;
+    return null;
+  }
+
+  if (config.mode === JOURNAL_SYNC_MODES.STRUCTURED) {
+    return executeStructuredSync(journal, config);
   }
 
   const content = buildJournalContent(config);
 
   // Find or create the "Downtime Log" page
   const pageName = game.i18n.localize("DOWNTIME.Journal.PageName");
-  let page = journal.pages.find(p => p.name === pageName);
+  let page = journal.pages.find(p => p.name === pageName && !p.getFlag(MODULE_ID, SYNC_FLAG));
 
   if (page) {
     await page.update({ "text.content": content });
@@ -186,21 +239,178 @@ async function executeSyncToJournal(config) {
       text: { content }
     }]);
   }
+  return 1;
+}
+
+/**
+ * Re-run the sync once changes settle. Bursts of history or marker changes
+ * collapse into a single write.
+ */
+const debouncedAutoSync = foundry.utils.debounce(async () => {
+  const config = getJournalSyncConfig();
+  if (!config.autoSync || !game.journal.get(config.journalId)) return;
+  try {
+    await executeSyncToJournal(config);
+  } catch (err) {
+    console.error(`${MODULE_ID} | Journal auto-sync failed`, err);
+  }
+}, AUTO_SYNC_DELAY);
+
+/**
+ * Queue an automatic journal sync if it's enabled. Only the active GM syncs,
+ * so players never hit permission errors and multiple GMs don't write twice.
+ */
+export function scheduleJournalAutoSync() {
+  if (!isActiveGM()) return;
+  const config = getJournalSyncConfig();
+  if (!config.autoSync || !config.journalId) return;
+  debouncedAutoSync();
+}
+
+/**
+ * Markers included by the sync config, sorted by order
+ */
+function getSyncedMarkers(config) {
+  const markers = getMarkers().sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+  return config.includedMarkerIds.length > 0
+    ? markers.filter(m => config.includedMarkerIds.includes(m.id))
+    : markers;
+}
+
+/**
+ * A character's history, minus entries from markers excluded by the sync config
+ */
+function getSyncedHistory(actor, config, markerIds) {
+  const history = getCharacterDowntimeData(actor).history || [];
+  if (config.includedMarkerIds.length === 0) return history;
+  return history.filter(h => !h.markerId || markerIds.has(h.markerId));
+}
+
+/**
+ * Capitalised roll result, or "-" for actions without a roll. Journals are
+ * shared with players, so blind rolls stay hidden until revealed.
+ */
+function formatResult(entry) {
+  if (isBlindUnrevealed(entry.result?.rollData)) return game.i18n.localize("DOWNTIME.Roll.HiddenResult");
+  const result = entry.result?.rollResult;
+  return result ? result.charAt(0).toUpperCase() + result.slice(1) : "-";
+}
+
+/**
+ * Short roll summary for the "Roll" column
+ */
+function formatRollDetail(entry) {
+  const rd = entry.result?.rollData;
+  if (!rd || isBlindUnrevealed(rd)) return "-";
+  if (rd.formula) return `${rd.formula} = ${rd.total ?? ""}`;
+  if (rd.successes !== undefined) return `${rd.successes} success${rd.successes !== 1 ? "es" : ""}`;
+  return "-";
+}
+
+/**
+ * Table of markers with status, description and restrictions
+ * @param {Array} markers - Markers to list
+ * @param {Function} titleFor - Renders a marker's title cell (escaped text or a content link)
+ */
+function buildMarkerTable(markers, titleFor = (m) => escapeHTML(m.title)) {
+  let html = `<table><thead><tr>`;
+  html += `<th>Title</th><th>Status</th><th>Description</th><th>Restrictions</th>`;
+  html += `</tr></thead><tbody>`;
+
+  for (const marker of markers) {
+    const status = marker.downtimeAllowed ? "Active" : "Inactive";
+    html += `<tr>`;
+    html += `<td>${titleFor(marker)}</td>`;
+    html += `<td>${status}</td>`;
+    html += `<td>${marker.description ? notesToHTML(marker.description) : "-"}</td>`;
+    html += `<td>${marker.restrictions ? escapeHTML(marker.restrictions) : "-"}</td>`;
+    html += `</tr>`;
+  }
+
+  html += `</tbody></table>`;
+  return html;
+}
+
+/**
+ * Table of history entries
+ * @param {Array} history - Entries to list
+ * @param {Object} config - Journal sync config
+ * @param {Object} [columns] - Extra leading column: {label, cell(entry)}
+ */
+function buildHistoryTable(history, config, columns = null) {
+  let html = `<table><thead><tr>`;
+  if (columns) html += `<th>${columns.label}</th>`;
+  html += `<th>Action</th><th>Result</th>`;
+  if (config.includeRollResults) {
+    html += `<th>Roll</th>`;
+  }
+  html += `<th>Notes</th><th>Date</th>`;
+  html += `</tr></thead><tbody>`;
+
+  for (const entry of history) {
+    html += `<tr>`;
+    if (columns) html += `<td>${columns.cell(entry)}</td>`;
+    html += `<td>${escapeHTML(entry.actionName)}</td>`;
+    html += `<td>${formatResult(entry)}</td>`;
+    if (config.includeRollResults) {
+      html += `<td>${formatRollDetail(entry)}</td>`;
+    }
+    html += `<td>${entry.result?.description ? notesToHTML(entry.result.description) : "-"}</td>`;
+    html += `<td>${entry.timestamp ? new Date(entry.timestamp).toLocaleDateString() : "-"}</td>`;
+    html += `</tr>`;
+  }
+
+  html += `</tbody></table>`;
+  return html;
 }
 
 /**
- * Build the HTML content for the journal page
+ * Outstanding obligations for the given characters
+ */
+function getOutstandingRows(characters) {
+  return characters.flatMap(character => {
+    const obligations = getCharacterDowntimeData(character.actor).obligations || [];
+    return obligations
+      .filter(o => o.status === OBLIGATION_STATUS.OUTSTANDING)
+      .map(o => ({ character, obligation: o }));
+  });
+}
+
+/**
+ * Table of outstanding obligations
+ * @param {Array} rows - From getOutstandingRows
+ * @param {Array} markers - All markers, to name the marker each cost is due at
+ * @param {Function} nameFor - Renders a character cell (escaped text or a content link)
+ */
+function buildObligationsTable(rows, markers, nameFor = (c) => escapeHTML(c.name)) {
+  let html = `<table><thead><tr>`;
+  html += `<th>Character</th><th>Type</th><th>Cost</th><th>Action</th><th>Due</th>`;
+  html += `</tr></thead><tbody>`;
+
+  for (const { character, obligation } of rows) {
+    const marker = markers.find(m => m.id === obligation.markerId);
+    html += `<tr>`;
+    html += `<td>${nameFor(character)}</td>`;
+    html += `<td>${game.i18n.localize(`DOWNTIME.Costs.Types.${obligation.type}`)}</td>`;
+    html += `<td>${escapeHTML(obligation.description)}</td>`;
+    html += `<td>${obligation.actionName ? escapeHTML(obligation.actionName) : "-"}</td>`;
+    html += `<td>${marker ? escapeHTML(marker.title) : "-"}</td>`;
+    html += `</tr>`;
+  }
+
+  html += `</tbody></table>`;
+  return html;
+}
+
+/**
+ * Build the HTML content for the single "Downtime Log" page
  */
 function buildJournalContent(config) {
   const markers = getMarkers().sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
   const characters = getAvailableCharacters();
   const timestamp = new Date().toLocaleString();
 
-  // Filter markers if specific ones are selected
-  const filteredMarkers = config.includedMarkerIds.length > 0
-    ? markers.filter(m => config.includedMarkerIds.includes(m.id))
-    : markers;
-
+  const filteredMarkers = getSyncedMarkers(config);
   const filteredMarkerIds = new Set(filteredMarkers.map(m => m.id));
 
   let html = `<h1>Downtime Log</h1>`;
@@ -209,21 +419,7 @@ function buildJournalContent(config) {
   // Marker Summaries
   if (config.includeMarkerSummaries && filteredMarkers.length > 0) {
     html += `<h2>Downtime Periods</h2>`;
-    html += `<table><thead><tr>`;
-    html += `<th>Title</th><th>Status</th><th>Description</th><th>Restrictions</th>`;
-    html += `</tr></thead><tbody>`;
-
-    for (const marker of filteredMarkers) {
-      const status = marker.downtimeAllowed ? "Active" : "Inactive";
-      html += `<tr>`;
-      html += `<td>${marker.title}</td>`;
-      html += `<td>${status}</td>`;
-      html += `<td>${marker.description || "-"}</td>`;
-      html += `<td>${marker.restrictions || "-"}</td>`;
-      html += `</tr>`;
-    }
-
-    html += `</tbody></table>`;
+    html += buildMarkerTable(filteredMarkers);
   }
 
   // Action History per character
@@ -231,47 +427,256 @@ function buildJournalContent(config) {
     html += `<h2>Action History</h2>`;
 
     for (const character of characters) {
-      const downtimeData = getCharacterDowntimeData(character.actor);
-      let history = downtimeData.history || [];
+      const history = getSyncedHistory(character.actor, config, filteredMarkerIds);
+      if (history.length === 0) continue;
 
-      // Filter history by marker if needed
-      if (config.includedMarkerIds.length > 0) {
-        history = history.filter(h => !h.markerId || filteredMarkerIds.has(h.markerId));
-      }
+      html += `<h3>${escapeHTML(character.name)}</h3>`;
+      html += buildHistoryTable(history, config);
+    }
+  }
 
-      if (history.length === 0) continue;
+  // Outstanding Power at a Cost obligations per character
+  if (config.includeObligations !== false && characters.length > 0) {
+    const rows = getOutstandingRows(characters);
+    if (rows.length > 0) {
+      html += `<h2>Outstanding Costs</h2>`;
+      html += buildObligationsTable(rows, markers);
+    }
+  }
 
-      html += `<h3>${character.name}</h3>`;
-      html += `<table><thead><tr>`;
-      html += `<th>Action</th><th>Result</th>`;
-      if (config.includeRollResults) {
-        html += `<th>Roll</th>`;
-      }
-      html += `<th>Notes</th><th>Date</th>`;
-      html += `</tr></thead><tbody>`;
-
-      for (const entry of history) {
-        html += `<tr>`;
-        html += `<td>${entry.actionName}</td>`;
-        html += `<td>${entry.result?.rollResult ? entry.result.rollResult.charAt(0).toUpperCase() + entry.result.rollResult.slice(1) : "-"}</td>`;
-        if (config.includeRollResults) {
-          let rollDetail = "-";
-          if (entry.result?.rollData) {
-            const rd = entry.result.rollData;
-            if (rd.formula) {
-              rollDetail = `${rd.formula} = ${rd.total ?? ""}`;
-            } else if (rd.successes !== undefined) {
-              rollDetail = `${rd.successes} success${rd.successes !== 1 ? "es" : ""}`;
-            }
-          }
-          html += `<td>${rollDetail}</td>`;
-        }
-        html += `<td>${entry.result?.description || "-"}</td>`;
-        html += `<td>${entry.timestamp ? new Date(entry.timestamp).toLocaleDateString() : "-"}</td>`;
-        html += `</tr>`;
+  return html;
+}
+
+/* -------------------------------------------- */
+/*  Structured Sync                              */
+/* -------------------------------------------- */
+
+/**
+ * Short, stable hash of generated page content, used to skip unchanged pages
+ */
+function hashContent(content) {
+  let hash = 0;
+  for (let i = 0; i < content.length; i++) {
+    hash = ((hash << 5) - hash + content.charCodeAt(i)) | 0;
+  }
+  return hash.toString(36);
+}
+
+/**
+ * The GM-authored section a new page starts with
+ */
+function defaultGmSection() {
+  return `<section class="${GM_SECTION_CLASS}">`
+    + `<h2>${game.i18n.localize("DOWNTIME.Journal.GMNotes")}</h2>`
+    + `<p><em>${game.i18n.localize("DOWNTIME.Journal.GMNotesHint")}</em></p>`
+    + `</section>`;
+}
+
+/**
+ * The GM-authored section of a page's current content. It is always the
+ * last thing on the page, so everything from its opening tag onward is kept
+ * even if the editor has reshaped the markup inside it.
+ */
+function extractGmSection(content) {
+  const match = (content || "").match(new RegExp(`<\\w+[^>]*class="[^"]*${GM_SECTION_CLASS}[^"]*"`));
+  return match ? content.slice(match.index) : null;
+}
+
+/**
+ * Whether the GM has written anything in a page's GM section
+ */
+function hasGmNotes(page) {
+  const section = extractGmSection(page.text?.content);
+  if (!section) return false;
+  const text = (html) => html.replace(/<[^>]*>/g, "").replace(/\s+/g, "");
+  return text(section) !== text(defaultGmSection());
+}
+
+/**
+ * Sync to one summary page plus a page per marker and per character, linked
+ * with content links. Only pages whose generated content changed are
+ * rewritten, and each page's GM section is carried over.
+ * @returns {Promise<number>} Number of pages written
+ */
+async function executeStructuredSync(journal, config) {
+  const allMarkers = getMarkers().sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+  const markers = getSyncedMarkers(config);
+  const markerIds = new Set(markers.map(m => m.id));
+  const characters = getAvailableCharacters().map(character => ({
+    ...character,
+    history: getSyncedHistory(character.actor, config, markerIds)
+  }));
+
+  const wanted = [
+    { key: "summary", name: game.i18n.localize("DOWNTIME.Journal.PageName") },
+    ...markers.map(marker => ({ key: `marker.${marker.id}`, name: marker.title, marker })),
+    ...characters.map(character => ({ key: `character.${character.id}`, name: character.name, character }))
+  ];
+
+  const pagesByKey = new Map();
+  for (const page of journal.pages) {
+    const key = page.getFlag(MODULE_ID, SYNC_FLAG)?.key;
+    if (key) pagesByKey.set(key, page);
+  }
+
+  // Create missing pages first so every page has a UUID to link to
+  const missing = wanted.filter(w => !pagesByKey.has(w.key));
+  if (missing.length > 0) {
+    const created = await journal.createEmbeddedDocuments("JournalEntryPage", missing.map(w => ({
+      name: w.name,
+      type: "text",
+      text: { content: defaultGmSection() },
+      flags: { [MODULE_ID]: { [SYNC_FLAG]: { key: w.key, hash: null } } }
+    })));
+    for (const page of created) {
+      pagesByKey.set(page.getFlag(MODULE_ID, SYNC_FLAG).key, page);
+    }
+  }
+
+  const link = (key, label) => {
+    const page = pagesByKey.get(key);
+    return page ? `@UUID[${page.uuid}]{${escapeLinkLabel(label)}}` : escapeHTML(label);
+  };
+  const context = { config, allMarkers, markers, characters, link };
+
+  const updates = [];
+  wanted.forEach((w, index) => {
+    const page = pagesByKey.get(w.key);
+    const sort = (index + 1) * CONST.SORT_INTEGER_DENSITY;
+    let generated;
+    if (w.marker) generated = buildMarkerPage(w.marker, context);
+    else if (w.character) generated = buildCharacterPage(w.character, context);
+    else generated = buildSummaryPage(context);
+
+    const hash = hashContent(`${w.name}\n${generated}`);
+    if (page.getFlag(MODULE_ID, SYNC_FLAG)?.hash === hash) {
+      if (page.sort !== sort) updates.push({ _id: page.id, sort });
+      return;
+    }
+
+    const timestamp = `<p><em>Last updated: ${new Date().toLocaleString()}</em></p>`;
+    const gmSection = extractGmSection(page.text?.content) ?? defaultGmSection();
+    updates.push({
+      _id: page.id,
+      name: w.name,
+      sort,
+      "text.content": `${generated}${timestamp}${gmSection}`,
+      [`flags.${MODULE_ID}.${SYNC_FLAG}.hash`]: hash
+    });
+  });
+
+  if (updates.length > 0) {
+    await journal.updateEmbeddedDocuments("JournalEntryPage", updates);
+  }
+
+  // Pages for markers and characters no longer synced go, unless the GM wrote in them
+  const wantedKeys = new Set(wanted.map(w => w.key));
+  const orphans = [...pagesByKey.entries()]
+    .filter(([key, page]) => !wantedKeys.has(key) && !hasGmNotes(page))
+    .map(([, page]) => page.id);
+  if (orphans.length > 0) {
+    await journal.deleteEmbeddedDocuments("JournalEntryPage", orphans);
+  }
+
+  return updates.filter(u => "text.content" in u).length;
+}
+
+/**
+ * Summary page: links to every marker and character page
+ */
+function buildSummaryPage({ config, allMarkers, markers, characters, link }) {
+  let html = `<h1>Downtime Log</h1>`;
+
+  if (markers.length > 0) {
+    html += `<h2>Downtime Periods</h2>`;
+    html += config.includeMarkerSummaries
+      ? buildMarkerTable(markers, (m) => link(`marker.${m.id}`, m.title))
+      : `<ul>${markers.map(m => `<li>${link(`marker.${m.id}`, m.title)}</li>`).join("")}</ul>`;
+  }
+
+  if (characters.length > 0) {
+    html += `<h2>Characters</h2><ul>`;
+    for (const character of characters) {
+      html += `<li>${link(`character.${character.id}`, character.name)}`;
+      if (config.includeActionHistory) html += ` (${character.history.length} actions)`;
+      html += `</li>`;
+    }
+    html += `</ul>`;
+  }
+
+  if (config.includeObligations !== false) {
+    const rows = getOutstandingRows(characters);
+    if (rows.length > 0) {
+      html += `<h2>Outstanding Costs</h2>`;
+      html += buildObligationsTable(rows, allMarkers, (c) => link(`character.${c.id}`, c.name));
+    }
+  }
+
+  return html;
+}
+
+/**
+ * Marker page: the marker's details, who acted there and what is due there
+ */
+function buildMarkerPage(marker, { config, characters, link }) {
+  let html = `<h1>${escapeHTML(marker.title)}</h1>`;
+  html += `<p>${link("summary", game.i18n.localize("DOWNTIME.Journal.PageName"))}</p>`;
+
+  const details = [marker.downtimeAllowed ? "Active" : "Inactive"];
+  if (marker.phase) details.push(game.i18n.localize(`DOWNTIME.Phases.${marker.phase}`));
+  const lane = marker.laneId ? getLaneById(marker.laneId) : null;
+  if (lane) details.push(escapeHTML(lane.name));
+  html += `<p><strong>Status:</strong> ${details.join(" &middot; ")}</p>`;
+  if (marker.description) html += `<p>${notesToHTML(marker.description)}</p>`;
+  if (marker.restrictions) html += `<p><strong>Restrictions:</strong> ${escapeHTML(marker.restrictions)}</p>`;
+
+  if (config.includeActionHistory) {
+    const rows = characters.flatMap(character => character.history
+      .filter(h => h.markerId === marker.id)
+      .map(entry => ({ ...entry, character })));
+    if (rows.length > 0) {
+      html += `<h2>Actions Taken</h2>`;
+      html += buildHistoryTable(rows, config, {
+        label: "Character",
+        cell: (entry) => link(`character.${entry.character.id}`, entry.character.name)
+      });
+    }
+  }
+
+  if (config.includeObligations !== false) {
+    const rows = getOutstandingRows(characters).filter(r => r.obligation.markerId === marker.id);
+    if (rows.length > 0) {
+      html += `<h2>Costs Due</h2>`;
+      html += buildObligationsTable(rows, [marker], (c) => link(`character.${c.id}`, c.name));
+    }
+  }
+
+  return html;
+}
+
+/**
+ * Character page: the character's action history and outstanding costs
+ */
+function buildCharacterPage(character, { config, allMarkers, markers, link }) {
+  let html = `<h1>${escapeHTML(character.name)}</h1>`;
+  html += `<p>${link("summary", game.i18n.localize("DOWNTIME.Journal.PageName"))}</p>`;
+
+  if (config.includeActionHistory && character.history.length > 0) {
+    html += `<h2>Action History</h2>`;
+    html += buildHistoryTable(character.history, config, {
+      label: "Marker",
+      cell: (entry) => {
+        const marker = markers.find(m => m.id === entry.markerId);
+        return marker ? link(`marker.${marker.id}`, marker.title) : "-";
       }
+    });
+  }
 
-      html += `</tbody></table>`;
+  if (config.includeObligations !== false) {
+    const rows = getOutstandingRows([character]);
+    if (rows.length > 0) {
+      html += `<h2>Outstanding Costs</h2>`;
+      html += buildObligationsTable(rows, allMarkers);
     }
   }
 
@@ -0,0 +1,203 @@
+/**
+ * Timeline Lanes
+ *
+ * When the party splits up, markers can belong to a named lane running in
+ * parallel with the main timeline. A lane splits off after a main-timeline
+ * marker and can rejoin at a later one. Characters assigned to a lane follow
+ * that lane's own active marker until it rejoins; everyone else follows the
+ * main timeline's active marker.
+ */
+
+import { MODULE_ID, SETTINGS, createLane } from "./constants.mjs";
+import { getMarkers, getActiveMarker, setActiveMarker } from "./main.mjs";
+import { writeMarkerChanges } from "./marker-store.mjs";
+import { advanceClocksOnMarkerChange } from "./clocks.mjs";
+
+/**
+ * Get all lanes
+ */
+export function getLanes() {
+  return game.settings.get(MODULE_ID, SETTINGS.lanes) || [];
+}
+
+/**
+ * Get a lane by ID
+ */
+export function getLaneById(laneId) {
+  return getLanes().find(l => l.id === laneId) || null;
+}
+
+/**
+ * A character can only be in one lane; take the given characters out of
+ * every lane except one
+ */
+function withoutCharacters(lanes, characterIds, exceptLaneId) {
+  return lanes.map(lane => (lane.id === exceptLaneId
+    ? lane
+    : { ...lane, characterIds: lane.characterIds.filter(id => !characterIds.includes(id)) }));
+}
+
+/**
+ * Add a new lane (GM only)
+ */
+export async function addLane(data) {
+  const lane = createLane(data);
+  const lanes = withoutCharacters(getLanes(), lane.characterIds, lane.id);
+  await game.settings.set(MODULE_ID, SETTINGS.lanes, [...lanes, lane]);
+  return lane;
+}
+
+/**
+ * Update an existing lane by ID (GM only)
+ */
+export async function updateLane(laneId, updates) {
+  let lanes = [...getLanes()];
+  const index = lanes.findIndex(l => l.id === laneId);
+  if (index === -1) return null;
+  lanes[index] = foundry.utils.mergeObject(lanes[index], updates, { inplace: false });
+  // Character lists are replaced, not merged index by index
+  if (updates.characterIds) {
+    lanes[index].characterIds = updates.characterIds;
+    lanes = withoutCharacters(lanes, updates.characterIds, laneId);
+  }
+  await game.settings.set(MODULE_ID, SETTINGS.lanes, lanes);
+  return lanes[index];
+}
+
+/**
+ * Delete a lane; its markers move back to the main timeline (GM only)
+ */
+export async function deleteLane(laneId) {
+  const laneMarkers = getMarkers().filter(m => m.laneId === laneId);
+  await writeMarkerChanges(Object.fromEntries(laneMarkers.map(m => [m.id, { laneId: null }])));
+  await game.settings.set(MODULE_ID, SETTINGS.lanes, getLanes().filter(l => l.id !== laneId));
+}
+
+/**
+ * Whether a lane has rejoined the main timeline: the main timeline's active
+ * marker has reached the lane's rejoin marker
+ */
+export function isLaneRejoined(lane) {
+  if (!lane.rejoinMarkerId) return false;
+  const rejoin = getMarkers().find(m => m.id === lane.rejoinMarkerId);
+  const active = getActiveMarker();
+  if (!rejoin || !active) return false;
+  return (active.order ?? 0) >= (rejoin.order ?? 0);
+}
+
+/**
+ * The lane a character is currently following, or null for the main timeline
+ */
+export function getCharacterLane(characterId) {
+  return getLanes().find(lane => lane.characterIds.includes(characterId) && !isLaneRejoined(lane)) || null;
+}
+
+/**
+ * The active marker of a lane (null for the main timeline)
+ */
+export function getLaneActiveMarker(laneId = null) {
+  if (!laneId) return getActiveMarker();
+  const lane = getLaneById(laneId);
+  if (!lane?.activeMarkerId) return null;
+  return getMarkers().find(m => m.id === lane.activeMarkerId) || null;
+}
+
+/**
+ * A character's current marker: their lane's active marker, or the main
+ * timeline's if they aren't in a lane
+ */
+export function getCharacterMarker(characterId) {
+  return getLaneActiveMarker(getCharacterLane(characterId)?.id ?? null);
+}
+
+/**
+ * Set the active marker for the lane a marker belongs to
+ */
+export async function setLaneActiveMarker(markerId) {
+  const marker = getMarkers().find(m => m.id === markerId);
+  if (marker?.laneId && getLaneById(marker.laneId)) {
+    const previous = getLaneActiveMarker(marker.laneId);
+    await updateLane(marker.laneId, { activeMarkerId: markerId });
+    await advanceClocksOnMarkerChange(previous, marker);
+  } else {
+    await setActiveMarker(markerId);
+  }
+}
+
+/**
+ * Clear a deleted marker from any lane that had it active, falling back to
+ * the lane's last remaining marker
+ */
+export async function onLaneMarkerDeleted(markerId) {
+  const lanes = getLanes();
+  if (!lanes.some(l => l.activeMarkerId === markerId)) return;
+
+  const markers = [...getMarkers()].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+  for (const lane of lanes) {
+    if (lane.activeMarkerId !== markerId) continue;
+    const laneMarkers = markers.filter(m => m.laneId === lane.id);
+    lane.activeMarkerId = laneMarkers.length ? laneMarkers[laneMarkers.length - 1].id : null;
+  }
+  await game.settings.set(MODULE_ID, SETTINGS.lanes, lanes);
+}
+
+/**
+ * Build the timeline rows: the main timeline plus one row per lane. Every
+ * row has a slot for each marker in global order so lanes line up in
+ * parallel; slots for other rows' markers are left empty.
+ * @param {Array} markers - Markers decorated for display, sorted by order
+ * @param {Array} characters - Entries from getAvailableCharacters
+ * @returns {Array} Rows: {id, name, isMain, slots, lineStart, lineEnd, ...}
+ */
+export function buildTimelineLanes(markers, characters) {
+  const lanes = getLanes();
+  const laneIds = new Set(lanes.map(l => l.id));
+  const rowIdFor = (marker) => (marker.laneId && laneIds.has(marker.laneId) ? marker.laneId : null);
+  const indexOf = (markerId) => markers.findIndex(m => m.id === markerId);
+
+  // Who is standing at each marker right now
+  const present = new Map();
+  for (const character of characters) {
+    const marker = getCharacterMarker(character.id);
+    if (!marker) continue;
+    if (!present.has(marker.id)) present.set(marker.id, []);
+    present.get(marker.id).push({ name: character.name, img: character.img });
+  }
+
+  const buildSlots = (rowId, activeId) => markers.map(marker => (rowIdFor(marker) === rowId
+    ? { marker: { ...marker, isActive: marker.id === activeId, present: present.get(marker.id) || [] } }
+    : { marker: null }));
+
+  const mainActiveId = getActiveMarker()?.id ?? null;
+  const rows = [{
+    id: null,
+    name: game.i18n.localize("DOWNTIME.Lanes.Main"),
+    isMain: true,
+    slots: buildSlots(null, mainActiveId)
+  }];
+
+  for (const lane of lanes) {
+    const laneMarkerIndexes = markers
+      .map((m, i) => (rowIdFor(m) === lane.id ? i : -1))
+      .filter(i => i !== -1);
+    const splitIndex = lane.splitFromMarkerId ? indexOf(lane.splitFromMarkerId) : -1;
+    const rejoinIndex = lane.rejoinMarkerId ? indexOf(lane.rejoinMarkerId) : -1;
+    const lastIndex = laneMarkerIndexes.length ? laneMarkerIndexes[laneMarkerIndexes.length - 1] : splitIndex;
+
+    rows.push({
+      id: lane.id,
+      name: lane.name,
+      isMain: false,
+      rejoined: isLaneRejoined(lane),
+      characters: characters.filter(c => lane.characterIds.includes(c.id)).map(c => ({ name: c.name, img: c.img })),
+      splitFromTitle: markers[splitIndex]?.title ?? null,
+      rejoinTitle: markers[rejoinIndex]?.title ?? null,
+      // The lane's line runs from the split marker's column to the rejoin marker's (or its last marker)
+      lineStart: splitIndex >= 0 ? splitIndex + 0.5 : 0,
+      lineEnd: (rejoinIndex >= 0 ? rejoinIndex : Math.max(lastIndex, 0)) + 0.5,
+      slots: buildSlots(lane.id, lane.activeMarkerId)
+    });
+  }
+
+  return rows;
+}
@@ -5,13 +5,18 @@
  */
 
 import { MODULE_ID, SETTINGS, CATEGORIES, PHASES } from "./constants.mjs";
+import { getAllActionSets, ACTION_SET_SOURCES } from "./downtime-actions.mjs";
+import { escapeHTML, sanitizeHTML } from "./text-utils.mjs";
+import { requestGMOperation, GM_OPERATIONS } from "./gm-proxy.mjs";
 
 /**
  * Process an LCP file for downtime actions
  * @param {File} file - The LCP file to process
+ * @param {Object} [options]
+ * @param {string} [options.expectedId] - When re-importing, the set ID the file must contain
  * @returns {Object} The imported action set
  */
-export async function processDowntimeLCP(file) {
+export async function processDowntimeLCP(file, { expectedId = null } = {}) {
   // Load JSZip from CDN if not available
   if (typeof JSZip === "undefined") {
     throw new Error("JSZip is required for LCP import. Please ensure it is loaded.");
@@ -32,13 +37,18 @@ export async function processDowntimeLCP(file) {
   // Validate the data
   validateActionSet(actionsData);
 
+  checkImportedSetId(actionsData.id);
+
+  if (expectedId && actionsData.id !== expectedId) {
+    throw new Error(`LCP contains action set '${actionsData.id}', expected '${expectedId}'`);
+  }
+
   // Add metadata
-  const actionSet = {
+  const actionSet = sanitizeActionSet({
     ...actionsData,
-    source: "lcp",
     importedAt: new Date().toISOString(),
     filename: file.name
-  };
+  });
 
   // Store the action set
   await storeActionSet(actionSet);
@@ -49,7 +59,7 @@ export async function processDowntimeLCP(file) {
 /**
  * Validate an action set
  */
-function validateActionSet(data) {
+export function validateActionSet(data) {
   if (!data.id || typeof data.id !== "string") {
     throw new Error("Action set must have a valid 'id' string");
   }
@@ -87,13 +97,47 @@ function validateActionSet(data) {
         }
       }
     }
+
+    // Validate suggested skill triggers if provided
+    if (action.suggestedTriggers && !Array.isArray(action.suggestedTriggers)) {
+      throw new Error(`Action '${action.id}' suggestedTriggers must be an array`);
+    }
   }
 }
 
 /**
- * Store an action set in world settings
+ * Mark a set as imported; descriptions keep basic formatting but nothing executable
  */
-async function storeActionSet(actionSet) {
+export function sanitizeActionSet(actionSet) {
+  return {
+    ...actionSet,
+    actions: actionSet.actions.map(action => ({ ...action, description: sanitizeHTML(action.description) })),
+    source: ACTION_SET_SOURCES.LCP
+  };
+}
+
+/**
+ * Imported sets may replace an earlier import, but not a built-in or
+ * world-registered set
+ */
+export function checkImportedSetId(setId) {
+  const existing = getAllActionSets().find(set => set.id === setId);
+  if (existing?.source === ACTION_SET_SOURCES.BUILT_IN) {
+    throw new Error(`Action set id '${setId}' is reserved by a built-in set`);
+  }
+  if (existing?.source === ACTION_SET_SOURCES.WORLD) {
+    throw new Error(`Action set id '${setId}' is already used by a world-registered set`);
+  }
+}
+
+/**
+ * Store an action set in world settings (proxied to the GM for players)
+ */
+export async function storeActionSet(actionSet) {
+  if (!game.user.isGM) {
+    return requestGMOperation(GM_OPERATIONS.STORE_ACTION_SET, { actionSet });
+  }
+
   const existing = game.settings.get(MODULE_ID, SETTINGS.customActionSets) || [];
 
   // Remove existing set with same ID
@@ -131,8 +175,11 @@ export function getCustomActionSets() {
 
 /**
  * Show the LCP import dialog
+ * @param {Application} [app] - Application to re-render after a successful import
+ * @param {Object} [options]
+ * @param {string} [options.expectedId] - Set ID being re-imported, if any
  */
-export function showImportDialog() {
+export function showImportDialog(app, { expectedId = null } = {}) {
   const content = `
     <form class="import-lcp-form">
       <div class="form-group">
@@ -158,17 +205,18 @@ export function showImportDialog() {
           }
 
           try {
-            const actionSet = await processDowntimeLCP(fileInput.files[0]);
+            const actionSet = await processDowntimeLCP(fileInput.files[0], { expectedId });
             ui.notifications.info(
               game.i18n.format("DOWNTIME.Dialogs.ImportLCP.Success", {
                 count: actionSet.actions.length
               })
             );
+            if (app) app.render(false);
           } catch (err) {
             console.error("LCP import failed:", err);
             ui.notifications.error(
               game.i18n.format("DOWNTIME.Dialogs.ImportLCP.Error", {
-                error: err.message
+                error: escapeHTML(err.message)
               })
             );
           }
@@ -2,19 +2,52 @@
  * LANCER Downtime Tracker - Main Entry Point
  */
 
-import { MODULE_ID, SETTINGS, getDefaultCharacterDowntimeData, createMarker } from "./constants.mjs";
+import { MODULE_ID, SETTINGS, getDefaultCharacterDowntimeData, getDefaultJournalSyncConfig, createMarker, createHistoryEntry } from "./constants.mjs";
 import { DowntimeTrackerApp } from "./DowntimeTrackerApp.mjs";
-import { getBuiltInActionSets } from "./downtime-actions.mjs";
+import { ActionSetManagerApp } from "./ActionSetManagerApp.mjs";
+import { ActionRequestQueueApp } from "./ActionRequestQueueApp.mjs";
+import { onActionRequested, onActionRequestResolved, getActionRequests, approveActionRequest, denyActionRequest } from "./action-requests.mjs";
+import { getAllActionSets, registerActionSet, unregisterActionSet, activateNewWorldActionSets } from "./downtime-actions.mjs";
 import {
   showRollDialog,
   executePilotCheck,
   executeDicePool,
   postRollToChat,
+  resolveConditional,
+  onRenderChatMessage,
+  onConditionalResolved,
   ROLL_TYPES,
   CONDITIONAL_STATUS
 } from "./roll-handler.mjs";
+import { initSocket, registerSocketHandler, isActiveGM, SOCKET_EVENTS } from "./socket.mjs";
+import { onRenderCostCard, getObligations, setObligationStatus } from "./costs.mjs";
+import { scheduleJournalAutoSync } from "./journal-sync.mjs";
+import { runMigrations, showMigrationReport, restoreMigrationBackup, CURRENT_SCHEMA_VERSION } from "./migrations.mjs";
+import { exportModuleData, showDataImportDialog } from "./data-transfer.mjs";
+import { getMarkers, writeMarkerChanges, removeMarker, isMarkerStore, recreateMissingMarkerStore } from "./marker-store.mjs";
+import { requestGMOperation, onGMRequest, onGMResponse, GM_OPERATIONS, GM_ERROR_CODES, GMRequestError } from "./gm-proxy.mjs";
+import {
+  getClocks,
+  addClock,
+  updateClock,
+  deleteClock,
+  setClockProgress,
+  advanceClocksOnMarkerChange
+} from "./clocks.mjs";
+import {
+  getLanes,
+  addLane,
+  updateLane,
+  deleteLane,
+  getCharacterMarker,
+  getLaneActiveMarker,
+  setLaneActiveMarker,
+  onLaneMarkerDeleted
+} from "./lanes.mjs";
 
 let downtimeApp = null;
+let actionSetManagerApp = null;
+let actionRequestQueueApp = null;
 
 /**
  * Register module settings
@@ -27,7 +60,8 @@ function registerSettings() {
     scope: "world",
     config: false,
     type: Array,
-    default: []
+    default: [],
+    onChange: () => refreshDowntimeTracker()
   });
 
   // Which action sets are enabled
@@ -37,17 +71,29 @@ function registerSettings() {
     scope: "world",
     config: false,
     type: Array,
-    default: ["lancer-core", "far-field"]
+    default: ["lancer-core", "far-field"],
+    onChange: () => refreshDowntimeTracker()
   });
 
-  // Markers list
+  // World-registered action sets already seen, so each is activated only once
+  game.settings.register(MODULE_ID, SETTINGS.knownWorldActionSets, {
+    name: "Known World Action Sets",
+    hint: "World-registered action sets that have been activated before",
+    scope: "world",
+    config: false,
+    type: Array,
+    default: []
+  });
+
+  // Markers list, from before markers moved to the marker store (see marker-store.mjs)
   game.settings.register(MODULE_ID, SETTINGS.markers, {
     name: "Markers",
-    hint: "Downtime period markers",
+    hint: "Downtime period markers (legacy storage)",
     scope: "world",
     config: false,
     type: Array,
-    default: []
+    default: [],
+    onChange: () => scheduleJournalAutoSync()
   });
 
   // Active marker ID
@@ -60,6 +106,66 @@ function registerSettings() {
     default: null
   });
 
+  // Player actions need GM approval
+  game.settings.register(MODULE_ID, SETTINGS.approvalRequired, {
+    name: "DOWNTIME.Settings.ApprovalRequired",
+    hint: "DOWNTIME.Settings.ApprovalRequiredHint",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false,
+    onChange: () => refreshDowntimeTracker()
+  });
+
+  // Pending player action requests
+  game.settings.register(MODULE_ID, SETTINGS.actionRequests, {
+    name: "Action Requests",
+    hint: "Player action requests awaiting GM approval",
+    scope: "world",
+    config: false,
+    type: Array,
+    default: [],
+    onChange: () => {
+      refreshDowntimeTracker();
+      if (actionRequestQueueApp?.rendered) actionRequestQueueApp.render(false);
+    }
+  });
+
+  // Action set manager (GM only)
+  game.settings.registerMenu(MODULE_ID, "actionSetManager", {
+    name: "DOWNTIME.ActionSetManager.Title",
+    label: "DOWNTIME.Settings.ManageSets",
+    hint: "DOWNTIME.ActionSetManager.Hint",
+    icon: "fas fa-layer-group",
+    type: ActionSetManagerApp,
+    restricted: true
+  });
+
+  // World clocks that tick across markers
+  game.settings.register(MODULE_ID, SETTINGS.clocks, {
+    name: "Downtime Clocks",
+    hint: "Clocks that advance across downtime markers",
+    scope: "world",
+    config: false,
+    type: Array,
+    default: [],
+    onChange: () => refreshDowntimeTracker()
+  });
+
+  // Parallel timeline lanes for split parties
+  game.settings.register(MODULE_ID, SETTINGS.lanes, {
+    name: "Timeline Lanes",
+    hint: "Parallel timeline lanes that split from and rejoin the main timeline",
+    scope: "world",
+    config: false,
+    type: Array,
+    default: [],
+    onChange: () => {
+      refreshDowntimeTracker();
+      scheduleJournalAutoSync();
+    }
+  });
+
   // Journal sync configuration
   game.settings.register(MODULE_ID, SETTINGS.journalSyncConfig, {
     name: "Journal Sync Config",
@@ -67,13 +173,27 @@ function registerSettings() {
     scope: "world",
     config: false,
     type: Object,
-    default: {
-      journalId: null,
-      includeMarkerSummaries: true,
-      includeActionHistory: true,
-      includeRollResults: true,
-      includedMarkerIds: []
-    }
+    default: getDefaultJournalSyncConfig()
+  });
+
+  // Data schema version, advanced by migrations.mjs
+  game.settings.register(MODULE_ID, SETTINGS.schemaVersion, {
+    name: "Schema Version",
+    hint: "Version of the stored downtime data",
+    scope: "world",
+    config: false,
+    type: Number,
+    default: 0
+  });
+
+  // Snapshot of module data taken before the last migration
+  game.settings.register(MODULE_ID, SETTINGS.migrationBackup, {
+    name: "Migration Backup",
+    hint: "Module data as it was before the last migration",
+    scope: "world",
+    config: false,
+    type: Object,
+    default: null
   });
 }
 
@@ -103,6 +223,37 @@ function openDowntimeTracker() {
   downtimeApp.render(true);
 }
 
+/**
+ * Open the action set manager (GM only)
+ */
+export function openActionSetManager() {
+  if (!game.user.isGM) return;
+  if (!actionSetManagerApp) {
+    actionSetManagerApp = new ActionSetManagerApp();
+  }
+  actionSetManagerApp.render(true);
+}
+
+/**
+ * Open the pending action request queue (GM only)
+ */
+export function openActionRequestQueue() {
+  if (!game.user.isGM) return;
+  if (!actionRequestQueueApp) {
+    actionRequestQueueApp = new ActionRequestQueueApp();
+  }
+  actionRequestQueueApp.render(true);
+}
+
+/**
+ * Re-render the downtime tracker if it is open
+ */
+export function refreshDowntimeTracker() {
+  if (downtimeApp?.rendered) {
+    downtimeApp.render(false);
+  }
+}
+
 /**
  * Get character downtime data from actor flags
  */
@@ -121,21 +272,109 @@ export async function updateCharacterDowntimeData(actor, data) {
 }
 
 /**
- * Get all action sets (built-in + custom)
+ * Update a single history entry by ID
  */
-export function getAllActionSets() {
-  const builtIn = getBuiltInActionSets();
-  const custom = game.settings.get(MODULE_ID, SETTINGS.customActionSets) || [];
-  return [...builtIn, ...custom];
+export async function updateHistoryEntry(actor, entryId, updates) {
+  const downtimeData = getCharacterDowntimeData(actor);
+  const history = [...(downtimeData.history || [])];
+  const index = history.findIndex(h => h.id === entryId);
+  if (index === -1) return null;
+  history[index] = foundry.utils.mergeObject(history[index], updates, { inplace: false });
+  await updateCharacterDowntimeData(actor, { history });
+  return history[index];
+}
+
+// The action set registry lives in downtime-actions.mjs; re-exported for existing importers
+export { getAllActionSets };
+
+/**
+ * Record a new history entry on an actor
+ * @param {Actor} actor - The actor who took the action
+ * @param {Object} action - The downtime action
+ * @param {Object} result - Outcome: rollResult, notes, rollData, effects, projectProgress, effectsPending
+ * @param {string|null} markerId - Marker the action was taken under
+ * @returns {Promise<Object>} The created history entry
+ */
+export async function recordHistoryEntry(actor, action, result, markerId = null) {
+  // e.g. a group action's lead recording a helper's entry
+  if (!actor.isOwner) {
+    return requestGMOperation(GM_OPERATIONS.RECORD_HISTORY, {
+      actorId: actor.id,
+      action: { id: action.id, name: action.name, actionSetId: action.actionSetId || null },
+      result,
+      markerId
+    });
+  }
+
+  const historyEntry = createHistoryEntry(null, action, {
+    success: result.rollResult === "triumph" || result.rollResult === "success",
+    rollResult: result.rollResult,
+    description: result.notes,
+    rollData: result.rollData || null,
+    effects: result.effects,
+    projectProgress: result.projectProgress,
+    effectsPending: result.effectsPending,
+    groupId: result.groupId,
+    group: result.group
+  }, markerId);
+
+  const downtimeData = getCharacterDowntimeData(actor);
+  const history = [historyEntry, ...(downtimeData.history || [])];
+
+  await updateCharacterDowntimeData(actor, {
+    history,
+    stats: computeHistoryStats(history)
+  });
+
+  return historyEntry;
+}
+
+/**
+ * Delete a history entry by ID and recompute stats
+ */
+export async function deleteHistoryEntry(actor, entryId) {
+  if (!actor.isOwner) {
+    return requestGMOperation(GM_OPERATIONS.DELETE_HISTORY, { actorId: actor.id, entryId });
+  }
+
+  const downtimeData = getCharacterDowntimeData(actor);
+  const history = (downtimeData.history || []).filter(h => h.id !== entryId);
+  await updateCharacterDowntimeData(actor, {
+    history,
+    stats: computeHistoryStats(history)
+  });
+}
+
+/**
+ * Compute downtime stats from a history list
+ */
+export function computeHistoryStats(history) {
+  const latest = history.reduce((max, h) => (!max || h.timestamp > max ? h.timestamp : max), null);
+  return {
+    totalActions: history.length,
+    lastDowntime: latest
+  };
 }
 
 /**
- * Get all markers
+ * Get the IDs of enabled action sets
  */
-export function getMarkers() {
-  return game.settings.get(MODULE_ID, SETTINGS.markers) || [];
+export function getActiveActionSetIds() {
+  return game.settings.get(MODULE_ID, SETTINGS.activeActionSets) || ["lancer-core", "far-field"];
 }
 
+/**
+ * Enable or disable an action set
+ */
+export async function setActionSetActive(setId, active) {
+  const activeIds = getActiveActionSetIds().filter(id => id !== setId);
+  if (active) activeIds.push(setId);
+  await game.settings.set(MODULE_ID, SETTINGS.activeActionSets, activeIds);
+}
+
+// Markers live in the marker store (marker-store.mjs); re-exported for existing importers
+export { getMarkers };
+
 /**
  * Get the active marker
  */
@@ -147,15 +386,27 @@ export function getActiveMarker() {
 }
 
 /**
- * Add a new marker and set it as active
+ * Add a new marker and set it as active on its lane
  */
-export async function addMarker(title, description, downtimeAllowed, restrictions, characterIds = []) {
-  const markers = getMarkers();
-  const maxOrder = markers.reduce((max, m) => Math.max(max, m.order ?? 0), -1);
-  const marker = createMarker(title, description, downtimeAllowed, restrictions, maxOrder + 1, characterIds);
-  markers.push(marker);
-  await game.settings.set(MODULE_ID, SETTINGS.markers, markers);
+export async function addMarker(title, description, downtimeAllowed, restrictions, characterIds = [], phase = null, limits = null, laneId = null) {
+  if (!game.user.isGM) {
+    return requestGMOperation(GM_OPERATIONS.ADD_MARKER, {
+      title, description, downtimeAllowed, restrictions, characterIds, phase, limits, laneId
+    });
+  }
+
+  const maxOrder = getMarkers().reduce((max, m) => Math.max(max, m.order ?? 0), -1);
+  const marker = createMarker(title, description, downtimeAllowed, restrictions, maxOrder + 1, characterIds, phase, limits, laneId);
+  await writeMarkerChanges({ [marker.id]: marker });
+  if (laneId) {
+    const previous = getLaneActiveMarker(laneId);
+    await updateLane(laneId, { activeMarkerId: marker.id });
+    await advanceClocksOnMarkerChange(previous, marker);
+    return marker;
+  }
+  const previous = getActiveMarker();
   await game.settings.set(MODULE_ID, SETTINGS.activeMarkerId, marker.id);
+  await advanceClocksOnMarkerChange(previous, marker);
   return marker;
 }
 
@@ -163,76 +414,93 @@ export async function addMarker(title, description, downtimeAllowed, restriction
  * Set the active marker by ID
  */
 export async function setActiveMarker(markerId) {
+  if (!game.user.isGM) {
+    return requestGMOperation(GM_OPERATIONS.SET_ACTIVE_MARKER, { markerId: markerId || null });
+  }
+
+  const previous = getActiveMarker();
   await game.settings.set(MODULE_ID, SETTINGS.activeMarkerId, markerId);
+  await advanceClocksOnMarkerChange(previous, getActiveMarker());
 }
 
 /**
  * Update an existing marker by ID
  */
 export async function updateMarker(markerId, updates) {
-  const markers = getMarkers();
-  const index = markers.findIndex(m => m.id === markerId);
-  if (index === -1) return null;
-  markers[index] = foundry.utils.mergeObject(markers[index], updates, { inplace: false });
-  await game.settings.set(MODULE_ID, SETTINGS.markers, markers);
-  return markers[index];
+  if (!game.user.isGM) {
+    return requestGMOperation(GM_OPERATIONS.UPDATE_MARKER, { markerId, updates });
+  }
+
+  const marker = getMarkers().find(m => m.id === markerId);
+  if (!marker) return null;
+  // Only the changed fields are sent, so edits to other markers (or fields) aren't lost
+  await writeMarkerChanges({ [markerId]: updates });
+  return foundry.utils.mergeObject(marker, updates, { inplace: false });
 }
 
 /**
  * Delete a marker by ID
  */
 export async function deleteMarker(markerId) {
-  let markers = getMarkers();
-  markers = markers.filter(m => m.id !== markerId);
-  await game.settings.set(MODULE_ID, SETTINGS.markers, markers);
+  await removeMarker(markerId);
+  const markers = getMarkers();
   // If deleted marker was active, fall back to last marker or null
   const activeId = game.settings.get(MODULE_ID, SETTINGS.activeMarkerId);
   if (activeId === markerId) {
     const fallback = markers.length > 0 ? markers[markers.length - 1].id : null;
     await game.settings.set(MODULE_ID, SETTINGS.activeMarkerId, fallback);
   }
+  await onLaneMarkerDeleted(markerId);
 }
 
 /**
- * Reorder markers by accepting an array of {id, order} updates
+ * Reorder markers by accepting an array of {id, order} updates.
+ * An update may also carry a laneId to move the marker to another lane.
+ * Only markers whose order or lane actually changes are written.
  */
 export async function reorderMarkers(orderUpdates) {
-  const markers = getMarkers();
-  const orderMap = new Map(orderUpdates.map(u => [u.id, u.order]));
-  for (const marker of markers) {
-    if (orderMap.has(marker.id)) {
-      marker.order = orderMap.get(marker.id);
-    }
+  if (!game.user.isGM) {
+    return requestGMOperation(GM_OPERATIONS.REORDER_MARKERS, { orderUpdates });
   }
-  await game.settings.set(MODULE_ID, SETTINGS.markers, markers);
+
+  const updateMap = new Map(orderUpdates.map(u => [u.id, u]));
+  const changes = {};
+  for (const marker of getMarkers()) {
+    const update = updateMap.get(marker.id);
+    if (!update) continue;
+    const change = {};
+    if (update.order !== marker.order) change.order = update.order;
+    if ("laneId" in update && (update.laneId || null) !== (marker.laneId ?? null)) change.laneId = update.laneId || null;
+    if (Object.keys(change).length) changes[marker.id] = change;
+  }
+  await writeMarkerChanges(changes);
 }
 
 /**
  * Get journal sync configuration
  */
 export function getJournalSyncConfig() {
-  return game.settings.get(MODULE_ID, SETTINGS.journalSyncConfig) || {
-    journalId: null,
-    includeMarkerSummaries: true,
-    includeActionHistory: true,
-    includeRollResults: true,
-    includedMarkerIds: []
-  };
+  return game.settings.get(MODULE_ID, SETTINGS.journalSyncConfig) || getDefaultJournalSyncConfig();
 }
 
 /**
  * Set journal sync configuration
  */
 export async function setJournalSyncConfig(config) {
+  if (!game.user.isGM) {
+    return requestGMOperation(GM_OPERATIONS.SET_JOURNAL_SYNC_CONFIG, { config });
+  }
   await game.settings.set(MODULE_ID, SETTINGS.journalSyncConfig, config);
 }
 
 /**
  * Get available pilots/characters
+ * @param {Object} [options]
+ * @param {boolean} [options.includeUnowned] - Include pilots the user doesn't own (e.g. group helpers)
  */
-export function getAvailableCharacters() {
+export function getAvailableCharacters({ includeUnowned = false } = {}) {
   return game.actors.filter(a =>
-    a.type === "pilot" && (a.isOwner || game.user.isGM)
+    a.type === "pilot" && (a.isOwner || game.user.isGM || includeUnowned)
   ).map(a => ({
     id: a.id,
     name: a.name,
@@ -252,7 +520,14 @@ Hooks.once("init", () => {
     openTracker: openDowntimeTracker,
     getCharacterDowntimeData,
     updateCharacterDowntimeData,
+    updateHistoryEntry,
+    deleteHistoryEntry,
     getAllActionSets,
+    registerActionSet,
+    unregisterActionSet,
+    getActiveActionSetIds,
+    setActionSetActive,
+    openActionSetManager,
     getAvailableCharacters,
     // Marker functions
     getMarkers,
@@ -265,53 +540,96 @@ Hooks.once("init", () => {
     // Journal sync functions
     getJournalSyncConfig,
     setJournalSyncConfig,
+    // Action request functions
+    openActionRequestQueue,
+    getActionRequests,
+    approveActionRequest,
+    denyActionRequest,
+    // Power at a Cost obligations
+    getObligations,
+    setObligationStatus,
+    // World clocks
+    getClocks,
+    addClock,
+    updateClock,
+    deleteClock,
+    setClockProgress,
+    // Timeline lanes
+    getLanes,
+    addLane,
+    updateLane,
+    deleteLane,
+    getCharacterMarker,
+    setLaneActiveMarker,
+    // Data migrations
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    runMigrations,
+    showMigrationReport,
+    restoreMigrationBackup,
+    // Players' world writes are proxied to the GM; failures reject with GMRequestError
+    gmProxy: {
+      request: requestGMOperation,
+      OPERATIONS: GM_OPERATIONS,
+      ERROR_CODES: GM_ERROR_CODES,
+      GMRequestError
+    },
+    // Data export and import
+    exportData: exportModuleData,
+    openDataImport: showDataImportDialog,
     // Roll functions for external use
     roll: {
       showDialog: showRollDialog,
       pilotCheck: executePilotCheck,
       dicePool: executeDicePool,
       postToChat: postRollToChat,
+      resolveConditional,
       TYPES: ROLL_TYPES,
       CONDITIONAL_STATUS
     }
   };
+
+  // Let world scripts and other modules add their own action sets
+  Hooks.callAll("lancerDowntime.registerActionSets", registerActionSet);
 });
 
 Hooks.once("ready", async () => {
   console.log(`${MODULE_ID} | Ready`);
 
-  // Migrate markers (GM only)
-  if (game.user.isGM) {
-    const markers = getMarkers();
-    let migrated = false;
-
-    // Migrate: add order field if missing
-    const needsOrderMigration = markers.some(m => m.order === undefined || m.order === null);
-    if (needsOrderMigration) {
-      console.log(`${MODULE_ID} | Migrating markers to add order field`);
-      const sorted = [...markers].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-      sorted.forEach((m, i) => { m.order = i; });
-      migrated = true;
-    }
+  initSocket();
+  registerSocketHandler(SOCKET_EVENTS.CONDITIONAL_RESOLVED, onConditionalResolved);
+  registerSocketHandler(SOCKET_EVENTS.ACTION_REQUESTED, onActionRequested);
+  registerSocketHandler(SOCKET_EVENTS.ACTION_REQUEST_RESOLVED, onActionRequestResolved);
+  registerSocketHandler(SOCKET_EVENTS.GM_REQUEST, onGMRequest);
+  registerSocketHandler(SOCKET_EVENTS.GM_RESPONSE, onGMResponse);
 
-    // Migrate: add characterIds field if missing
-    const needsCharacterIdsMigration = markers.some(m => !Array.isArray(m.characterIds));
-    if (needsCharacterIdsMigration) {
-      console.log(`${MODULE_ID} | Migrating markers to add characterIds field`);
-      markers.forEach(m => {
-        if (!Array.isArray(m.characterIds)) m.characterIds = [];
-      });
-      migrated = true;
-    }
-
-    if (migrated) {
-      await game.settings.set(MODULE_ID, SETTINGS.markers, markers);
-    }
-  }
+  await runMigrations();
+  if (isActiveGM()) await recreateMissingMarkerStore();
+  await activateNewWorldActionSets();
 });
 
 Hooks.on("getSceneControlButtons", addSceneControlButton);
 
+Hooks.on("renderChatMessage", onRenderChatMessage);
+Hooks.on("renderChatMessage", onRenderCostCard);
+
+// Keep the journal in step with history changes, whoever made them
+Hooks.on("updateActor", (actor, changes) => {
+  if (foundry.utils.hasProperty(changes, `flags.${MODULE_ID}.data`)) scheduleJournalAutoSync();
+});
+
+// Marker changes arrive as updates to the marker store
+Hooks.on("updateJournalEntry", (journal, changes) => {
+  if (!isMarkerStore(journal) || !foundry.utils.hasProperty(changes, `flags.${MODULE_ID}`)) return;
+  refreshDowntimeTracker();
+  scheduleJournalAutoSync();
+});
+
+// A deleted marker store is recreated empty
+Hooks.on("deleteJournalEntry", async (journal) => {
+  if (!isMarkerStore(journal) || !isActiveGM()) return;
+  if (await recreateMissingMarkerStore()) refreshDowntimeTracker();
+});
+
 Hooks.on("renderActorDirectory", (app, html, data) => {
   if (!game.user.isGM) return;
 
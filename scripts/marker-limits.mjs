@@ -0,0 +1,89 @@
+/**
+ * Marker Limits
+ *
+ * Structured limits on what characters may do during a marker's downtime
+ * period, checked against the history entries recorded for that marker.
+ */
+
+/**
+ * Default (unrestricted) marker limits
+ */
+export function getDefaultMarkerLimits() {
+  return {
+    actionsPerCharacter: null,
+    allowedCategories: [],
+    forbiddenCategories: [],
+    allowedActionIds: [],
+    forbiddenActionIds: [],
+    oncePerPeriodActionIds: []
+  };
+}
+
+/**
+ * Get a marker's limits, filling in defaults for older markers
+ */
+export function getMarkerLimits(marker) {
+  return { ...getDefaultMarkerLimits(), ...(marker?.limits || {}) };
+}
+
+/**
+ * History entries a character has recorded against a marker
+ */
+function getMarkerEntries(marker, history) {
+  return (history || []).filter(entry => entry.markerId === marker.id);
+}
+
+/**
+ * Number of actions a character has left in a marker's period
+ * @param {Object} marker - The marker
+ * @param {Array} history - The character's history entries
+ * @returns {number|null} Remaining actions, or null if unlimited
+ */
+export function getRemainingActions(marker, history) {
+  const { actionsPerCharacter } = getMarkerLimits(marker);
+  if (actionsPerCharacter === null || actionsPerCharacter === undefined) return null;
+  return Math.max(0, actionsPerCharacter - getMarkerEntries(marker, history).length);
+}
+
+/**
+ * Check whether a character may take an action during a marker's period
+ * @param {Object} marker - The active marker
+ * @param {Object} action - The action being taken
+ * @param {Array} history - The character's history entries
+ * @returns {{allowed: boolean, reason: string|null}}
+ */
+export function checkActionAgainstMarker(marker, action, history) {
+  if (!marker) return { allowed: true, reason: null };
+
+  const limits = getMarkerLimits(marker);
+  const deny = (key, data = {}) => ({
+    allowed: false,
+    reason: game.i18n.format(`DOWNTIME.Limits.Denied.${key}`, { action: action.name, ...data })
+  });
+
+  if (limits.forbiddenActionIds.includes(action.id)) {
+    return deny("ForbiddenAction");
+  }
+  if (limits.allowedActionIds.length > 0 && !limits.allowedActionIds.includes(action.id)) {
+    return deny("NotAllowedAction");
+  }
+  if (action.category && limits.forbiddenCategories.includes(action.category)) {
+    return deny("ForbiddenCategory", { category: action.category });
+  }
+  if (limits.allowedCategories.length > 0 && !limits.allowedCategories.includes(action.category)) {
+    return deny("NotAllowedCategory", { category: action.category || "-" });
+  }
+
+  const entries = getMarkerEntries(marker, history);
+
+  if (limits.oncePerPeriodActionIds.includes(action.id) && entries.some(e => e.actionId === action.id)) {
+    return deny("AlreadyUsed");
+  }
+
+  const remaining = getRemainingActions(marker, history);
+  if (remaining !== null && remaining <= 0) {
+    return deny("NoActionsLeft");
+  }
+
+  return { allowed: true, reason: null };
+}
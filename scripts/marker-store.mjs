@@ -0,0 +1,183 @@
+/**
+ * Marker Store
+ *
+ * Markers are kept as per-marker flags on a dedicated journal entry instead
+ * of one world setting holding the whole array. Each write sends only the
+ * markers (and fields) it changes, and the server merges document updates,
+ * so two GMs or quick successive reorders touching different markers no
+ * longer overwrite each other, and other clients only receive what changed.
+ *
+ * The journal is created by the marker-store migration. Until then markers
+ * are read from, and written to, the old markers setting. After it, a
+ * missing journal is an error, never a reason to fall back to the setting.
+ */
+
+import { MODULE_ID, SETTINGS } from "./constants.mjs";
+
+/**
+ * Flag marking the journal entry as the marker store
+ */
+const STORE_FLAG = "markerStore";
+
+/**
+ * Flag holding the markers, keyed by marker ID
+ */
+const MARKERS_FLAG = "markers";
+
+/**
+ * Schema version of the marker-store migration
+ */
+const STORE_SCHEMA_VERSION = 5;
+
+/**
+ * The marker store journal entry, or null if it hasn't been created
+ */
+export function getMarkerStore() {
+  return game.journal.find(j => j.getFlag(MODULE_ID, STORE_FLAG)) || null;
+}
+
+/**
+ * Whether a journal entry is the marker store (hidden from journal pickers)
+ */
+export function isMarkerStore(journal) {
+  return !!journal?.getFlag(MODULE_ID, STORE_FLAG);
+}
+
+/**
+ * Store creation in progress, if any
+ */
+let creating = null;
+
+/**
+ * Get the marker store, creating it if needed (GM only)
+ */
+export async function getOrCreateMarkerStore() {
+  const existing = getMarkerStore();
+  if (existing) return existing;
+
+  // Callers racing to create it share one journal
+  creating ??= JournalEntry.create({
+    name: game.i18n.localize("DOWNTIME.Markers.StoreName"),
+    ownership: { default: CONST.DOCUMENT_OWNERSHIP_LEVELS.NONE },
+    flags: { [MODULE_ID]: { [STORE_FLAG]: true, [MARKERS_FLAG]: {} } }
+  }).finally(() => { creating = null; });
+  return creating;
+}
+
+/**
+ * Whether the marker-store migration has run, so markers must be in the store
+ */
+function isStoreMigrated() {
+  return (game.settings.get(MODULE_ID, SETTINGS.schemaVersion) || 0) >= STORE_SCHEMA_VERSION;
+}
+
+/**
+ * The store to write to, or null to write the old setting before the
+ * migration. A store missing after the migration is recreated by the GM.
+ */
+async function getWritableStore() {
+  const store = getMarkerStore();
+  if (store || !isStoreMigrated()) return store;
+
+  if (!game.user.isGM) throw new Error(game.i18n.localize("DOWNTIME.Markers.StoreMissing"));
+  console.warn(`${MODULE_ID} | Marker store journal is missing, recreating it`);
+  return getOrCreateMarkerStore();
+}
+
+/**
+ * GM: recreate the store, empty, if it was deleted after the migration. The
+ * markers can be brought back from a data export or the migration backup.
+ * @returns {Promise<boolean>} Whether the store was recreated
+ */
+export async function recreateMissingMarkerStore() {
+  if (getMarkerStore() || !isStoreMigrated()) return false;
+
+  ui.notifications.error(game.i18n.localize("DOWNTIME.Markers.StoreDeleted"), { permanent: true });
+  await getOrCreateMarkerStore();
+  return true;
+}
+
+/**
+ * Get all markers, sorted by timeline order. Callers get copies and may
+ * modify them freely.
+ */
+export function getMarkers() {
+  const store = getMarkerStore();
+  let markers;
+  if (store) {
+    markers = Object.values(store.getFlag(MODULE_ID, MARKERS_FLAG) || {}).filter(Boolean);
+  } else if (isStoreMigrated()) {
+    // Deleted: the GM recreates it (recreateMissingMarkerStore)
+    markers = [];
+  } else {
+    markers = game.settings.get(MODULE_ID, SETTINGS.markers) || [];
+  }
+
+  return foundry.utils.deepClone(markers)
+    .sort((a, b) => ((a.order ?? 0) - (b.order ?? 0)) || (a.timestamp || "").localeCompare(b.timestamp || ""));
+}
+
+/**
+ * Update key for one marker in the store
+ */
+function markerKey(markerId) {
+  return `flags.${MODULE_ID}.${MARKERS_FLAG}.${markerId}`;
+}
+
+/**
+ * Write changes to several markers in one update; each marker's changes are
+ * merged into it, so only the given fields are touched
+ * @param {Object} changesById - Marker ID -> partial marker (or a whole new marker)
+ */
+export async function writeMarkerChanges(changesById) {
+  const ids = Object.keys(changesById);
+  if (!ids.length) return;
+
+  const store = await getWritableStore();
+  if (!store) {
+    // Not migrated yet: fall back to rewriting the old setting
+    const markers = getMarkers();
+    for (const id of ids) {
+      const index = markers.findIndex(m => m.id === id);
+      if (index === -1) markers.push(changesById[id]);
+      else markers[index] = foundry.utils.mergeObject(markers[index], changesById[id], { inplace: false });
+    }
+    await game.settings.set(MODULE_ID, SETTINGS.markers, markers);
+    return;
+  }
+
+  const update = {};
+  for (const id of ids) update[markerKey(id)] = changesById[id];
+  await store.update(update);
+}
+
+/**
+ * Remove a marker from the store
+ */
+export async function removeMarker(markerId) {
+  const store = await getWritableStore();
+  if (!store) {
+    await game.settings.set(MODULE_ID, SETTINGS.markers, getMarkers().filter(m => m.id !== markerId));
+    return;
+  }
+  await store.update({ [`flags.${MODULE_ID}.${MARKERS_FLAG}.-=${markerId}`]: null });
+}
+
+/**
+ * Replace every marker at once (restoring backups and importing data)
+ * @param {Array} markers - The complete new marker list
+ */
+export async function replaceMarkers(markers) {
+  const store = await getWritableStore();
+  if (!store) {
+    await game.settings.set(MODULE_ID, SETTINGS.markers, markers);
+    return;
+  }
+
+  // The deletion comes first, so fields missing from the new markers don't
+  // survive the merge, and other clients never see an empty timeline
+  await store.update({
+    [`flags.${MODULE_ID}.-=${MARKERS_FLAG}`]: null,
+    [`flags.${MODULE_ID}.${MARKERS_FLAG}`]: Object.fromEntries(markers.map(m => [m.id, m]))
+  });
+}
@@ -0,0 +1,464 @@
+/**
+ * Data Migrations
+ *
+ * Stored module data carries a schema version. When the world loads, the
+ * active GM runs every migration newer than the stored version, in order,
+ * and records each version as it completes. Migrations are idempotent: they
+ * check the data before changing it, so re-running one changes nothing.
+ * Before the first migration writes anything, the module's data is
+ * snapshotted so the GM can restore it, and a report of what changed is
+ * shown afterwards.
+ */
+
+import {
+  MODULE_ID,
+  SETTINGS,
+  JOURNAL_SYNC_MODES,
+  getDefaultCharacterDowntimeData,
+  getDefaultJournalSyncConfig
+} from "./constants.mjs";
+import { getDefaultMarkerLimits } from "./marker-limits.mjs";
+import { computeHistoryStats } from "./main.mjs";
+import { getMarkers, getMarkerStore, getOrCreateMarkerStore, writeMarkerChanges, replaceMarkers } from "./marker-store.mjs";
+import { isActiveGM } from "./socket.mjs";
+import { escapeHTML, sanitizeHTML } from "./text-utils.mjs";
+
+/**
+ * Ordered migrations. Each returns report lines describing what it changed,
+ * or an empty list if the data was already up to date.
+ */
+const MIGRATIONS = [
+  { version: 1, name: "DOWNTIME.Migration.Markers", migrate: migrateMarkers },
+  { version: 2, name: "DOWNTIME.Migration.JournalSyncConfig", migrate: migrateJournalSyncConfig },
+  { version: 3, name: "DOWNTIME.Migration.CustomActionSets", migrate: migrateCustomActionSets },
+  { version: 4, name: "DOWNTIME.Migration.CharacterData", migrate: migrateCharacterData },
+  { version: 5, name: "DOWNTIME.Migration.MarkerStore", migrate: migrateMarkerStore }
+];
+
+/**
+ * Schema version of data written by this version of the module
+ */
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * World settings holding the module's data, as backed up before migrating
+ * and included in exports
+ */
+export const DATA_SETTINGS = [
+  SETTINGS.markers,
+  SETTINGS.activeMarkerId,
+  SETTINGS.lanes,
+  SETTINGS.clocks,
+  SETTINGS.journalSyncConfig,
+  SETTINGS.customActionSets,
+  SETTINGS.activeActionSets
+];
+
+/**
+ * Read one of the DATA_SETTINGS. Markers are read from the marker store.
+ */
+export function readDataSetting(key) {
+  return key === SETTINGS.markers ? getMarkers() : game.settings.get(MODULE_ID, key);
+}
+
+/**
+ * Write one of the DATA_SETTINGS. Markers are written to the marker store.
+ */
+export async function writeDataSetting(key, value) {
+  if (key === SETTINGS.markers) return replaceMarkers(value || []);
+  return game.settings.set(MODULE_ID, key, value);
+}
+
+/**
+ * Fields every marker needs, with how to tell one is missing
+ */
+const MARKER_FIELDS = [
+  { field: "characterIds", missing: (m) => !Array.isArray(m.characterIds), value: () => [] },
+  { field: "phase", missing: (m) => m.phase === undefined, value: () => null },
+  { field: "limits", missing: (m) => !m.limits, value: () => getDefaultMarkerLimits() },
+  { field: "laneId", missing: (m) => m.laneId === undefined, value: () => null }
+];
+
+/**
+ * Lists every character's downtime data needs
+ */
+const CHARACTER_LISTS = ["history", "projects", "obligations"];
+
+/**
+ * Run any pending migrations (active GM only)
+ * @returns {Promise<Object|null>} The migration report, or null if nothing ran
+ */
+export async function runMigrations() {
+  if (!isActiveGM()) return null;
+
+  const fromVersion = game.settings.get(MODULE_ID, SETTINGS.schemaVersion) || 0;
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    console.warn(`${MODULE_ID} | Stored data is schema version ${fromVersion}, newer than this module's ${CURRENT_SCHEMA_VERSION}`);
+    ui.notifications.warn(game.i18n.format("DOWNTIME.Migration.NewerSchema", {
+      version: fromVersion,
+      current: CURRENT_SCHEMA_VERSION
+    }));
+    return null;
+  }
+
+  const pending = MIGRATIONS.filter(m => m.version > fromVersion);
+  if (!pending.length) return null;
+
+  // A run that failed part-way keeps the snapshot from before it started
+  const previous = getMigrationBackup();
+  const backup = previous?.report?.error && previous.report.toVersion === fromVersion
+    ? previous
+    : createBackup(fromVersion);
+  await game.settings.set(MODULE_ID, SETTINGS.migrationBackup, { ...backup, report: null });
+
+  const report = {
+    fromVersion,
+    toVersion: fromVersion,
+    timestamp: new Date().toISOString(),
+    steps: [],
+    error: null
+  };
+
+  for (const migration of pending) {
+    console.log(`${MODULE_ID} | Running migration ${migration.version}: ${game.i18n.localize(migration.name)}`);
+    let changes;
+    try {
+      changes = await migration.migrate();
+    } catch (err) {
+      console.error(`${MODULE_ID} | Migration ${migration.version} failed`, err);
+      report.error = { version: migration.version, message: err.message };
+      ui.notifications.error(game.i18n.format("DOWNTIME.Migration.Failed", {
+        version: migration.version,
+        error: err.message
+      }));
+      break;
+    }
+
+    for (const change of changes) console.log(`${MODULE_ID} |   ${change}`);
+    report.steps.push({ version: migration.version, name: migration.name, changes });
+    report.toVersion = migration.version;
+    await game.settings.set(MODULE_ID, SETTINGS.schemaVersion, migration.version);
+  }
+
+  await game.settings.set(MODULE_ID, SETTINGS.migrationBackup, { ...backup, report });
+
+  if (report.error || report.steps.some(s => s.changes.length)) {
+    showMigrationReport();
+  }
+  return report;
+}
+
+/**
+ * Get the pre-migration backup (with the report of the run that made it)
+ */
+export function getMigrationBackup() {
+  return game.settings.get(MODULE_ID, SETTINGS.migrationBackup) || null;
+}
+
+/**
+ * Snapshot the module's world settings and every actor's downtime data
+ */
+function createBackup(schemaVersion) {
+  const settings = {};
+  for (const key of DATA_SETTINGS) {
+    settings[key] = foundry.utils.deepClone(readDataSetting(key));
+  }
+
+  const actors = {};
+  for (const actor of game.actors) {
+    const data = actor.getFlag(MODULE_ID, "data");
+    if (data) actors[actor.id] = foundry.utils.deepClone(data);
+  }
+
+  return {
+    schemaVersion,
+    moduleVersion: game.modules.get(MODULE_ID)?.version ?? null,
+    timestamp: new Date().toISOString(),
+    settings,
+    actors,
+    report: null
+  };
+}
+
+/**
+ * GM: put back the data from before the last migration. Actors without
+ * downtime data in the backup are left alone. The migrations run again the
+ * next time the world loads.
+ * @returns {Promise<boolean>} Whether the backup was restored
+ */
+export async function restoreMigrationBackup() {
+  if (!game.user.isGM) return false;
+
+  const backup = getMigrationBackup();
+  if (!backup?.settings) {
+    ui.notifications.warn(game.i18n.localize("DOWNTIME.Migration.NoBackup"));
+    return false;
+  }
+
+  const confirmed = await Dialog.confirm({
+    title: game.i18n.localize("DOWNTIME.Migration.RestoreTitle"),
+    content: `<p>${game.i18n.format("DOWNTIME.Migration.RestoreConfirm", {
+      timestamp: new Date(backup.timestamp).toLocaleString(),
+      version: backup.schemaVersion
+    })}</p>`
+  });
+  if (!confirmed) return false;
+
+  for (const [key, value] of Object.entries(backup.settings)) {
+    await writeDataSetting(key, value);
+  }
+
+  for (const [actorId, data] of Object.entries(backup.actors || {})) {
+    const actor = game.actors.get(actorId);
+    if (!actor) continue;
+    // Replace rather than merge, so fields added by migrations go too
+    await actor.unsetFlag(MODULE_ID, "data");
+    await actor.setFlag(MODULE_ID, "data", data);
+  }
+
+  await game.settings.set(MODULE_ID, SETTINGS.schemaVersion, backup.schemaVersion);
+  console.log(`${MODULE_ID} | Restored pre-migration backup from ${backup.timestamp}`);
+  ui.notifications.info(game.i18n.localize("DOWNTIME.Migration.Restored"));
+  return true;
+}
+
+/**
+ * GM: show what the last migration run changed
+ */
+export function showMigrationReport() {
+  if (!game.user.isGM) return;
+
+  const backup = getMigrationBackup();
+  const report = backup?.report;
+  if (!report) {
+    ui.notifications.info(game.i18n.localize("DOWNTIME.Migration.NoReport"));
+    return;
+  }
+
+  const steps = report.steps.map(step => `
+    <li>
+      <strong>${step.version}. ${game.i18n.localize(step.name)}</strong>
+      ${step.changes.length
+    ? `<ul>${step.changes.map(c => `<li>${escapeHTML(c)}</li>`).join("")}</ul>`
+    : `<span class="hint">${game.i18n.localize("DOWNTIME.Migration.NoChanges")}</span>`}
+    </li>
+  `).join("");
+
+  const content = `
+    <div class="migration-report">
+      <p>${game.i18n.format("DOWNTIME.Migration.Summary", {
+    from: report.fromVersion,
+    to: report.toVersion,
+    timestamp: new Date(report.timestamp).toLocaleString()
+  })}</p>
+      ${report.error ? `<p class="error">${game.i18n.format("DOWNTIME.Migration.Failed", {
+    version: report.error.version,
+    error: escapeHTML(report.error.message)
+  })}</p>` : ""}
+      <ol>${steps}</ol>
+      <p class="hint">${game.i18n.localize("DOWNTIME.Migration.BackupHint")}</p>
+    </div>
+    <style>
+      .migration-report ol { padding-left: 1.25rem; }
+      .migration-report ul { margin: 0.25rem 0 0.5rem; }
+      .migration-report .hint { font-size: 0.8rem; color: #888; }
+      .migration-report .error { color: #e94560; }
+    </style>
+  `;
+
+  new Dialog({
+    title: game.i18n.localize("DOWNTIME.Migration.ReportTitle"),
+    content,
+    buttons: {
+      restore: {
+        icon: '<i class="fas fa-undo"></i>',
+        label: game.i18n.localize("DOWNTIME.Migration.Restore"),
+        callback: () => restoreMigrationBackup()
+      },
+      close: {
+        icon: '<i class="fas fa-check"></i>',
+        label: game.i18n.localize("DOWNTIME.Migration.Close")
+      }
+    },
+    default: "close"
+  }, { width: 480 }).render(true);
+}
+
+/**
+ * 1: Markers get a timeline order (by creation time) and any fields added
+ * since they were created
+ */
+async function migrateMarkers() {
+  const markers = getMarkers();
+  const changes = [];
+
+  if (markers.some(m => m.order === undefined || m.order === null)) {
+    const sorted = [...markers].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    sorted.forEach((m, i) => { m.order = i; });
+    changes.push(game.i18n.format("DOWNTIME.Migration.MarkerOrder", { count: markers.length }));
+  }
+
+  for (const { field, missing, value } of MARKER_FIELDS) {
+    const affected = markers.filter(missing);
+    if (!affected.length) continue;
+    affected.forEach(m => { m[field] = value(); });
+    changes.push(game.i18n.format("DOWNTIME.Migration.MarkerField", { field, count: affected.length }));
+  }
+
+  if (changes.length) {
+    await replaceMarkers(markers);
+  }
+  return changes;
+}
+
+/**
+ * 2: Journal sync config gets any options added since it was saved
+ */
+async function migrateJournalSyncConfig() {
+  const stored = game.settings.get(MODULE_ID, SETTINGS.journalSyncConfig) || {};
+  const config = { ...stored };
+  const changes = [];
+
+  for (const [field, value] of Object.entries(getDefaultJournalSyncConfig())) {
+    if (config[field] !== undefined) continue;
+    config[field] = value;
+    changes.push(game.i18n.format("DOWNTIME.Migration.ConfigField", { field }));
+  }
+
+  if (!Object.values(JOURNAL_SYNC_MODES).includes(config.mode)) {
+    config.mode = JOURNAL_SYNC_MODES.SINGLE;
+    changes.push(game.i18n.format("DOWNTIME.Migration.ConfigReset", { field: "mode" }));
+  }
+  if (!Array.isArray(config.includedMarkerIds)) {
+    config.includedMarkerIds = [];
+    changes.push(game.i18n.format("DOWNTIME.Migration.ConfigReset", { field: "includedMarkerIds" }));
+  }
+
+  if (changes.length) {
+    await game.settings.set(MODULE_ID, SETTINGS.journalSyncConfig, config);
+  }
+  return changes;
+}
+
+/**
+ * 3: Imported action sets get an actions list, and descriptions imported
+ * before sanitising was added are sanitised
+ */
+async function migrateCustomActionSets() {
+  const sets = game.settings.get(MODULE_ID, SETTINGS.customActionSets) || [];
+  const changes = [];
+
+  const migrated = sets.map(set => {
+    const name = set.name || set.id;
+    if (!Array.isArray(set.actions)) {
+      changes.push(game.i18n.format("DOWNTIME.Migration.SetActions", { name }));
+      return { ...set, actions: [] };
+    }
+
+    let sanitised = 0;
+    const actions = set.actions.map(action => {
+      const description = sanitizeHTML(action.description);
+      if (description === (action.description || "")) return action;
+      sanitised++;
+      return { ...action, description };
+    });
+    if (!sanitised) return set;
+
+    changes.push(game.i18n.format("DOWNTIME.Migration.SetDescriptions", { name, count: sanitised }));
+    return { ...set, actions };
+  });
+
+  if (changes.length) {
+    await game.settings.set(MODULE_ID, SETTINGS.customActionSets, migrated);
+  }
+  return changes;
+}
+
+/**
+ * 4: Every actor's downtime data gets its lists, history entries get the
+ * fields added since they were recorded, and stats are recomputed
+ */
+async function migrateCharacterData() {
+  const changes = [];
+
+  for (const actor of game.actors) {
+    const stored = actor.getFlag(MODULE_ID, "data");
+    if (!stored) continue;
+
+    const data = { ...getDefaultCharacterDowntimeData(), ...foundry.utils.deepClone(stored) };
+    const fixes = [];
+
+    for (const list of CHARACTER_LISTS) {
+      if (Array.isArray(data[list])) continue;
+      data[list] = [];
+      fixes.push(game.i18n.format("DOWNTIME.Migration.CharacterList", { field: list }));
+    }
+
+    let repaired = 0;
+    data.history = data.history.map(entry => {
+      const migrated = migrateHistoryEntry(entry);
+      if (migrated !== entry) repaired++;
+      return migrated;
+    });
+    if (repaired) fixes.push(game.i18n.format("DOWNTIME.Migration.CharacterHistory", { count: repaired }));
+
+    const stats = computeHistoryStats(data.history);
+    if (stats.totalActions !== data.stats?.totalActions || stats.lastDowntime !== data.stats?.lastDowntime) {
+      data.stats = { ...data.stats, ...stats };
+      fixes.push(game.i18n.localize("DOWNTIME.Migration.CharacterStats"));
+    }
+
+    if (!fixes.length) continue;
+    await actor.setFlag(MODULE_ID, "data", data);
+    changes.push(game.i18n.format("DOWNTIME.Migration.CharacterFixed", { name: actor.name, fixes: fixes.join(", ") }));
+  }
+
+  return changes;
+}
+
+/**
+ * Fill in history entry fields added since the entry was recorded
+ * @returns {Object} The same entry if nothing was missing, otherwise a new one
+ */
+function migrateHistoryEntry(entry) {
+  const updates = {};
+  if (!entry.id) updates.id = foundry.utils.randomID();
+  if (!Array.isArray(entry.effects)) updates.effects = [];
+  if (!Array.isArray(entry.projectProgress)) updates.projectProgress = [];
+  if (entry.groupId === undefined) updates.groupId = null;
+  if (entry.group === undefined) updates.group = null;
+  if (!entry.result || entry.result.description === undefined) {
+    updates.result = {
+      success: true,
+      rollResult: null,
+      rollData: null,
+      ...entry.result,
+      description: entry.result?.description ?? ""
+    };
+  }
+  return Object.keys(updates).length ? { ...entry, ...updates } : entry;
+}
+
+/**
+ * 5: Markers move from the markers setting to per-marker flags on the
+ * marker store journal, and the setting is emptied
+ */
+async function migrateMarkerStore() {
+  const legacy = game.settings.get(MODULE_ID, SETTINGS.markers) || [];
+  const changes = [];
+
+  // New worlds get the store too; that alone isn't worth reporting
+  if (!getMarkerStore()) {
+    await getOrCreateMarkerStore();
+    console.log(`${MODULE_ID} | Created the marker store journal`);
+  }
+  if (!legacy.length) return changes;
+
+  // Markers already in the store (e.g. from an interrupted run) are kept
+  const storedIds = new Set(getMarkers().map(m => m.id));
+  const moving = legacy.filter(m => !storedIds.has(m.id));
+  await writeMarkerChanges(Object.fromEntries(moving.map(m => [m.id, m])));
+  await game.settings.set(MODULE_ID, SETTINGS.markers, []);
+  changes.push(game.i18n.format("DOWNTIME.Migration.MarkersMoved", { count: moving.length }));
+  return changes;
+}
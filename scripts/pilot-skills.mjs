@@ -0,0 +1,166 @@
+/**
+ * Pilot Skills
+ *
+ * Reads a LANCER pilot's skill triggers, talents and gear from the actor's
+ * items so pilot checks can apply a trigger bonus and suggest accuracy.
+ */
+
+import { escapeHTML } from "./text-utils.mjs";
+
+/**
+ * Bonus to the d20 total per skill trigger rank (+2/+4/+6)
+ */
+export const TRIGGER_BONUS_PER_RANK = 2;
+
+/**
+ * Current rank of a ranked LANCER item
+ */
+function getItemRank(item) {
+  return Math.max(1, parseInt(item.system?.curr_rank) || 1);
+}
+
+/**
+ * Normalise a trigger name for matching against action suggestions
+ */
+function normaliseName(name) {
+  return (name || "").toLowerCase().replace(/[^a-z]/g, "");
+}
+
+/**
+ * Get a pilot's skill triggers, flagging those the action suggests
+ * @param {Actor} actor - The pilot
+ * @param {Object} action - The action being performed
+ * @returns {Array<{id, name, rank, bonus, suggested}>} Suggested triggers first, then by bonus
+ */
+export function getPilotSkillTriggers(actor, action = null) {
+  if (!actor?.items) return [];
+
+  const suggested = (action?.suggestedTriggers || []).map(normaliseName);
+
+  return actor.items
+    .filter(item => item.type === "skill")
+    .map(item => {
+      const rank = Math.min(3, getItemRank(item));
+      return {
+        id: item.id,
+        name: item.name,
+        rank,
+        bonus: rank * TRIGGER_BONUS_PER_RANK,
+        suggested: suggested.includes(normaliseName(item.name))
+      };
+    })
+    .sort((a, b) => (b.suggested - a.suggested) || (b.bonus - a.bonus) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a pilot's talents with the ranks they have unlocked
+ */
+export function getPilotTalents(actor) {
+  if (!actor?.items) return [];
+
+  return actor.items
+    .filter(item => item.type === "talent")
+    .map(item => {
+      const rank = getItemRank(item);
+      return {
+        id: item.id,
+        name: item.name,
+        rank,
+        ranks: (item.system?.ranks || []).slice(0, rank).map(r => ({
+          name: r.name,
+          description: r.description || ""
+        }))
+      };
+    });
+}
+
+/**
+ * Get a pilot's gear
+ */
+export function getPilotGear(actor) {
+  if (!actor?.items) return [];
+
+  return actor.items
+    .filter(item => item.type === "pilot_gear")
+    .map(item => ({
+      id: item.id,
+      name: item.name,
+      description: item.system?.description || item.system?.effect || ""
+    }));
+}
+
+/**
+ * Whether a rules text grants accuracy
+ */
+function mentionsAccuracy(text) {
+  return /\baccuracy\b/i.test(text || "");
+}
+
+/**
+ * Suggest talent ranks and gear that may grant accuracy on a pilot check.
+ * These are situational, so the player decides which apply.
+ * @returns {Array<{id, name, source, text}>}
+ */
+export function getAccuracySuggestions(actor) {
+  const suggestions = [];
+
+  for (const talent of getPilotTalents(actor)) {
+    for (const rank of talent.ranks) {
+      if (!mentionsAccuracy(rank.description)) continue;
+      suggestions.push({
+        id: `${talent.id}-${rank.name}`,
+        name: `${talent.name}: ${rank.name}`,
+        source: "talent",
+        text: rank.description
+      });
+    }
+  }
+
+  for (const gear of getPilotGear(actor)) {
+    if (!mentionsAccuracy(gear.description)) continue;
+    suggestions.push({
+      id: gear.id,
+      name: gear.name,
+      source: "gear",
+      text: gear.description
+    });
+  }
+
+  return suggestions;
+}
+
+/**
+ * Render the trigger picker for a pilot check form
+ * @param {Array} triggers - Triggers from getPilotSkillTriggers
+ */
+export function renderTriggerSelect(triggers) {
+  if (triggers.length === 0) {
+    return `<p class="hint">${game.i18n.localize("DOWNTIME.Roll.Triggers.None")}</p>`;
+  }
+
+  // Preselect the best suggested trigger
+  const preselected = triggers.find(t => t.suggested)?.id;
+  const options = triggers.map(t => `
+    <option value="${t.id}" data-bonus="${t.bonus}" ${t.id === preselected ? "selected" : ""}>
+      ${t.suggested ? "&#9733; " : ""}${escapeHTML(t.name)} (+${t.bonus})
+    </option>
+  `).join("");
+
+  return `
+    <select name="triggerId">
+      <option value="">${game.i18n.localize("DOWNTIME.Roll.Triggers.NoTrigger")}</option>
+      ${options}
+    </select>
+  `;
+}
+
+/**
+ * Read the chosen trigger from a pilot check form
+ * @returns {{id, name, rank, bonus}|null}
+ */
+export function readTriggerSelect(html, triggers) {
+  const triggerId = html.find('[name="triggerId"]').val();
+  const trigger = triggers.find(t => t.id === triggerId);
+  if (!trigger) return null;
+  return { id: trigger.id, name: trigger.name, rank: trigger.rank, bonus: trigger.bonus };
+}
@@ -0,0 +1,226 @@
+/**
+ * Downtime Projects
+ *
+ * Long-running character projects with a progress track. Rolls on a linked
+ * action advance the track; filling it completes the project and announces
+ * it in chat.
+ */
+
+import { MODULE_ID, createProject } from "./constants.mjs";
+import { getCharacterDowntimeData, updateCharacterDowntimeData } from "./main.mjs";
+import { escapeHTML } from "./text-utils.mjs";
+
+/**
+ * Track segments gained per roll result
+ */
+export const PROJECT_PROGRESS = {
+  triumph: 2,
+  success: 1,
+  conflict: 1,
+  disaster: 0
+};
+
+/**
+ * Get all projects for an actor
+ */
+export function getProjects(actor) {
+  return getCharacterDowntimeData(actor).projects || [];
+}
+
+/**
+ * Add a new project to an actor
+ */
+export async function addProject(actor, { name, description = "", track = 4, linkedActionId = null }) {
+  const project = createProject(name, description, Math.max(1, track), linkedActionId || null);
+  const projects = [...getProjects(actor), project];
+  await updateCharacterDowntimeData(actor, { projects });
+  return project;
+}
+
+/**
+ * Update an existing project by ID
+ */
+export async function updateProject(actor, projectId, updates) {
+  const projects = [...getProjects(actor)];
+  const index = projects.findIndex(p => p.id === projectId);
+  if (index === -1) return null;
+  const project = foundry.utils.mergeObject(projects[index], updates, { inplace: false });
+  const completed = syncCompletion(project);
+  projects[index] = project;
+  await updateCharacterDowntimeData(actor, { projects });
+
+  if (completed) await onProjectCompleted(actor, project);
+  return project;
+}
+
+/**
+ * Bring a project's completed flag in line with its progress: a full track
+ * completes it, and moving back off a full track reopens it
+ * @returns {boolean} Whether the project has just been completed
+ */
+function syncCompletion(project) {
+  if (!project.completed && project.progress >= project.track) {
+    project.completed = true;
+    project.completedAt = new Date().toISOString();
+    return true;
+  }
+  if (project.completed && project.progress < project.track) {
+    project.completed = false;
+    project.completedAt = null;
+  }
+  return false;
+}
+
+/**
+ * Announce a newly completed project and let other modules react
+ */
+async function onProjectCompleted(actor, project) {
+  await announceProjectCompletion(actor, project);
+  Hooks.callAll("lancerDowntime.projectCompleted", actor, project);
+}
+
+/**
+ * Delete a project by ID
+ */
+export async function deleteProject(actor, projectId) {
+  const projects = getProjects(actor).filter(p => p.id !== projectId);
+  await updateCharacterDowntimeData(actor, { projects });
+}
+
+/**
+ * Move a project along its track. Negative amounts move it back.
+ * Fires the completion event and chat announcement when the track fills.
+ * @returns {Promise<{project: Object, applied: number, completed: boolean}|null>}
+ */
+export async function advanceProject(actor, projectId, amount = 1) {
+  const projects = foundry.utils.deepClone(getProjects(actor));
+  const project = projects.find(p => p.id === projectId);
+  if (!project) return null;
+
+  const before = project.progress || 0;
+  project.progress = Math.max(0, Math.min(project.track, before + amount));
+  const applied = project.progress - before;
+
+  const completed = syncCompletion(project);
+  await updateCharacterDowntimeData(actor, { projects });
+
+  if (completed) await onProjectCompleted(actor, project);
+
+  return { project, applied, completed };
+}
+
+/**
+ * Advance every open project linked to an action by the roll result
+ * @returns {Promise<Array<{projectId: string, amount: number}>>} Progress applied
+ */
+export async function advanceLinkedProjects(actor, action, resultCategory) {
+  const amount = PROJECT_PROGRESS[resultCategory] ?? 0;
+  if (amount <= 0) return [];
+
+  const linked = getProjects(actor).filter(p => !p.completed && p.linkedActionId === action.id);
+  const progress = [];
+
+  for (const project of linked) {
+    const result = await advanceProject(actor, project.id, amount);
+    if (result?.applied > 0) {
+      progress.push({ projectId: project.id, amount: result.applied });
+      ui.notifications.info(game.i18n.format("DOWNTIME.Projects.Advanced", {
+        name: escapeHTML(project.name),
+        progress: result.project.progress,
+        track: result.project.track
+      }));
+    }
+  }
+
+  return progress;
+}
+
+/**
+ * Post a chat card announcing a completed project
+ */
+async function announceProjectCompletion(actor, project) {
+  const content = `
+    <div class="downtime-project-complete">
+      <h3><i class="fas fa-flag-checkered"></i> ${game.i18n.localize("DOWNTIME.Projects.Completed")}</h3>
+      <p><strong>${escapeHTML(project.name)}</strong></p>
+      ${project.description ? `<p>${escapeHTML(project.description)}</p>` : ""}
+    </div>
+  `;
+
+  await ChatMessage.create({
+    speaker: ChatMessage.getSpeaker({ actor }),
+    content,
+    flavor: `<strong>Downtime:</strong> ${game.i18n.localize("DOWNTIME.Projects.Title")}`,
+    flags: { [MODULE_ID]: { projectId: project.id } }
+  });
+}
+
+/**
+ * Show the create/edit project dialog
+ * @param {Actor} actor - Actor that owns the project
+ * @param {Array} actions - Actions available for linking
+ * @param {Object|null} project - Existing project to edit, or null to create
+ * @returns {Promise<Object|null>} The form data, or null if cancelled
+ */
+export function showProjectDialog(actor, actions, project = null) {
+  const actionOptions = actions.map(a => {
+    const selected = project?.linkedActionId === a.id ? "selected" : "";
+    return `<option value="${a.id}" ${selected}>${escapeHTML(a.name)} (${escapeHTML(a.actionSetName)})</option>`;
+  }).join("");
+
+  const content = `
+    <form class="project-form">
+      <div class="form-group">
+        <label>${game.i18n.localize("DOWNTIME.Projects.Name")}:</label>
+        <input type="text" name="name" value="${escapeHTML(project?.name)}" placeholder="${game.i18n.localize("DOWNTIME.Projects.NamePlaceholder")}"/>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("DOWNTIME.Projects.Description")}:</label>
+        <textarea name="description" rows="2">${escapeHTML(project?.description)}</textarea>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("DOWNTIME.Projects.TrackLength")}:</label>
+        <input type="number" name="track" value="${project?.track ?? 4}" min="1" max="12"/>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("DOWNTIME.Projects.LinkedAction")}:</label>
+        <select name="linkedActionId">
+          <option value="">${game.i18n.localize("DOWNTIME.Projects.NoLinkedAction")}</option>
+          ${actionOptions}
+        </select>
+      </div>
+      <p class="hint">${game.i18n.localize("DOWNTIME.Projects.LinkedActionHint")}</p>
+    </form>
+    <style>
+      .project-form .hint { font-size: 0.8rem; color: #888; margin: 0.25rem 0; }
+    </style>
+  `;
+
+  return new Promise((resolve) => {
+    new Dialog({
+      title: `${actor.name}: ${game.i18n.localize(project ? "DOWNTIME.Projects.EditProject" : "DOWNTIME.Projects.AddProject")}`,
+      content,
+      buttons: {
+        save: {
+          icon: '<i class="fas fa-save"></i>',
+          label: game.i18n.localize("DOWNTIME.Markers.Save"),
+          callback: (html) => {
+            resolve({
+              name: html.find('[name="name"]').val()?.trim() || game.i18n.localize("DOWNTIME.Projects.Unnamed"),
+              description: html.find('[name="description"]').val() || "",
+              track: parseInt(html.find('[name="track"]').val()) || 4,
+              linkedActionId: html.find('[name="linkedActionId"]').val() || null
+            });
+          }
+        },
+        cancel: {
+          icon: '<i class="fas fa-times"></i>',
+          label: game.i18n.localize("DOWNTIME.Markers.Cancel"),
+          callback: () => resolve(null)
+        }
+      },
+      default: "save",
+      close: () => resolve(null)
+    }).render(true);
+  });
+}
@@ -0,0 +1,82 @@
+/**
+ * LANCER Reserves
+ *
+ * Catalogue of reserve types a pilot can gain from downtime, used when an
+ * action's gainReserve effect lets the player pick what they got.
+ */
+
+/**
+ * Reserve types offered by default. `type` is the LANCER reserve category.
+ */
+export const RESERVE_CATALOGUE = [
+  {
+    id: "access",
+    type: "Resource",
+    name: "Access",
+    description: "A key, invitation, credentials or a map that gets you somewhere you otherwise couldn't go."
+  },
+  {
+    id: "backing",
+    type: "Resource",
+    name: "Backing",
+    description: "Support from a faction, organization or powerful individual who will answer when you call."
+  },
+  {
+    id: "supplies",
+    type: "Resource",
+    name: "Supplies",
+    description: "Food, fuel, ammunition, medical supplies or other consumables for the next mission."
+  },
+  {
+    id: "disguise",
+    type: "Resource",
+    name: "Disguise",
+    description: "A cover identity, uniform or forged papers that let you pass unnoticed."
+  },
+  {
+    id: "safe_harbor",
+    type: "Resource",
+    name: "Safe Harbor",
+    description: "A safe place to rest, hide or resupply, no questions asked."
+  },
+  {
+    id: "knowledge",
+    type: "Resource",
+    name: "Knowledge",
+    description: "Information on a target, location or situation - layouts, schedules, weaknesses."
+  },
+  {
+    id: "reputation",
+    type: "Resource",
+    name: "Reputation",
+    description: "Your name carries weight with a particular group or community."
+  },
+  {
+    id: "rented_gear",
+    type: "Tactical",
+    name: "Rented Gear",
+    description: "Specialist gear or a vehicle borrowed or rented for a single mission."
+  },
+  {
+    id: "reinforcements",
+    type: "Tactical",
+    name: "Reinforcements",
+    description: "Allied forces that will arrive to help at a critical moment of the next mission."
+  },
+  {
+    id: "custom_mech_part",
+    type: "Mech",
+    name: "Custom Mech Part",
+    description: "A tuned, salvaged or one-off component that improves your mech for a mission."
+  }
+];
+
+/**
+ * Get the reserve catalogue with an action's suggested reserves first
+ * @param {Array<string>} suggestedIds - Catalogue IDs the action suggests
+ */
+export function getReserveCatalogue(suggestedIds = []) {
+  return RESERVE_CATALOGUE
+    .map(entry => ({ ...entry, suggested: suggestedIds.includes(entry.id) }))
+    .sort((a, b) => b.suggested - a.suggested);
+}
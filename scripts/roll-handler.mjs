@@ -6,10 +6,23 @@
  * 2. Far Field Dice Pools: Xd6, counting successes (5-6)
  *
  * Also supports "conditional modifiers" - bonuses that players propose
- * but need GM approval before being applied.
+ * but need GM approval before being applied. The GM approves or rejects
+ * each one from the chat card, which recomputes the final result.
  */
 
 import { MODULE_ID } from "./constants.mjs";
+import { updateHistoryEntry, refreshDowntimeTracker } from "./main.mjs";
+import { emitSocket, SOCKET_EVENTS } from "./socket.mjs";
+import { renderTriggerSelect, readTriggerSelect } from "./pilot-skills.mjs";
+import { escapeHTML, sanitizeHTML } from "./text-utils.mjs";
+import {
+  FAR_FIELD_MODULE_ID,
+  getAvailableBoxes,
+  getSuggestedAspect,
+  renderPoolPicker,
+  bindPoolPicker,
+  readPoolPicker
+} from "./far-field-pool.mjs";
 
 /**
  * Roll type constants
@@ -57,6 +70,11 @@ export const PILOT_RESULTS = {
  * @param {number} options.basePool - Base dice pool size (for dice pools)
  * @param {number} options.baseAccuracy - Starting accuracy (for pilot checks)
  * @param {string} options.description - Action description
+ * @param {Array} options.triggers - Pilot skill triggers to pick from (for pilot checks)
+ * @param {Array} options.accuracySources - Suggested talents/gear that may grant accuracy
+ * @param {Object|null} options.poolSources - Far Field aspects/resources to build the pool from
+ * @param {number} options.baseBonusDice - Starting bonus dice (for dice pools)
+ * @param {Array} options.helpers - Group action helpers ({actorId, name, bonus}) contributing to the roll
  * @returns {Promise<Object|null>} Roll result or null if cancelled
  */
 export async function showRollDialog(options) {
@@ -66,7 +84,12 @@ export async function showRollDialog(options) {
     rollType = ROLL_TYPES.PILOT_CHECK,
     basePool = 2,
     baseAccuracy = 0,
-    description = ""
+    description = "",
+    triggers = [],
+    accuracySources = [],
+    poolSources = null,
+    baseBonusDice = 0,
+    helpers = []
   } = options;
 
   const isPilotCheck = rollType === ROLL_TYPES.PILOT_CHECK;
@@ -78,7 +101,12 @@ export async function showRollDialog(options) {
     description,
     isPilotCheck,
     basePool,
-    baseAccuracy
+    baseAccuracy,
+    triggers,
+    accuracySources,
+    poolSources,
+    baseBonusDice,
+    helpers
   });
 
   return new Promise((resolve) => {
@@ -90,7 +118,7 @@ export async function showRollDialog(options) {
           icon: '<i class="fas fa-dice"></i>',
           label: "Roll",
           callback: async (html) => {
-            const result = await executeRollFromDialog(html, rollType, isPilotCheck);
+            const result = await executeRollFromDialog(html, rollType, isPilotCheck, { triggers, poolSources, helpers });
             resolve(result);
           }
         },
@@ -103,10 +131,23 @@ export async function showRollDialog(options) {
       default: "roll",
       render: (html) => {
         // Update preview when modifiers change
-        html.find('input[type="number"]').on('change input', () => {
+        html.find('input[type="number"], select[name="triggerId"]').on('change input', () => {
           updateRollPreview(html, isPilotCheck);
         });
 
+        // Each suggested accuracy source that applies adds one accuracy
+        html.find('.accuracy-source').on('change', (e) => {
+          const input = html.find('[name="accuracy"]');
+          const accuracy = (parseInt(input.val()) || 0) + (e.currentTarget.checked ? 1 : -1);
+          input.val(Math.max(0, accuracy));
+          updateRollPreview(html, isPilotCheck);
+        });
+
+        // Aspect picker and box spending drive the pool inputs
+        if (!isPilotCheck) {
+          bindPoolPicker(html, () => updateRollPreview(html, isPilotCheck));
+        }
+
         // Add conditional modifier button
         html.find('.add-conditional-btn').on('click', (e) => {
           e.preventDefault();
@@ -165,7 +206,10 @@ function addConditionalModifier(html, isPilotCheck) {
  * Render the roll dialog content
  */
 async function renderRollDialogContent(options) {
-  const { actionName, characterName, description, isPilotCheck, basePool, baseAccuracy } = options;
+  const {
+    actionName, characterName, description, isPilotCheck,
+    basePool, baseAccuracy, triggers, accuracySources, poolSources, baseBonusDice, helpers
+  } = options;
 
   // Common conditional modifiers section
   const conditionalSection = `
@@ -288,14 +332,23 @@ async function renderRollDialogContent(options) {
     return `
       <form class="downtime-roll-dialog">
         <div class="action-info">
-          <h3>${actionName}</h3>
-          ${description ? `<p class="description">${description}</p>` : ''}
+          <h3>${escapeHTML(actionName)}</h3>
+          ${description ? `<p class="description">${sanitizeHTML(description)}</p>` : ''}
         </div>
         <hr/>
 
         <div class="roll-config pilot-check">
           <p class="roll-formula">Base: <strong>1d20</strong></p>
 
+          <div class="form-group">
+            <label>
+              <i class="fas fa-bolt" style="color: #ffd700;"></i>
+              ${game.i18n.localize("DOWNTIME.Roll.Triggers.Label")}
+            </label>
+            ${renderTriggerSelect(triggers)}
+            <p class="hint">${game.i18n.localize("DOWNTIME.Roll.Triggers.Hint")}</p>
+          </div>
+
           <div class="form-group">
             <label>
               <i class="fas fa-plus-circle" style="color: #1db954;"></i>
@@ -304,6 +357,8 @@ async function renderRollDialogContent(options) {
             <input type="number" name="accuracy" value="${baseAccuracy}" min="0" max="6"
                    placeholder="Bonus d6s (take highest)"/>
             <p class="hint">Each accuracy adds a d6; highest is added to roll</p>
+            ${renderHelpers(helpers)}
+            ${renderAccuracySources(accuracySources)}
           </div>
 
           <div class="form-group">
@@ -323,6 +378,8 @@ async function renderRollDialogContent(options) {
 
           ${conditionalSection}
 
+          ${renderRollModeSelect()}
+
           <div class="roll-preview">
             <div class="preview-confirmed">
               <span class="preview-label">Confirmed:</span>
@@ -339,6 +396,9 @@ async function renderRollDialogContent(options) {
         ${commonStyles}
         .downtime-roll-dialog .form-group input[type="number"] { width: 80px; }
         .downtime-roll-dialog .form-group input[type="text"] { width: 100%; }
+        .downtime-roll-dialog .form-group select { width: 100%; }
+        .downtime-roll-dialog .accuracy-sources { margin-top: 0.5rem; font-size: 0.8rem; }
+        .downtime-roll-dialog .accuracy-sources label { display: flex; align-items: center; gap: 0.25rem; font-weight: normal; }
       </style>
     `;
   } else {
@@ -346,12 +406,14 @@ async function renderRollDialogContent(options) {
     return `
       <form class="downtime-roll-dialog">
         <div class="action-info">
-          <h3>${actionName}</h3>
-          ${description ? `<p class="description">${description}</p>` : ''}
+          <h3>${escapeHTML(actionName)}</h3>
+          ${description ? `<p class="description">${sanitizeHTML(description)}</p>` : ''}
         </div>
         <hr/>
 
         <div class="roll-config dice-pool">
+          ${renderPoolPicker(poolSources)}
+
           <div class="form-group">
             <label>
               <i class="fas fa-dice-d6" style="color: #ff9800;"></i>
@@ -366,8 +428,9 @@ async function renderRollDialogContent(options) {
               <i class="fas fa-plus" style="color: #1db954;"></i>
               Additional Dice
             </label>
-            <input type="number" name="bonusDice" value="0" min="0" max="6"/>
+            <input type="number" name="bonusDice" value="${baseBonusDice}" data-base="${baseBonusDice}" min="0" max="6"/>
             <p class="hint">From resources, help, circumstances, etc.</p>
+            ${renderHelpers(helpers)}
           </div>
 
           <div class="form-group">
@@ -377,6 +440,8 @@ async function renderRollDialogContent(options) {
 
           ${conditionalSection}
 
+          ${renderRollModeSelect()}
+
           <div class="roll-preview">
             <div class="preview-confirmed">
               <span class="preview-label">Confirmed:</span>
@@ -401,6 +466,10 @@ async function renderRollDialogContent(options) {
         ${commonStyles}
         .downtime-roll-dialog .form-group input[type="number"] { width: 80px; }
         .downtime-roll-dialog .form-group input[type="text"] { width: 100%; }
+        .downtime-roll-dialog .pool-aspect { display: flex; align-items: center; gap: 0.25rem; font-weight: normal; }
+        .downtime-roll-dialog .pool-aspect .hint { margin: 0 0 0 auto; }
+        .downtime-roll-dialog .pool-spend { display: flex; justify-content: space-between; align-items: center; gap: 0.5rem; margin-bottom: 0.25rem; }
+        .downtime-roll-dialog .pool-spend select { width: auto; }
         .downtime-roll-dialog .result-thresholds {
           display: flex;
           justify-content: space-around;
@@ -420,6 +489,70 @@ async function renderRollDialogContent(options) {
   }
 }
 
+/**
+ * Render the roll mode picker, defaulting to the user's chat roll mode
+ */
+export function renderRollModeSelect() {
+  const current = game.settings.get("core", "rollMode");
+  // v11 maps modes to label strings; v12 to {label, icon}
+  const options = Object.entries(CONFIG.Dice.rollModes).map(([mode, config]) => {
+    const label = typeof config === "string" ? config : config.label;
+    return `<option value="${mode}" ${mode === current ? "selected" : ""}>${game.i18n.localize(label)}</option>`;
+  }).join("");
+
+  return `
+    <div class="form-group">
+      <label>${game.i18n.localize("DOWNTIME.Roll.RollMode")}</label>
+      <select name="rollMode">${options}</select>
+    </div>
+  `;
+}
+
+/**
+ * Render the group action helpers already counted in the accuracy/bonus dice
+ */
+function renderHelpers(helpers) {
+  if (!helpers?.length) return "";
+  return `<p class="hint roll-helpers">${game.i18n.format("DOWNTIME.Group.HelpersHint", {
+    helpers: helpers.map(h => `${escapeHTML(h.name)} (+${h.bonus})`).join(", ")
+  })}</p>`;
+}
+
+/**
+ * Render suggested accuracy sources as checkboxes
+ */
+function renderAccuracySources(sources) {
+  if (!sources?.length) return "";
+
+  const items = sources.map(source => `
+    <label title="${Handlebars.escapeExpression(source.text)}">
+      <input type="checkbox" class="accuracy-source" data-source-name="${escapeHTML(source.name)}"/>
+      ${escapeHTML(source.name)} <span class="hint">(${game.i18n.localize(`DOWNTIME.Roll.AccuracySources.${source.source}`)})</span>
+    </label>
+  `).join("");
+
+  return `
+    <div class="accuracy-sources">
+      <p class="hint">${game.i18n.localize("DOWNTIME.Roll.AccuracySources.Hint")}</p>
+      ${items}
+    </div>
+  `;
+}
+
+/**
+ * Build a pilot check formula for display
+ */
+function formatPilotFormula(net, triggerBonus = 0) {
+  let formula = "1d20";
+  if (triggerBonus > 0) formula += ` + ${triggerBonus}`;
+  if (net > 0) {
+    formula += ` + ${net}d6kh1`;
+  } else if (net < 0) {
+    formula += ` - ${Math.abs(net)}d6kh1`;
+  }
+  return formula;
+}
+
 /**
  * Update the roll preview when modifiers change
  */
@@ -439,26 +572,14 @@ function updateRollPreview(html, isPilotCheck) {
     const accuracy = parseInt(html.find('[name="accuracy"]').val()) || 0;
     const difficulty = parseInt(html.find('[name="difficulty"]').val()) || 0;
     const net = accuracy - difficulty;
+    const triggerBonus = parseInt(html.find('[name="triggerId"] option:selected').data("bonus")) || 0;
 
     // Confirmed formula
-    let confirmedFormula = "1d20";
-    if (net > 0) {
-      confirmedFormula += ` + ${net}d6kh1`;
-    } else if (net < 0) {
-      confirmedFormula += ` - ${Math.abs(net)}d6kh1`;
-    }
-    confirmedEl.text(confirmedFormula);
+    confirmedEl.text(formatPilotFormula(net, triggerBonus));
 
     // Conditional formula (with bonus accuracy)
     if (conditionalBonus > 0) {
-      const netWithConditional = net + conditionalBonus;
-      let conditionalFormula = "1d20";
-      if (netWithConditional > 0) {
-        conditionalFormula += ` + ${netWithConditional}d6kh1`;
-      } else if (netWithConditional < 0) {
-        conditionalFormula += ` - ${Math.abs(netWithConditional)}d6kh1`;
-      }
-      conditionalFormulaEl.text(conditionalFormula);
+      conditionalFormulaEl.text(formatPilotFormula(net + conditionalBonus, triggerBonus));
       conditionalEl.show();
     } else {
       conditionalEl.hide();
@@ -506,18 +627,22 @@ function gatherConditionalModifiers(html) {
 /**
  * Execute the roll from dialog inputs
  */
-async function executeRollFromDialog(html, rollType, isPilotCheck) {
+async function executeRollFromDialog(html, rollType, isPilotCheck, { triggers = [], poolSources = null, helpers = [] } = {}) {
   const reason = html.find('[name="reason"]').val() || "";
   const conditionals = gatherConditionalModifiers(html);
+  const rollMode = html.find('[name="rollMode"]').val() || null;
 
   if (isPilotCheck) {
     const accuracy = parseInt(html.find('[name="accuracy"]').val()) || 0;
     const difficulty = parseInt(html.find('[name="difficulty"]').val()) || 0;
-    return executePilotCheck({ accuracy, difficulty, reason, conditionals });
+    const trigger = readTriggerSelect(html, triggers);
+    const accuracySources = html.find('.accuracy-source:checked').map((i, el) => el.dataset.sourceName).get();
+    return executePilotCheck({ accuracy, difficulty, reason, conditionals, trigger, accuracySources, helpers, rollMode });
   } else {
     const poolSize = parseInt(html.find('[name="poolSize"]').val()) || 2;
     const bonusDice = parseInt(html.find('[name="bonusDice"]').val()) || 0;
-    return executeDicePool({ poolSize: poolSize + bonusDice, reason, conditionals });
+    const { aspects, trackSpends } = readPoolPicker(html, poolSources);
+    return executeDicePool({ poolSize: poolSize + bonusDice, reason, conditionals, aspects, trackSpends, helpers, rollMode });
   }
 }
 
@@ -528,9 +653,13 @@ async function executeRollFromDialog(html, rollType, isPilotCheck) {
  * @param {number} options.difficulty - Number of difficulty dice
  * @param {string} options.reason - Reason for modifiers
  * @param {Array} options.conditionals - Conditional modifiers awaiting approval
- * @returns {Promise<Object>} Roll result
+ * @param {Object|null} options.trigger - Skill trigger applied ({id, name, rank, bonus})
+ * @param {Array<string>} options.accuracySources - Names of talents/gear claimed for accuracy
+ * @param {Array} options.helpers - Group action helpers whose accuracy is included
+ * @param {string|null} options.rollMode - Chat roll mode (defaults to the user's)
+ * @returns {Promise<Object>} Roll result, with the evaluated Roll objects on `rolls`
  */
-export async function executePilotCheck({ accuracy = 0, difficulty = 0, reason = "", conditionals = [] }) {
+export async function executePilotCheck({ accuracy = 0, difficulty = 0, reason = "", conditionals = [], trigger = null, accuracySources = [], helpers = [], rollMode = null }) {
   const netAccuracy = accuracy - difficulty;
   const conditionalAccuracy = conditionals.reduce((sum, c) => sum + c.value, 0);
   const netWithConditional = netAccuracy + conditionalAccuracy;
@@ -543,76 +672,90 @@ export async function executePilotCheck({ accuracy = 0, difficulty = 0, reason =
   // Roll ALL modifier dice at once (confirmed + conditional) so we can show what would have happened
   const maxModCount = Math.max(Math.abs(netAccuracy), Math.abs(netWithConditional));
   let allModifierDice = [];
+  const rolls = [baseRoll];
 
   if (maxModCount > 0) {
     const modifierRoll = new Roll(`${maxModCount}d6`);
     await modifierRoll.evaluate();
     allModifierDice = modifierRoll.dice[0].results.map(r => r.result);
+    rolls.push(modifierRoll);
   }
 
-  // Calculate CONFIRMED result (using only confirmed modifiers)
-  let confirmedModifierValue = 0;
-  let confirmedModifierDice = [];
-  if (netAccuracy !== 0) {
-    confirmedModifierDice = allModifierDice.slice(0, Math.abs(netAccuracy));
-    const highestDie = confirmedModifierDice.length > 0 ? Math.max(...confirmedModifierDice) : 0;
-    confirmedModifierValue = netAccuracy > 0 ? highestDie : -highestDie;
-  }
-  const confirmedTotal = d20Result + confirmedModifierValue;
-  const confirmedResult = getPilotResultCategory(confirmedTotal);
-
-  // Calculate POTENTIAL result (if all conditionals approved)
-  let potentialModifierValue = 0;
-  let potentialModifierDice = allModifierDice;
-  if (netWithConditional !== 0) {
-    const highestDie = potentialModifierDice.length > 0 ? Math.max(...potentialModifierDice) : 0;
-    potentialModifierValue = netWithConditional > 0 ? highestDie : -highestDie;
-  }
-  const potentialTotal = d20Result + potentialModifierValue;
-  const potentialResult = getPilotResultCategory(potentialTotal);
-
-  // Create display formulas
-  const confirmedFormula = netAccuracy !== 0
-    ? `1d20 ${netAccuracy > 0 ? '+' : '-'} ${Math.abs(netAccuracy)}d6kh1`
-    : "1d20";
-
-  const potentialFormula = netWithConditional !== 0
-    ? `1d20 ${netWithConditional > 0 ? '+' : '-'} ${Math.abs(netWithConditional)}d6kh1`
-    : "1d20";
-
   const rollResult = {
     type: ROLL_TYPES.PILOT_CHECK,
     d20: d20Result,
     accuracy,
     difficulty,
     reason,
+    trigger,
+    accuracySources,
+    helpers,
+    rollMode: rollMode || game.settings.get("core", "rollMode"),
+
+    // Raw dice, kept so conditional decisions can be re-applied later
+    baseNetAccuracy: netAccuracy,
+    rawModifierDice: allModifierDice
+  };
+
+  return attachRolls(recomputePilotCheck(rollResult, conditionals.map(c => ({ ...c }))), rolls);
+}
+
+/**
+ * Compute a pilot check outcome for a given net accuracy
+ * Uses the first |net| modifier dice from the raw dice rolled
+ */
+function getPilotOutcome(d20, rawModifierDice, net, triggerBonus = 0) {
+  const modifierDice = net !== 0 ? rawModifierDice.slice(0, Math.abs(net)) : [];
+  const highestDie = modifierDice.length > 0 ? Math.max(...modifierDice) : 0;
+  const modifierValue = net > 0 ? highestDie : -highestDie;
+  const total = d20 + triggerBonus + modifierValue;
+  const resultCategory = getPilotResultCategory(total);
+
+  return {
+    formula: formatPilotFormula(net, triggerBonus),
+    netAccuracy: net,
+    modifierDice,
+    modifierValue,
+    total,
+    resultCategory,
+    resultLabel: PILOT_RESULTS[resultCategory.toUpperCase()]?.label || resultCategory
+  };
+}
+
+/**
+ * Recompute a pilot check from its raw dice and the current conditional statuses.
+ * Approved conditionals count towards the confirmed result; pending ones
+ * count towards the potential result.
+ */
+function recomputePilotCheck(rollData, conditionals) {
+  const approved = sumConditionals(conditionals, CONDITIONAL_STATUS.APPROVED);
+  const pending = sumConditionals(conditionals, CONDITIONAL_STATUS.PENDING);
+  const baseNet = rollData.baseNetAccuracy ?? (rollData.accuracy - rollData.difficulty);
+  const rawDice = rollData.rawModifierDice || [];
+  const triggerBonus = rollData.trigger?.bonus || 0;
+
+  return {
+    ...rollData,
 
     // Confirmed result
-    formula: confirmedFormula,
-    netAccuracy,
-    modifierDice: confirmedModifierDice,
-    modifierValue: confirmedModifierValue,
-    total: confirmedTotal,
-    resultCategory: confirmedResult,
-    resultLabel: PILOT_RESULTS[confirmedResult.toUpperCase()]?.label || confirmedResult,
+    ...getPilotOutcome(rollData.d20, rawDice, baseNet + approved, triggerBonus),
 
     // Conditional data
-    conditionals: conditionals.map(c => ({ ...c })),
+    conditionals,
     hasConditionals: conditionals.length > 0,
 
-    // Potential result (if conditionals approved)
-    potential: conditionals.length > 0 ? {
-      formula: potentialFormula,
-      netAccuracy: netWithConditional,
-      modifierDice: potentialModifierDice,
-      modifierValue: potentialModifierValue,
-      total: potentialTotal,
-      resultCategory: potentialResult,
-      resultLabel: PILOT_RESULTS[potentialResult.toUpperCase()]?.label || potentialResult
-    } : null
+    // Potential result (if pending conditionals approved)
+    potential: pending > 0 ? getPilotOutcome(rollData.d20, rawDice, baseNet + approved + pending, triggerBonus) : null
   };
+}
 
-  return rollResult;
+/**
+ * Sum conditional values with a given status
+ */
+function sumConditionals(conditionals, status) {
+  return conditionals
+    .filter(c => c.status === status)
+    .reduce((sum, c) => sum + c.value, 0);
 }
 
 /**
@@ -631,9 +774,13 @@ function getPilotResultCategory(total) {
  * @param {number} options.poolSize - Total number of confirmed dice to roll
  * @param {string} options.reason - Reason for bonus dice
  * @param {Array} options.conditionals - Conditional modifiers awaiting approval
- * @returns {Promise<Object>} Roll result
+ * @param {Array} options.aspects - Far Field aspects drawn on ({id, name, available})
+ * @param {Array} options.trackSpends - Boxes marked or burned for bonus dice (effect changes)
+ * @param {Array} options.helpers - Group action helpers whose bonus dice are included
+ * @param {string|null} options.rollMode - Chat roll mode (defaults to the user's)
+ * @returns {Promise<Object>} Roll result, with the evaluated Roll object on `rolls`
  */
-export async function executeDicePool({ poolSize = 2, reason = "", conditionals = [] }) {
+export async function executeDicePool({ poolSize = 2, reason = "", conditionals = [], aspects = [], trackSpends = [], helpers = [], rollMode = null }) {
   const conditionalDice = conditionals.reduce((sum, c) => sum + c.value, 0);
   const totalPoolSize = poolSize + conditionalDice;
 
@@ -641,50 +788,149 @@ export async function executeDicePool({ poolSize = 2, reason = "", conditionals
   const roll = new Roll(`${totalPoolSize}d6`);
   await roll.evaluate();
 
-  const allDiceResults = roll.dice[0].results.map(r => r.result);
+  const rollResult = {
+    type: ROLL_TYPES.DICE_POOL,
+    reason,
+    aspects,
+    trackSpends,
+    helpers,
+    rollMode: rollMode || game.settings.get("core", "rollMode"),
+
+    // Raw dice, kept so conditional decisions can be re-applied later.
+    // The first basePoolSize dice are confirmed; the rest belong to each
+    // conditional in order.
+    basePoolSize: poolSize,
+    rawDice: roll.dice[0].results.map(r => r.result)
+  };
+
+  return attachRolls(recomputeDicePool(rollResult, conditionals.map(c => ({ ...c }))), [roll]);
+}
+
+/**
+ * Keep the evaluated Roll objects with a roll result for posting to chat.
+ * The property is non-enumerable so the Rolls never end up in flags or
+ * history, which only store plain roll data.
+ */
+function attachRolls(rollResult, rolls) {
+  Object.defineProperty(rollResult, "rolls", { value: rolls, enumerable: false });
+  return rollResult;
+}
+
+/**
+ * Whether a roll is a blind roll the GM hasn't revealed yet, whoever is
+ * looking (journals shared with players check this directly)
+ * @param {Object|null} rollData - Stored roll result
+ */
+export function isBlindUnrevealed(rollData) {
+  return rollData?.rollMode === CONST.DICE_ROLL_MODES.BLIND && !rollData.revealed;
+}
+
+/**
+ * Whether a roll's result is hidden from the current user: a blind roll
+ * the GM hasn't revealed yet
+ * @param {Object|null} rollData - Stored roll result
+ */
+export function isRollHidden(rollData) {
+  return isBlindUnrevealed(rollData) && !game.user.isGM;
+}
+
+/**
+ * Whether a roll is a blind roll the GM can still reveal
+ */
+export function canRevealRoll(rollData) {
+  return game.user.isGM && isBlindUnrevealed(rollData);
+}
+
+/**
+ * GM: reveal a blind downtime roll to its player, in the tracker history
+ * and on the chat card
+ * @param {Actor} actor - Actor the history entry belongs to
+ * @param {string} entryId - History entry with the blind roll
+ */
+export async function revealBlindRoll(actor, entryId) {
+  if (!game.user.isGM) return;
 
-  // Split results: confirmed dice vs conditional dice
-  const confirmedDice = allDiceResults.slice(0, poolSize);
-  const conditionalDiceResults = allDiceResults.slice(poolSize);
+  await updateHistoryEntry(actor, entryId, { result: { rollData: { revealed: true } } });
+
+  const message = game.messages.find(m => m.getFlag(MODULE_ID, "historyEntryId") === entryId);
+  if (message) {
+    await message.update({ blind: false, [`flags.${MODULE_ID}.rollData.revealed`]: true });
+  }
+}
+
+/**
+ * Recompute a dice pool from its raw dice and the current conditional statuses
+ */
+function recomputeDicePool(rollData, conditionals) {
+  const rawDice = rollData.rawDice || [];
+  const confirmedDice = rawDice.slice(0, rollData.basePoolSize);
+  const pendingDice = [];
+
+  let offset = rollData.basePoolSize;
+  for (const conditional of conditionals) {
+    const dice = rawDice.slice(offset, offset + conditional.value);
+    offset += conditional.value;
+    if (conditional.status === CONDITIONAL_STATUS.APPROVED) {
+      confirmedDice.push(...dice);
+    } else if (conditional.status === CONDITIONAL_STATUS.PENDING) {
+      pendingDice.push(...dice);
+    }
+  }
 
   // Calculate CONFIRMED result
   const confirmedSuccesses = confirmedDice.filter(r => r >= 5).length;
   const confirmedResult = getPoolResultCategory(confirmedSuccesses);
 
-  // Calculate POTENTIAL result (if all conditionals approved)
-  const allSuccesses = allDiceResults.filter(r => r >= 5).length;
-  const potentialResult = getPoolResultCategory(allSuccesses);
+  // Calculate POTENTIAL result (if pending conditionals approved)
+  const potentialDice = [...confirmedDice, ...pendingDice];
+  const potentialSuccesses = potentialDice.filter(r => r >= 5).length;
+  const potentialResult = getPoolResultCategory(potentialSuccesses);
 
-  const rollResult = {
-    type: ROLL_TYPES.DICE_POOL,
-    reason,
+  return {
+    ...rollData,
 
     // Confirmed result
-    formula: `${poolSize}d6`,
-    poolSize,
+    formula: `${confirmedDice.length}d6`,
+    poolSize: confirmedDice.length,
     diceResults: confirmedDice,
     successes: confirmedSuccesses,
     resultCategory: confirmedResult,
     resultLabel: POOL_RESULTS[confirmedResult.toUpperCase()]?.label || confirmedResult,
 
     // Conditional data
-    conditionals: conditionals.map(c => ({ ...c })),
+    conditionals,
     hasConditionals: conditionals.length > 0,
 
-    // Potential result (if conditionals approved)
-    potential: conditionals.length > 0 ? {
-      formula: `${totalPoolSize}d6`,
-      poolSize: totalPoolSize,
-      diceResults: allDiceResults,
-      conditionalDice: conditionalDiceResults,
-      successes: allSuccesses,
-      additionalSuccesses: allSuccesses - confirmedSuccesses,
+    // Potential result (if pending conditionals approved)
+    potential: pendingDice.length > 0 ? {
+      formula: `${potentialDice.length}d6`,
+      poolSize: potentialDice.length,
+      diceResults: potentialDice,
+      conditionalDice: pendingDice,
+      successes: potentialSuccesses,
+      additionalSuccesses: potentialSuccesses - confirmedSuccesses,
       resultCategory: potentialResult,
       resultLabel: POOL_RESULTS[potentialResult.toUpperCase()]?.label || potentialResult
     } : null
   };
+}
 
-  return rollResult;
+/**
+ * Apply a GM decision to one conditional modifier and recompute the result
+ * @param {Object} rollData - Result from executePilotCheck or executeDicePool
+ * @param {string} conditionalId - ID of the conditional being decided
+ * @param {string} status - CONDITIONAL_STATUS.APPROVED or CONDITIONAL_STATUS.REJECTED
+ * @returns {Object} Updated roll result
+ */
+export function resolveConditional(rollData, conditionalId, status) {
+  const conditionals = (rollData.conditionals || []).map(c =>
+    c.id === conditionalId ? { ...c, status } : { ...c }
+  );
+
+  if (rollData.type === ROLL_TYPES.PILOT_CHECK) {
+    return recomputePilotCheck(rollData, conditionals);
+  }
+  return recomputeDicePool(rollData, conditionals);
 }
 
 /**
@@ -699,7 +945,8 @@ function getPoolResultCategory(successes) {
 
 /**
  * Post a roll result to chat
- * @param {Object} rollResult - Result from executePilotCheck or executeDicePool
+ * @param {Object} rollResult - Result from executePilotCheck or executeDicePool; its Roll
+ *   objects are attached to the message and its roll mode decides who sees it
  * @param {Object} context - Additional context
  * @param {string} context.characterName - Name of the character
  * @param {string} context.actionName - Name of the action
@@ -708,26 +955,195 @@ function getPoolResultCategory(successes) {
 export async function postRollToChat(rollResult, context) {
   const { characterName, actionName, actor } = context;
 
-  let content;
-
-  if (rollResult.type === ROLL_TYPES.PILOT_CHECK) {
-    content = renderPilotCheckChat(rollResult, actionName);
-  } else {
-    content = renderDicePoolChat(rollResult, actionName);
-  }
+  const content = renderRollChat(rollResult, actionName);
 
   const speaker = actor
     ? ChatMessage.getSpeaker({ actor })
     : { alias: characterName };
 
-  await ChatMessage.create({
+  const messageData = {
     speaker,
     content,
-    type: CONST.CHAT_MESSAGE_TYPES.ROLL,
-    flavor: `<strong>Downtime:</strong> ${actionName}`
+    rolls: rollResult.rolls || [],
+    sound: CONFIG.sounds.dice,
+    flavor: `<strong>Downtime:</strong> ${escapeHTML(actionName)}`,
+    flags: {
+      [MODULE_ID]: {
+        rollData: rollResult,
+        actionName,
+        actorId: actor?.id ?? null,
+        historyEntryId: null
+      }
+    }
+  };
+
+  // v12 treats any message with rolls as a roll; v11 still needs the type
+  if (game.release.generation < 12) {
+    messageData.type = CONST.CHAT_MESSAGE_TYPES.ROLL;
+  }
+
+  ChatMessage.applyRollMode(messageData, rollResult.rollMode || game.settings.get("core", "rollMode"));
+  return ChatMessage.create(messageData);
+}
+
+/**
+ * Render a roll result for chat, dispatching on roll type
+ */
+function renderRollChat(rollResult, actionName) {
+  if (rollResult.type === ROLL_TYPES.PILOT_CHECK) {
+    return renderPilotCheckChat(rollResult, actionName);
+  }
+  return renderDicePoolChat(rollResult, actionName);
+}
+
+/**
+ * Render the list of conditional modifiers with GM decision controls
+ * @param {Array} conditionals - Conditional modifiers
+ * @param {string} unit - Suffix for the value ("" for accuracy, "d6" for dice)
+ */
+function renderConditionalsList(conditionals, unit) {
+  return conditionals.map(c => {
+    const control = c.status === CONDITIONAL_STATUS.PENDING
+      ? `<span class="conditional-controls">
+           <button type="button" class="conditional-decision approve" data-conditional-id="${c.id}"
+                   data-status="${CONDITIONAL_STATUS.APPROVED}" title="${game.i18n.localize("DOWNTIME.Roll.Conditionals.Approve")}">
+             <i class="fas fa-check"></i>
+           </button>
+           <button type="button" class="conditional-decision reject" data-conditional-id="${c.id}"
+                   data-status="${CONDITIONAL_STATUS.REJECTED}" title="${game.i18n.localize("DOWNTIME.Roll.Conditionals.Reject")}">
+             <i class="fas fa-times"></i>
+           </button>
+         </span>`
+      : `<span class="conditional-status ${c.status}">${game.i18n.localize(`DOWNTIME.Roll.Conditionals.Status.${c.status}`)}</span>`;
+
+    return `<li class="conditional ${c.status}"><strong>+${c.value}${unit}</strong> ${escapeHTML(c.reason)} ${control}</li>`;
+  }).join('');
+}
+
+/**
+ * Header for the conditionals section: pending until every conditional is decided
+ */
+function renderConditionalsHeader(conditionals) {
+  const anyPending = conditionals.some(c => c.status === CONDITIONAL_STATUS.PENDING);
+  return anyPending
+    ? `<i class="fas fa-question-circle"></i> ${game.i18n.localize("DOWNTIME.Roll.Conditionals.PendingApproval")}:`
+    : `<i class="fas fa-gavel"></i> ${game.i18n.localize("DOWNTIME.Roll.Conditionals.Resolved")}:`;
+}
+
+/**
+ * Shared chat styles for conditional decision controls
+ */
+const CONDITIONAL_CONTROL_STYLES = `
+  .downtime-roll .conditionals-list li.approved { color: #1db954; }
+  .downtime-roll .conditionals-list li.rejected { color: #888; text-decoration: line-through; }
+  .downtime-roll .conditional-controls { display: inline-flex; gap: 0.25rem; margin-left: 0.25rem; }
+  .downtime-roll .conditional-decision {
+    width: 1.25rem; height: 1.25rem; line-height: 1; padding: 0;
+    border: none; border-radius: 3px; cursor: pointer; font-size: 0.7rem; color: #fff;
+  }
+  .downtime-roll .conditional-decision.approve { background: #1db954; }
+  .downtime-roll .conditional-decision.reject { background: #e94560; }
+  .downtime-roll .conditional-status {
+    margin-left: 0.25rem; font-size: 0.7rem; text-transform: uppercase; font-weight: bold;
+  }
+`;
+
+/**
+ * Wire up conditional decision buttons on downtime roll chat cards.
+ * Only the GM sees and can use the controls.
+ */
+export function onRenderChatMessage(message, html) {
+  if (!message.getFlag(MODULE_ID, "rollData")) return;
+
+  if (!game.user.isGM) {
+    html.find(".conditional-controls").remove();
+    return;
+  }
+
+  html.find(".conditional-decision").on("click", async (event) => {
+    event.preventDefault();
+    const button = event.currentTarget;
+    html.find(".conditional-decision").prop("disabled", true);
+    await applyConditionalDecision(message, button.dataset.conditionalId, button.dataset.status);
   });
 }
 
+/**
+ * Apply a GM decision to a conditional modifier on a chat card.
+ * Updates the chat message, the linked history entry (if recorded yet),
+ * and tells other clients about the decision.
+ * @param {ChatMessage} message - The downtime roll chat message
+ * @param {string} conditionalId - ID of the conditional being decided
+ * @param {string} status - CONDITIONAL_STATUS.APPROVED or CONDITIONAL_STATUS.REJECTED
+ */
+export async function applyConditionalDecision(message, conditionalId, status) {
+  if (!game.user.isGM) return;
+
+  const flags = message.getFlag(MODULE_ID) || {};
+  const rollData = flags.rollData;
+  const conditional = rollData?.conditionals?.find(c => c.id === conditionalId);
+  if (!conditional || conditional.status !== CONDITIONAL_STATUS.PENDING) return;
+
+  const updated = resolveConditional(rollData, conditionalId, status);
+
+  await message.update({
+    content: renderRollChat(updated, flags.actionName),
+    [`flags.${MODULE_ID}.rollData`]: updated
+  });
+
+  const actor = flags.actorId ? game.actors.get(flags.actorId) : null;
+  if (actor && flags.historyEntryId) {
+    await updateHistoryEntry(actor, flags.historyEntryId, {
+      result: {
+        success: updated.resultCategory === "triumph" || updated.resultCategory === "success",
+        rollResult: updated.resultCategory,
+        rollData: updated
+      }
+    });
+  }
+
+  const payload = {
+    messageId: message.id,
+    authorId: message.author?.id ?? message.user?.id,
+    actionName: flags.actionName,
+    conditionalId,
+    status,
+    // The player mustn't learn a blind result from the notification
+    resultLabel: isBlindUnrevealed(updated)
+      ? game.i18n.localize("DOWNTIME.Roll.HiddenResult")
+      : updated.resultLabel
+  };
+  emitSocket(SOCKET_EVENTS.CONDITIONAL_RESOLVED, payload);
+  onConditionalResolved(payload);
+}
+
+/**
+ * Handle a conditional decision on any client: refresh the tracker and
+ * let the player who rolled know the outcome.
+ */
+export function onConditionalResolved({ authorId, actionName, status, resultLabel }) {
+  refreshDowntimeTracker();
+
+  if (authorId === game.user.id && !game.user.isGM) {
+    ui.notifications.info(game.i18n.format("DOWNTIME.Roll.Conditionals.Notify", {
+      action: escapeHTML(actionName),
+      status: game.i18n.localize(`DOWNTIME.Roll.Conditionals.Status.${status}`),
+      result: escapeHTML(resultLabel)
+    }));
+  }
+}
+
+/**
+ * Render the group action helpers line for chat
+ */
+function renderHelpersChat(helpers) {
+  if (!helpers?.length) return '';
+  return `<div class="roll-helpers">
+    <i class="fas fa-users"></i>
+    ${game.i18n.format("DOWNTIME.Group.Chat", { helpers: helpers.map(h => `${escapeHTML(h.name)} (+${h.bonus})`).join(", ") })}
+  </div>`;
+}
+
 /**
  * Render pilot check result for chat
  */
@@ -740,28 +1156,35 @@ function renderPilotCheckChat(result, actionName) {
     : '';
 
   const reasonHtml = result.reason
-    ? `<div class="roll-reason"><em>${result.reason}</em></div>`
+    ? `<div class="roll-reason"><em>${escapeHTML(result.reason)}</em></div>`
+    : '';
+
+  const triggerHtml = result.trigger
+    ? `<div class="roll-trigger">
+         <i class="fas fa-bolt"></i>
+         ${game.i18n.format("DOWNTIME.Roll.Triggers.Chat", { name: escapeHTML(result.trigger.name), bonus: result.trigger.bonus })}
+       </div>`
+    : '';
+
+  const accuracySourcesHtml = result.accuracySources?.length
+    ? `<div class="roll-accuracy-sources">
+         ${game.i18n.format("DOWNTIME.Roll.AccuracySources.Chat", { sources: result.accuracySources.map(escapeHTML).join(", ") })}
+       </div>`
     : '';
 
   // Render conditional modifiers section if any exist
   let conditionalsHtml = '';
-  if (result.hasConditionals && result.potential) {
-    const conditionalsList = result.conditionals.map(c =>
-      `<li><strong>+${c.value}</strong> ${c.reason}</li>`
-    ).join('');
+  if (result.hasConditionals) {
+    const conditionalsList = renderConditionalsList(result.conditionals, '');
 
-    const wouldChange = result.resultCategory !== result.potential.resultCategory;
-    const changeIndicator = wouldChange
-      ? `<span class="would-change">→ ${result.potential.resultLabel}</span>`
-      : `<span class="no-change">(same result)</span>`;
+    let potentialHtml = '';
+    if (result.potential) {
+      const wouldChange = result.resultCategory !== result.potential.resultCategory;
+      const changeIndicator = wouldChange
+        ? `<span class="would-change">→ ${result.potential.resultLabel}</span>`
+        : `<span class="no-change">(same result)</span>`;
 
-    conditionalsHtml = `
-      <div class="conditionals-section">
-        <div class="conditionals-header">
-          <i class="fas fa-question-circle"></i>
-          Pending GM Approval:
-        </div>
-        <ul class="conditionals-list">${conditionalsList}</ul>
+      potentialHtml = `
         <div class="potential-result">
           If approved: <strong>${result.potential.total}</strong> ${changeIndicator}
         </div>
@@ -770,6 +1193,16 @@ function renderPilotCheckChat(result, actionName) {
             `<span class="die d6 mini ${d === Math.max(...result.potential.modifierDice) ? 'highest' : ''}">${d}</span>`
           ).join(' ')}
         </div>
+      `;
+    }
+
+    conditionalsHtml = `
+      <div class="conditionals-section">
+        <div class="conditionals-header">
+          ${renderConditionalsHeader(result.conditionals)}
+        </div>
+        <ul class="conditionals-list">${conditionalsList}</ul>
+        ${potentialHtml}
       </div>
     `;
   }
@@ -781,13 +1214,17 @@ function renderPilotCheckChat(result, actionName) {
       </div>
       <div class="roll-result">
         <span class="die d20">${result.d20}</span>
+        ${result.trigger ? `<span class="trigger-bonus">+${result.trigger.bonus}</span>` : ''}
         ${result.modifierValue !== 0
           ? `<span class="modifier">${result.modifierValue > 0 ? '+' : ''}${result.modifierValue}</span>`
           : ''}
         <span class="equals">=</span>
         <span class="total">${result.total}</span>
       </div>
+      ${triggerHtml}
       ${modifierDiceHtml}
+      ${accuracySourcesHtml}
+      ${renderHelpersChat(result.helpers)}
       ${reasonHtml}
       <div class="result-category ${result.resultCategory}">
         ${result.resultLabel}
@@ -810,6 +1247,10 @@ function renderPilotCheckChat(result, actionName) {
       .downtime-roll .total { font-size: 1.5rem; font-weight: bold; color: #fff; }
       .downtime-roll .modifier-dice { margin-top: 0.5rem; font-size: 0.85rem; color: #aaa; }
       .downtime-roll .roll-reason { margin-top: 0.5rem; font-size: 0.85rem; color: #888; }
+      .downtime-roll .trigger-bonus { color: #ffd700; }
+      .downtime-roll .roll-trigger { margin-top: 0.5rem; font-size: 0.85rem; color: #ffd700; }
+      .downtime-roll .roll-accuracy-sources { margin-top: 0.25rem; font-size: 0.8rem; color: #aaa; }
+      .downtime-roll .roll-helpers { margin-top: 0.25rem; font-size: 0.8rem; color: #aaa; }
       .downtime-roll .result-category {
         margin-top: 0.75rem; padding: 0.5rem; border-radius: 4px;
         text-align: center; font-weight: bold; text-transform: uppercase;
@@ -852,6 +1293,7 @@ function renderPilotCheckChat(result, actionName) {
         font-size: 0.8rem;
         color: #888;
       }
+      ${CONDITIONAL_CONTROL_STYLES}
     </style>
   `;
 }
@@ -865,37 +1307,46 @@ function renderDicePoolChat(result, actionName) {
     .join(' ');
 
   const reasonHtml = result.reason
-    ? `<div class="roll-reason"><em>${result.reason}</em></div>`
+    ? `<div class="roll-reason"><em>${escapeHTML(result.reason)}</em></div>`
     : '';
 
-  // Render conditional modifiers section if any exist
-  let conditionalsHtml = '';
-  if (result.hasConditionals && result.potential) {
-    const conditionalsList = result.conditionals.map(c =>
-      `<li><strong>+${c.value}d6</strong> ${c.reason}</li>`
-    ).join('');
-
-    // Show the conditional dice separately
-    const conditionalDiceHtml = result.potential.conditionalDice
-      .map(d => `<span class="die d6 conditional ${d >= 5 ? 'success' : ''}">${d}</span>`)
-      .join(' ');
-
-    const wouldChange = result.resultCategory !== result.potential.resultCategory;
-    const changeIndicator = wouldChange
-      ? `<span class="would-change">→ ${result.potential.resultLabel}</span>`
-      : `<span class="no-change">(same result)</span>`;
+  const aspectsHtml = result.aspects?.length
+    ? `<div class="roll-aspects">
+         ${game.i18n.format("DOWNTIME.Roll.Pool.Chat", { aspects: result.aspects.map(a => escapeHTML(a.name)).join(", ") })}
+       </div>`
+    : '';
 
-    const additionalSuccessText = result.potential.additionalSuccesses > 0
-      ? `(+${result.potential.additionalSuccesses} success${result.potential.additionalSuccesses !== 1 ? 'es' : ''})`
-      : '';
+  const spendsHtml = result.trackSpends?.length
+    ? `<ul class="roll-spends">
+         ${result.trackSpends.map(spend => `<li>${game.i18n.format(
+           spend.mode === "burn" ? "DOWNTIME.Effects.BurnBox" : "DOWNTIME.Effects.MarkBox",
+           { name: escapeHTML(spend.name), dice: spend.dice }
+         )}</li>`).join("")}
+       </ul>`
+    : '';
 
-    conditionalsHtml = `
-      <div class="conditionals-section">
-        <div class="conditionals-header">
-          <i class="fas fa-question-circle"></i>
-          Pending GM Approval:
-        </div>
-        <ul class="conditionals-list">${conditionalsList}</ul>
+  // Render conditional modifiers section if any exist
+  let conditionalsHtml = '';
+  if (result.hasConditionals) {
+    const conditionalsList = renderConditionalsList(result.conditionals, 'd6');
+
+    let potentialHtml = '';
+    if (result.potential) {
+      // Show the conditional dice separately
+      const conditionalDiceHtml = result.potential.conditionalDice
+        .map(d => `<span class="die d6 conditional ${d >= 5 ? 'success' : ''}">${d}</span>`)
+        .join(' ');
+
+      const wouldChange = result.resultCategory !== result.potential.resultCategory;
+      const changeIndicator = wouldChange
+        ? `<span class="would-change">→ ${result.potential.resultLabel}</span>`
+        : `<span class="no-change">(same result)</span>`;
+
+      const additionalSuccessText = result.potential.additionalSuccesses > 0
+        ? `(+${result.potential.additionalSuccesses} success${result.potential.additionalSuccesses !== 1 ? 'es' : ''})`
+        : '';
+
+      potentialHtml = `
         <div class="conditional-dice-row">
           <span class="label">Conditional dice:</span>
           ${conditionalDiceHtml}
@@ -904,6 +1355,16 @@ function renderDicePoolChat(result, actionName) {
         <div class="potential-result">
           If approved: <strong>${result.potential.successes} successes</strong> ${changeIndicator}
         </div>
+      `;
+    }
+
+    conditionalsHtml = `
+      <div class="conditionals-section">
+        <div class="conditionals-header">
+          ${renderConditionalsHeader(result.conditionals)}
+        </div>
+        <ul class="conditionals-list">${conditionalsList}</ul>
+        ${potentialHtml}
       </div>
     `;
   }
@@ -920,6 +1381,9 @@ function renderDicePoolChat(result, actionName) {
         <span class="count">${result.successes}</span>
         <span class="label">success${result.successes !== 1 ? 'es' : ''}</span>
       </div>
+      ${aspectsHtml}
+      ${spendsHtml}
+      ${renderHelpersChat(result.helpers)}
       ${reasonHtml}
       <div class="result-category ${result.resultCategory}">
         ${result.resultLabel}
@@ -948,6 +1412,9 @@ function renderDicePoolChat(result, actionName) {
         margin-top: 0.5rem; font-size: 1.1rem;
       }
       .downtime-roll .success-count .count { font-size: 1.5rem; font-weight: bold; color: #fff; }
+      .downtime-roll .roll-aspects { margin-top: 0.5rem; font-size: 0.85rem; color: #aaa; }
+      .downtime-roll .roll-helpers { margin-top: 0.25rem; font-size: 0.8rem; color: #aaa; }
+      .downtime-roll .roll-spends { margin: 0.25rem 0 0 1rem; padding: 0; font-size: 0.8rem; color: #ff9800; }
       .downtime-roll .roll-reason { margin-top: 0.5rem; font-size: 0.85rem; color: #888; }
       .downtime-roll .result-category {
         margin-top: 0.75rem; padding: 0.5rem; border-radius: 4px;
@@ -1002,6 +1469,7 @@ function renderDicePoolChat(result, actionName) {
       .downtime-roll .potential-result strong { color: #fff; }
       .downtime-roll .would-change { color: #ff9800; font-weight: bold; }
       .downtime-roll .no-change { color: #888; font-style: italic; }
+      ${CONDITIONAL_CONTROL_STYLES}
     </style>
   `;
 }
@@ -1044,61 +1512,30 @@ export function determineRollType(action, character) {
 
 /**
  * Get the base pool size for a Far Field character
- * This would typically come from the relevant skill/aspect
+ * Uses the available (unmarked) boxes of the aspect best suited to the action;
+ * the player can pick other aspects in the roll dialog.
  * @param {Actor} actor - The actor
  * @param {Object} action - The action being performed
  * @returns {number} Base pool size
  */
 export function getBasePoolSize(actor, action) {
-  const ffChar = actor?.getFlag?.("Far-Field-Foundry-Module-main", "character");
+  const ffChar = actor?.getFlag?.(FAR_FIELD_MODULE_ID, "character");
   if (!ffChar) return 2;
 
-  const aspects = ffChar.aspects || [];
-  if (aspects.length === 0) return 2;
-
-  // Map action categories to the aspect types most relevant to them
-  const categoryToAspectType = {
-    "development": "Expertise",
-    "social": "Expertise",
-    "rest": "Expertise",
-    "personal": "Expertise",
-    "acquisition": "Equipment",
-    "logistics": "Equipment",
-    "maintenance": "Equipment"
-  };
-
-  const preferredType = categoryToAspectType[action.category];
-
-  // Find the best matching aspect: prefer the preferred type, use highest unmarked track
-  let bestAspect = null;
-  let bestScore = -1;
-
-  for (const aspect of aspects) {
-    const available = (aspect.track || 0) - (aspect.marked || 0);
-    const typeMatch = aspect.type === preferredType ? 1 : 0;
-    const score = typeMatch * 100 + available;
-    if (score > bestScore) {
-      bestScore = score;
-      bestAspect = aspect;
-    }
-  }
-
-  if (bestAspect) {
-    // Pool size = aspect track size (total boxes), minimum 2
-    return Math.max(2, bestAspect.track || 2);
-  }
+  const bestAspect = getSuggestedAspect(ffChar.aspects || [], action);
+  if (!bestAspect) return 2;
 
-  return 2;
+  return Math.max(1, getAvailableBoxes(bestAspect));
 }
 
 /**
  * Get base accuracy for a pilot check
+ * Talent and gear accuracy is situational, so it is suggested in the roll
+ * dialog (see getAccuracySuggestions) rather than applied here.
  * @param {Actor} actor - The actor
  * @param {Object} action - The action being performed
  * @returns {number} Base accuracy
  */
 export function getBaseAccuracy(actor, action) {
-  // Could look up pilot skills, gear bonuses, etc.
-  // For now, return 0
   return 0;
 }
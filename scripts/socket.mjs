@@ -0,0 +1,82 @@
+/**
+ * Module Socket
+ *
+ * Routes typed messages over the module socket channel declared in module.json.
+ *
+ * The server relays module socket messages as they are sent, so the sender ID
+ * is whatever the sending client wrote. Checks made against it (ownership,
+ * permissions) are advisory: they keep an unmodified client within its
+ * rights, but can't stop a modified client from claiming to be someone else.
+ */
+
+import { MODULE_ID } from "./constants.mjs";
+
+export const SOCKET_NAME = `module.${MODULE_ID}`;
+
+/**
+ * Socket event types
+ */
+export const SOCKET_EVENTS = {
+  CONDITIONAL_RESOLVED: "conditionalResolved",
+  ACTION_REQUESTED: "actionRequested",
+  ACTION_REQUEST_RESOLVED: "actionRequestResolved",
+  GM_REQUEST: "gmRequest",
+  GM_RESPONSE: "gmResponse"
+};
+
+const handlers = new Map();
+
+/**
+ * Register a handler for a socket event type
+ * @param {string} type - One of SOCKET_EVENTS
+ * @param {Function} handler - Called with (payload, senderId); senderId is
+ *   claimed by the sender, not verified
+ */
+export function registerSocketHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Emit a socket event to all other connected clients
+ * @param {string} type - One of SOCKET_EVENTS
+ * @param {Object} payload - Event data
+ */
+export function emitSocket(type, payload = {}) {
+  game.socket.emit(SOCKET_NAME, {
+    type,
+    payload,
+    senderId: game.user.id
+  });
+}
+
+/**
+ * Whether this client is the GM responsible for handling player requests.
+ * Only one GM should act on a request, so this picks a single active GM.
+ */
+export function isActiveGM() {
+  const activeGM = game.users.activeGM ?? game.users.find(u => u.isGM && u.active);
+  return activeGM?.id === game.user.id;
+}
+
+/**
+ * Whether any GM is currently connected
+ */
+export function isGMConnected() {
+  return game.users.some(u => u.isGM && u.active);
+}
+
+/**
+ * Start listening on the module socket
+ */
+export function initSocket() {
+  game.socket.on(SOCKET_NAME, async (message) => {
+    const handler = handlers.get(message?.type);
+    if (!handler) return;
+
+    try {
+      await handler(message.payload, message.senderId);
+    } catch (err) {
+      console.error(`${MODULE_ID} | Socket handler '${message.type}' failed:`, err);
+    }
+  });
+}
@@ -0,0 +1,112 @@
+/**
+ * Text Utilities
+ *
+ * Marker titles, notes, action names and LCP descriptions all end up in
+ * dialogs, chat cards and shared journal pages. Plain text is escaped
+ * wherever it is interpolated into HTML. LCP descriptions may use a small
+ * set of formatting tags, so they are sanitised instead (on import, and
+ * again before display). Notes are enriched with TextEditor so @UUID and
+ * other content links work.
+ */
+
+/**
+ * Formatting tags kept by sanitizeHTML; any other tag is unwrapped to its text
+ */
+const ALLOWED_TAGS = new Set([
+  "a", "b", "blockquote", "br", "code", "em", "h1", "h2", "h3", "h4", "h5", "h6",
+  "hr", "i", "li", "ol", "p", "s", "span", "strong", "sub", "sup", "table", "tbody",
+  "td", "th", "thead", "tr", "u", "ul"
+]);
+
+/**
+ * Tags removed together with their content
+ */
+const DROPPED_TAGS = new Set(["script", "style", "iframe", "object", "embed", "template", "noscript"]);
+
+/**
+ * Attributes kept on allowed tags
+ */
+const ALLOWED_ATTRIBUTES = {
+  a: ["href", "title"],
+  td: ["colspan", "rowspan"],
+  th: ["colspan", "rowspan"]
+};
+
+/**
+ * Link targets allowed in sanitised HTML
+ */
+const SAFE_URL = /^(https?:|mailto:|#)/i;
+
+/**
+ * Escape plain text for use in HTML content or attribute values
+ */
+export function escapeHTML(value) {
+  return Handlebars.escapeExpression(value == null ? "" : String(value));
+}
+
+/**
+ * Strip everything but basic formatting from an HTML string: scripts,
+ * event handlers, styles and unsafe links are removed
+ */
+export function sanitizeHTML(html) {
+  if (!html) return "";
+  const doc = new DOMParser().parseFromString(String(html), "text/html");
+  cleanNode(doc.body);
+  return doc.body.innerHTML;
+}
+
+/**
+ * Recursively clean an element's children in place
+ */
+function cleanNode(node) {
+  for (const child of [...node.childNodes]) {
+    if (child.nodeType === Node.TEXT_NODE) continue;
+    if (child.nodeType !== Node.ELEMENT_NODE) {
+      child.remove();
+      continue;
+    }
+
+    const tag = child.tagName.toLowerCase();
+    if (DROPPED_TAGS.has(tag)) {
+      child.remove();
+      continue;
+    }
+
+    cleanNode(child);
+    if (!ALLOWED_TAGS.has(tag)) {
+      child.replaceWith(...child.childNodes);
+      continue;
+    }
+
+    for (const attr of [...child.attributes]) {
+      const allowed = ALLOWED_ATTRIBUTES[tag]?.includes(attr.name);
+      if (!allowed || (attr.name === "href" && !SAFE_URL.test(attr.value.trim()))) {
+        child.removeAttribute(attr.name);
+      }
+    }
+    if (tag === "a" && child.hasAttribute("href")) child.setAttribute("rel", "noopener");
+  }
+}
+
+/**
+ * Turn plain-text notes into escaped HTML, keeping line breaks
+ */
+export function notesToHTML(text) {
+  return escapeHTML(text).replace(/\r?\n/g, "<br>");
+}
+
+/**
+ * Render plain-text notes as HTML with content links (@UUID etc.) enriched
+ * @returns {Promise<string>}
+ */
+export async function enrichNotes(text) {
+  if (!text) return "";
+  return TextEditor.enrichHTML(notesToHTML(text), { async: true });
+}
+
+/**
+ * Make text safe for the label of a content link (@UUID[...]{label})
+ */
+export function escapeLinkLabel(text) {
+  return escapeHTML(String(text ?? "").replace(/[[\]{}]/g, ""));
+}